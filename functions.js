@@ -2,6 +2,8 @@
 
 const Net = require('net');
 
+let pingSessionCounter = 0;
+
 class F {
 
     /**
@@ -31,6 +33,66 @@ class F {
         });
     }
 
+    /**
+     * Builds the abort signal of one scan from the caller options
+     * The returned signal aborts when the caller signal aborts or when deadlineMs is elapsed
+     * @param {Object} params - { signal, deadlineMs }
+     * @param {AbortSignal} params.signal - Optional caller signal
+     * @param {number} params.deadlineMs - Optional overall scan deadline in milliseconds (0 = no deadline)
+     * @returns {{signal: AbortSignal, abort: Function, dispose: Function}} abort(reason) cancels the scan,
+     *   call dispose() when the scan is finished
+     */
+    static scanAbortSignal({ signal = null, deadlineMs = 0 } = {}){
+        if (typeof deadlineMs !== 'number' || deadlineMs < 0){
+            throw new Error(`Invalid deadlineMs: ${deadlineMs}. Please choose a positive number of milliseconds`);
+        }
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        let deadlineTimer = null;
+        if (signal) {
+            if (signal.aborted) controller.abort(signal.reason);
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }
+        if (deadlineMs > 0 && !controller.signal.aborted) {
+            deadlineTimer = setTimeout(() => {
+                controller.abort(new Error(`Scan deadline exceeded (${deadlineMs}ms)`));
+            }, deadlineMs);
+        }
+        return {
+            signal: controller.signal,
+            abort: (reason) => controller.abort(reason),
+            dispose: () => {
+                clearTimeout(deadlineTimer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+        };
+    }
+
+    /**
+     * Returns a sessionId for a new net-ping session
+     * net-ping matches replies with the sessionId (default: process.pid) and alters the reply buffer,
+     * so concurrent ping sessions of the same process must each have their own sessionId.
+     * @returns {number}
+     */
+    static nextPingSessionId(){
+        pingSessionCounter = (pingSessionCounter + 1) % 65535;
+        return (process.pid + pingSessionCounter) % 65535;
+    }
+
+    /**
+     * Returns the key identifying a device across scans
+     * Devices are identified by MAC address, with an IP fallback when the MAC is unknown (ex: self device)
+     *
+     * Example: `{ ip: '192.168.1.10', mac: '04:A1:51:1B:12:92' }` => `mac:04:A1:51:1B:12:92`
+     * @param device A device object ({ ip, mac, ... })
+     */
+    static deviceKey(device) {
+        if (device.mac) {
+            return 'mac:' + F.normalizeMAC(device.mac);
+        }
+        return 'ip:' + device.ip;
+    }
+
     /**
      * Normalizes a MAC address so that `-` is
      * replaced `:` and is converted to lower case
@@ -58,6 +120,14 @@ class F {
         return Net.isIP(ip);
     }
 
+    /**
+     * Checks if a TCP/UDP port number is valid (1-65535)
+     * @param port The port number to validate
+     */
+    static isPort(port) {
+        return Number.isInteger(port) && port >= 1 && port <= 65535;
+    }
+
 }
 
 module.exports = F;
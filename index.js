@@ -6,13 +6,22 @@ const Util = require('util');
 const Exec = require('child_process').exec;
 const ExecPromise = Util.promisify(Exec);
 const Netmask = require('netmask').Netmask;
+const IpAddr = require('ipaddr.js');
 
-const Scanner = require('./scanner');
-const ScannerICMP = require('./scanner-icmp');
-const ScannerTCP = require('./scanner-tcp');
-const ScannerARP = require('./scanner-arp');
+const ScanSession = require('./scan-session');
+const DeviceMonitor = require('./monitor');
+const DeviceInventory = require('./inventory');
 const EventEmitter = require('events');
 const F = require('./functions');
+const deviceDiff = require('./utils/device-diff-util');
+const NetBios = require('./utils/netbios-util');
+const ReverseDns = require('./utils/reverse-dns-util');
+const LocalName = require('./utils/local-name-util');
+const MacVendor = require('./utils/mac-vendor-util');
+const NeighborTable = require('./utils/neighbor-table-util');
+const NetworkInterfaces = require('./utils/network-interfaces-util');
+const RateLimiter = require('./utils/rate-limiter-util');
+const Latency = require('./utils/latency-util');
 
 
 //CONSTANTS
@@ -20,12 +29,36 @@ const OS_WINDOWS = 'Windows_NT';
 const OS_LINUX = 'Linux';
 const OS_MAC = 'Darwin';
 
-const EVENT_SCAN_RESPONSE = 'scanResponse';
-const EVENT_SCAN_COMPLETE = 'scanComplete';
-const EVENT_DEVICE_INFOS = 'deviceInfos';
-const EVENT_DEVICES_INFOS = 'devicesInfos';
-const EVENT_ARP_RESPONSE = 'arpResponse';
-const EVENT_ARP_COMPLETE = 'arpComplete';
+const EVENT_SCAN_RESPONSE = ScanSession.EVENT_SCAN_RESPONSE;
+const EVENT_SCAN_COMPLETE = ScanSession.EVENT_SCAN_COMPLETE;
+const EVENT_DEVICE_INFOS = ScanSession.EVENT_DEVICE_INFOS;
+const EVENT_DEVICES_INFOS = ScanSession.EVENT_DEVICES_INFOS;
+const EVENT_ARP_RESPONSE = ScanSession.EVENT_ARP_RESPONSE;
+const EVENT_ARP_COMPLETE = ScanSession.EVENT_ARP_COMPLETE;
+const SESSION_EVENTS = [
+    EVENT_SCAN_RESPONSE,
+    EVENT_SCAN_COMPLETE,
+    EVENT_DEVICE_INFOS,
+    EVENT_DEVICES_INFOS,
+    EVENT_ARP_RESPONSE,
+    EVENT_ARP_COMPLETE,
+];
+
+const NAME_SOURCE_DNS = 'dns';
+const NAME_SOURCE_MDNS = 'mdns';
+const NAME_SOURCE_LLMNR = 'llmnr';
+const NAME_SOURCE_NETBIOS = 'netbios';
+const NAME_SOURCES = [NAME_SOURCE_DNS, NAME_SOURCE_MDNS, NAME_SOURCE_LLMNR, NAME_SOURCE_NETBIOS];
+
+const SCAN_MODE_ICMP = 'icmp';
+const SCAN_MODE_TCP = 'tcp';
+const SCAN_MODE_PORTS = 'ports';
+const SCAN_MODE_UDP = 'udp';
+const SCAN_MODE_MDNS = 'mdns';
+const SCAN_MODE_SSDP = 'ssdp';
+const SCAN_MODE_IPV6 = 'ipv6';
+const SCAN_MODE_HYBRID = 'hybrid';
+const SCAN_MODES = [SCAN_MODE_ICMP, SCAN_MODE_TCP, SCAN_MODE_PORTS, SCAN_MODE_UDP, SCAN_MODE_MDNS, SCAN_MODE_SSDP, SCAN_MODE_IPV6, SCAN_MODE_HYBRID];
 
 class LanDiscovery extends EventEmitter
 {
@@ -37,18 +70,63 @@ class LanDiscovery extends EventEmitter
     static get EVENT_ARP_RESPONSE(){ return EVENT_ARP_RESPONSE }
     static get EVENT_ARP_COMPLETE(){ return EVENT_ARP_COMPLETE }
 
+    //define scan modes accepted by scan() :
+    static get SCAN_MODE_ICMP(){ return SCAN_MODE_ICMP }
+    static get SCAN_MODE_TCP(){ return SCAN_MODE_TCP }
+    static get SCAN_MODE_PORTS(){ return SCAN_MODE_PORTS }
+    static get SCAN_MODE_UDP(){ return SCAN_MODE_UDP }
+    static get SCAN_MODE_MDNS(){ return SCAN_MODE_MDNS }
+    static get SCAN_MODE_SSDP(){ return SCAN_MODE_SSDP }
+    static get SCAN_MODE_IPV6(){ return SCAN_MODE_IPV6 }
+    static get SCAN_MODE_HYBRID(){ return SCAN_MODE_HYBRID }
+    static get SCAN_MODES(){ return SCAN_MODES.slice() }
+
+    //define hostname sources (see options.nameSources) :
+    static get NAME_SOURCE_DNS(){ return NAME_SOURCE_DNS }
+    static get NAME_SOURCE_MDNS(){ return NAME_SOURCE_MDNS }
+    static get NAME_SOURCE_LLMNR(){ return NAME_SOURCE_LLMNR }
+    static get NAME_SOURCE_NETBIOS(){ return NAME_SOURCE_NETBIOS }
+
+    //define network interface types (see listInterfaces()) :
+    static get INTERFACE_TYPE_PHYSICAL(){ return NetworkInterfaces.INTERFACE_TYPE_PHYSICAL }
+    static get INTERFACE_TYPE_WIRELESS(){ return NetworkInterfaces.INTERFACE_TYPE_WIRELESS }
+    static get INTERFACE_TYPE_VIRTUAL(){ return NetworkInterfaces.INTERFACE_TYPE_VIRTUAL }
+    static get INTERFACE_TYPE_DOCKER(){ return NetworkInterfaces.INTERFACE_TYPE_DOCKER }
+    static get INTERFACE_TYPE_VPN(){ return NetworkInterfaces.INTERFACE_TYPE_VPN }
+    static get INTERFACE_TYPE_LOOPBACK(){ return NetworkInterfaces.INTERFACE_TYPE_LOOPBACK }
+
     /**
      * Constructor
      * (you can pass options)
      *
      * Example: new LanDiscovery({ verbose:true, timeout:60 })
      * @param {Object} options The options to apply
+     * @param {boolean} options.verbose Enable verbose logging
+     * @param {number} options.timeout Hostname lookup timeout in seconds (1 to 60, default: 10)
+     * @param {boolean|Object|DeviceInventory} options.inventory Record every discovered device in a persistent inventory :
+     *   true (JSON file lan-discovery-inventory.json), DeviceInventory options ({ path, adapter }) or a DeviceInventory instance
+     * @param {Array} options.dnsServers DNS servers used for hostname lookups ('192.168.1.1', '1.1.1.1:53'), default: system DNS servers
+     * @param {boolean} options.fcrdns Keep only the forward-confirmed hostnames (the name resolves back to the IP), default: false
+     * @param {Array} options.nameSources Hostname sources queried together, the name of the first one in this order is kept :
+     *   'dns' (PTR record), 'mdns', 'llmnr', 'netbios' (default: all, in this order)
+     * @param {number} options.nameTimeout mDNS and LLMNR answer timeout in milliseconds (default: 1000)
+     * @param {boolean|Object} options.netbios NetBIOS name lookup when the other sources have no name for a device (Windows computers) :
+     *   true (default), false (same as nameSources without 'netbios'), or { timeout } (answer timeout in milliseconds, default: 1000)
+     * @param {Object} options.rateLimit Network budget shared by all the scans and the hostname lookups of this instance :
+     *   { packetsPerSecond, burst } token bucket (burst default: a tenth of packetsPerSecond), default: no limit
      */
     constructor(options) {
         super();
         //initialization of class attributes
         this.verbose = false;
         this.timeout = 10;
+        this.inventory = null;
+        this.netbios = { timeout: 1000 };
+        this.dnsServers = [];
+        this.fcrdns = false;
+        this.nameSources = NAME_SOURCES.slice();
+        this.nameTimeout = 1000;
+        this.rateLimiter = null;
         if (options){
             if(options.verbose) {
                 this.verbose = options.verbose;
@@ -57,6 +135,37 @@ class LanDiscovery extends EventEmitter
                 if (options.timeout < 1 || options.timeout > 60) throw new Error(`Invalid timeout: ${options.timeout}. Please choose a timeout between 1 and 60s`);
                 else this.timeout = parseInt(options.timeout) || options.timeout.toFixed(0);
             }
+            if(options.dnsServers) {
+                if (!Array.isArray(options.dnsServers)) throw new Error(`Invalid dnsServers: ${options.dnsServers}. Please choose an array of DNS server addresses`);
+                this.dnsServers = options.dnsServers;
+            }
+            if(options.fcrdns) {
+                this.fcrdns = true;
+            }
+            if(options.nameSources) {
+                if (!Array.isArray(options.nameSources) || options.nameSources.some(source => !NAME_SOURCES.includes(source))) {
+                    throw new Error(`Invalid nameSources: ${options.nameSources}. Please choose an array of sources among: ${NAME_SOURCES.join(', ')}`);
+                }
+                this.nameSources = options.nameSources.slice();
+            }
+            if(options.nameTimeout) {
+                if (typeof options.nameTimeout !== 'number' || options.nameTimeout < 0) throw new Error(`Invalid nameTimeout: ${options.nameTimeout}. Please choose a positive number of milliseconds`);
+                this.nameTimeout = options.nameTimeout;
+            }
+            if(options.netbios !== undefined) {
+                if (options.netbios === false) {
+                    this.netbios = null;
+                    this.nameSources = this.nameSources.filter(source => source !== NAME_SOURCE_NETBIOS);
+                }
+                else if (typeof options.netbios === 'object') this.netbios = { ...this.netbios, ...options.netbios };
+            }
+            if(options.rateLimit) {
+                this.rateLimiter = RateLimiter.createRateLimiter(options.rateLimit);
+            }
+            if(options.inventory) {
+                if (options.inventory instanceof DeviceInventory) this.inventory = options.inventory;
+                else this.inventory = new DeviceInventory(options.inventory === true ? {} : options.inventory);
+            }
         }
         this.osType = Os.type();
         switch(this.osType){
@@ -65,60 +174,24 @@ class LanDiscovery extends EventEmitter
             case OS_MAC : break;
             default : throw new Error('Unsupported OS: ' + this.osType);
         }
-        this.scannerICMP = new ScannerICMP();
-        this.scannerTCP = new ScannerTCP();
-        this.scannerARP = new ScannerARP();
-
-        // EVENT MANAGEMENT
-        // - one device responds to ping :
-        this.scannerICMP.on(Scanner.EVENT_RESPONSE, (ip) => {
-            this.emit(EVENT_SCAN_RESPONSE, ip);
-            let myPromise = this.deviceInfos(ip);
-            myPromise.then((device) => {
-                this.emit(EVENT_DEVICE_INFOS, device)
-            })
-            this.devicesInfosPromises.push(myPromise);
-        });
-        // - the ping scan is complete :
-        this.scannerICMP.on(Scanner.EVENT_COMPLETE, (data) => {
-            this.emit(EVENT_SCAN_COMPLETE, data);
-            // we retrieved information from all devices that responded to the ping.
-            Promise.all(this.devicesInfosPromises).then( (devicesArray) => {
-                this.emit(EVENT_DEVICES_INFOS, devicesArray);
-            });
-        });
-
-        // ARP EVENT MANAGEMENT
-        // - one device responds to ARP broadcast :
-        this.scannerARP.on(Scanner.EVENT_RESPONSE, (device) => {
-            this.emit(EVENT_ARP_RESPONSE, device);
-        });
-        // - the ARP scan is complete :
-        this.scannerARP.on(Scanner.EVENT_COMPLETE, (data) => {
-            this.emit(EVENT_ARP_COMPLETE, data);
-        });
-
-        // Checking the availability of the 'host' command on Linux
-        if(this.osType === OS_LINUX){
-            this._checkHostCommand();
+        // The inventory is updated by the events of all scans
+        if(this.inventory){
+            this.inventory.attach(this);
         }
+
+        // Hostnames are resolved with Node's resolver (no host / nslookup command needed)
+        this.resolver = ReverseDns.createResolver({ servers: this.dnsServers, timeout: this.timeout * 1000 });
     }
 
     /**
-     * Verify if the command 'host' is available on a linux computer
-     * Show warning if not installed
+     * Wait for the rate limiter before sending lookup packets (see options.rateLimit)
+     * @param {number} count Number of packets
      * @private
      */
-    _checkHostCommand() {
-        // Asynchronous verification without blocking initialization
-        ExecPromise('which host').then(() => {
-            // The command exists, everything is fine.
-        }).catch(() => {
-            // The command is not available, show warning.
-            console.warn('WARNING: Command "host" is not available on this computer. This command is necessary to determine others PCs hostnames');
-            console.warn('   For installing "host" on Raspberry Pi / Debian / Ubuntu, execute :');
-            console.warn('   sudo apt-get update && sudo apt-get install dnsutils');
-        });
+    async _acquirePackets(count = 1) {
+        if (this.rateLimiter) {
+            await this.rateLimiter.take(count);
+        }
     }
 
     /**
@@ -145,82 +218,28 @@ class LanDiscovery extends EventEmitter
         }
     }
 	
-	/**
-     * Retrieves the network's arp table (require previously executed os ping scan)
-     * (warning arp table does not works well on virtualbox debian 9 : show only one entry ...)
-     * same problem with vmware esxi or not ?  //TODO: test on ubuntu web server
+    /**
+     * Retrieves the network's neighbor table (ARP cache), see neighborTable()
+     * Only the resolved entries are returned (require previously executed os ping scan)
+     * @returns {Promise<Array>} [{ ip, mac, interface, state, type }]
      */
-    //TESTED ON : WINDOWS 7, DEBIAN 9
     async arpTable() {
-        return new Promise((resolve, reject) => {
-            let flag = '';
-            if(this.osType === OS_WINDOWS){
-                flag = '-a';  //on windows : -a is required even for single IP translation
-            }else{
-                flag = '-n';  //on debian : show ip in column Address
-            }
-            let args = ['arp', flag];
+        const table = await this.neighborTable();
+        return table.filter(entry => entry.mac !== null);
+    }
 
-            let command = args.join(' ');
-            // Get the Address Resolution Protocol cache
-            ExecPromise(command).then( (commandResult) => {
-                if(commandResult.stderr){
-                    throw new Error(commandResult.stderr);
-                }
-                /*
-                  Split the table into rows
-
-                  #Expected output (windows):
-                  Interface: 192.168.137.1 --- 0x2
-                      Internet Address      Physical Address      Type
-                      192.168.1.255         ff-ff-ff-ff-ff-ff     static
-                      192.168.2.1           04-a1-51-1b-12-92     dynamic
-                      224.0.0.22            01-00-5e-00-00-16     static
-
-                  #Expected output (linux):
-                  Adresse                  TypeMap AdresseMat          Indicateurs           Iface
-                  10.0.2.2                 ether   52:54:00:12:35:02   C                     enp0s3
-
-                */
-                const rows = commandResult.stdout.split('\n');
-                /**
-                 * The arp table
-                 */
-                const table = [];
-                // Loop over each row
-                for (const row of rows) {
-                    // Trim the white space from the row and collapse double spaces
-                    let words = row.trim()
-                        .replace(/\s+/g, ' ')
-                        .split(' ');
-                    // then split the row into columns of ip, mac, type
-                    let rIp = null;
-                    let rMac = null;
-                    if(this.osType === OS_WINDOWS){
-                        rIp = words[0];
-                        rMac = words[1];
-                    }else{
-                        rIp = words[0];
-                        rMac = words[2];
-                    }
-
-                    if (!F.isMAC(rMac)){
-                        //mac isn't a valid MAC address, this is a header row so we can just ignore it.
-                        continue;
-                    }
-                    // Add this row to the table
-                    table.push({
-                        ip: rIp,
-                        mac: F.normalizeMAC(rMac),
-                    });
-                }
-                // Resolve with the populated arp table
-                resolve(table);
-            })
-            .catch( (error) => {
-                reject(error);
-            });
-        });
+
+    /**
+     * Retrieves the network's neighbor table (ARP cache, or NDP cache for IPv6) with the entry states
+     * Linux : ip neigh (or /proc/net/arp without iproute2), macOS : arp -an / ndp -an, Windows : arp -a / netsh interface ipv6 show neighbors
+     * Example: await discovery.neighborTable()
+     *   => [{ ip: '192.168.1.1', mac: '04:A1:51:1B:12:92', interface: 'eth0', state: 'REACHABLE', type: 'dynamic' }, ...]
+     * @param {number} family - 4 (default) or 6
+     * @returns {Promise<Array>} mac is null for the INCOMPLETE entries,
+     *   state is REACHABLE, STALE, INCOMPLETE, PERMANENT or null when the OS doesn't report it, type is 'static' or 'dynamic'
+     */
+    async neighborTable(family = 4) {
+        return NeighborTable.read({ family });
     }
 
 
@@ -228,7 +247,8 @@ class LanDiscovery extends EventEmitter
      * Get all informations about a device identified by his IP address
      * @param ip
      * @param mac Optional MAC address if already known (from ARP scan)
-     * @returns {Promise<{ip: *, name: *, mac: null}>}
+     * @returns {Promise<{name, nameSource, ip, mac, vendor, isRandomizedMac, respondsToPing}>}
+     *   vendor and isRandomizedMac are null when the MAC address is unknown
      */
     async deviceInfos(ip, mac = null){
         F.validateParamIp(ip);
@@ -239,11 +259,15 @@ class LanDiscovery extends EventEmitter
             let r1 = await this.deviceMAC(ip);
             mac = (r1 ? r1.mac : null); //mac is null for self scan (not in arp table)
         }
-        let r2 = await this.deviceName(ip);
+        let r2 = await this.deviceNameInfos(ip);
+        if(mac===null && r2.mac) mac = r2.mac; // NetBIOS answers include the MAC address
         return {
-            'name' : r2,
+            'name' : r2.name,
+            'nameSource' : r2.source,
             'ip' : ip,
             'mac' : mac,
+            'vendor' : (mac ? MacVendor.lookup(mac) : null),
+            'isRandomizedMac' : (mac ? MacVendor.isRandomizedMac(mac) : null),
             'respondsToPing' : true
         };
     }
@@ -269,147 +293,207 @@ class LanDiscovery extends EventEmitter
     }
 	
 	
-	/**
-     * Get the MAC address for given IP address : look in os arp table for a specific ip addresses
+    /**
+     * Get the MAC address for given IP address : look in os neighbor table for a specific ip addresses
      * Warning : can return null if you haven't previously send a ping request
      * @param {String} ip
+     * @returns {Promise<Object|null>} the neighbor table entry { ip, mac, interface, state, type }, null if the MAC address is unknown
      */
-    //TESTED ON : WINDOWS 7, DEBIAN 9
     async deviceMAC(ip) {
-        return new Promise((resolve) => {
-            F.validateParamIp(ip);
-
-            let flag = '';
-            if(this.osType === OS_WINDOWS){
-                flag = '-a'; //on windows : -a is required even for single IP translation
-            }else{
-                flag = '-n';  //on debian : show ip in column Address
-            }
-            let args = ['arp', flag];
-
-            args.push(ip);
-            let command = args.join(' ');
-            if(this.verbose) console.log('command: ' + command);
-
-            ExecPromise(command).then( (commandResult) => {
-                if(commandResult.stderr){
-                    throw new Error(commandResult.stderr);
-                }
-                const rows = commandResult.stdout.split('\n');
-                // Loop over each row
-                for (const row of rows) {
-                    if(this.verbose) console.log('command result row: ' + row);
-
-                    // Trim the white space from the row and collapse double spaces
-                    let words = row.trim()
-                        .replace(/\s+/g, ' ')
-                        .split(' ');
-                    // then split the row into columns of ip, mac, type
-                    let rIp = null;
-                    let rMac = null;
-                    if(this.osType === OS_WINDOWS){
-                        rIp = words[0];
-                        rMac = words[1];
-                    }else{
-                        rIp = words[0];
-                        rMac = words[2];
-                    }
-
-                    if (F.isMAC(rMac)){
-                        resolve({
-                            ip : rIp,
-                            mac : F.normalizeMAC(rMac),
-                        });
-                    }
-                    //else : mac isn't a valid MAC address, this is a header row so we can just ignore it.
-                }
-                resolve(null);
-            })
-            .catch( (error) => {
-                if(this.verbose) console.error('ERROR: ', error);
-                resolve(null);
-            });
-        });
+        F.validateParamIp(ip);
+        try {
+            const table = await this.neighborTable();
+            return table.find(entry => entry.ip === ip && entry.mac !== null) || null;
+        } catch (error) {
+            if(this.verbose) console.error('ERROR: ', error);
+            return null;
+        }
     }
 	
 	
-	/**
-     * Get hostname from ip address
-     * https://www.plesk.com/blog/various/reverse-dns-lookup/
-     * @param {String} ip
+    /**
+     * Get hostname from ip address, see deviceNameInfos()
+     * @param {string} ip The IP address
+     * @returns {Promise<string|null>} null if no source has a name for the IP
      */
-    //TESTED ON : WINDOWS 7, DEBIAN 9
     async deviceName(ip) {
-        return new Promise((resolve) => {
-            F.validateParamIp(ip);
-            // Ensure timeout has a default value to avoid "undefined" in command
-            const timeout = this.timeout || 4;
-            let exe = 'host';
-            let flag = '-W='+timeout;
-            if(this.osType === OS_WINDOWS){
-                exe = 'nslookup';
-                flag = '-timeout='+timeout;
+        const infos = await this.deviceNameInfos(ip);
+        return infos.name;
+    }
+
+
+    /**
+     * Get hostname from ip address and the source that gave it
+     * The sources of the nameSources constructor option are queried in parallel (a device is named within the slowest timeout,
+     * not their sum), the name of the first source in this order is kept :
+     * - dns : reverse DNS (first PTR record, see deviceNames())
+     * - mdns : unicast mDNS reverse query to the device ('macbook.local')
+     * - llmnr : unicast LLMNR reverse query to the device (Windows, systemd-resolved)
+     * - netbios : NetBIOS node status (Windows computers, Samba servers, see deviceNetbios())
+     *
+     * Example: await discovery.deviceNameInfos('192.168.1.20') => { name: 'DESKTOP-42', source: 'llmnr', mac: null }
+     * @param {string} ip The IP address
+     * @returns {Promise<{name: string|null, source: string|null, mac: string|null}>} mac is given by the netbios source
+     */
+    async deviceNameInfos(ip) {
+        F.validateParamIp(ip);
+        const lookups = this.nameSources.map(source => this._nameLookup(ip, source).catch((error) => {
+            console.error(`ERROR: ${source} name lookup of ${ip}:`, error.message);
+            return { name: null, mac: null };
+        }));
+        // the later sources keep running in the background once a name is found
+        for (let i = 0; i < lookups.length; i++) {
+            const { name, mac } = await lookups[i];
+            if (name) {
+                const source = this.nameSources[i];
+                if(this.verbose) console.log(`hostname of ${ip} found with ${source}: ${name}`);
+                return { name, source, mac };
             }
-            let args = [exe, flag];
-            args.push(ip);
-            let command = args.join(' ');
-            if(this.verbose) console.log('command: ' + command);
-
-            ExecPromise(command).then( (commandResult) => {
-                if(commandResult.stderr){
-                    throw new Error(commandResult.stderr);
-                }
-                let hostname = null;
-                let rows = commandResult.stdout.split('\n');
-
-                switch(this.osType){
-                    case OS_WINDOWS :
-                        if(rows.length>3){
-                            //On windows, we can only rely on line number to parse hostname
-                            //nslookup -timeout=60 192.168.1.66
-                            //Name :    redminote2-redmi-13.home
-                            //Nom :    redminote2-redmi-13.home
-                            //... depending on windows language
-                            hostname = rows[3].trim()
-                                .replace(/\s+/g, ' ')
-                                .split(' ')
-                                .pop();
-                        }
-                        break;
-                    case OS_LINUX :
-                    case OS_MAC :
-                        //On debian command "host 192.168.1.10" output :
-                        //10.1.168.192.in-addr.arpa domain name pointer pc-damien.home.
-                        //(host command is also available on Mac OS)
-                        hostname = rows[0].trim() //first row
-                            .replace(/\s+/g, ' ')
-                            .split(' ')
-                            .pop()
-                            .slice(0,-1); // remove final point
-                        break;
-                }
+        }
+        return { name: null, source: null, mac: null };
+    }
 
-                resolve(hostname);
-            }).catch( (error) => {
-                if(this.verbose) console.error('ERROR: ', error);
-                //WINDOWS 7 : ERROR:  Error: *** UnKnown ne parvient pas à trouver 192.168.1.22 : Non-existent domain
-                resolve(null);
-            });
 
-        });
+    /**
+     * Ask one hostname source for the name of an ip address
+     * @param {string} ip The IP address
+     * @param {string} source NAME_SOURCE_DNS, NAME_SOURCE_MDNS, NAME_SOURCE_LLMNR or NAME_SOURCE_NETBIOS
+     * @returns {Promise<{name: string|null, mac: string|null}>}
+     * @private
+     */
+    async _nameLookup(ip, source) {
+        switch (source) {
+            case NAME_SOURCE_DNS : {
+                const names = await this.deviceNames(ip);
+                return { name: names.length ? names[0] : null, mac: null };
+            }
+            case NAME_SOURCE_MDNS :
+                await this._acquirePackets();
+                return { name: await LocalName.mdnsReverseLookup(ip, { timeout: this.nameTimeout }), mac: null };
+            case NAME_SOURCE_LLMNR :
+                await this._acquirePackets();
+                return { name: await LocalName.llmnrReverseLookup(ip, { timeout: this.nameTimeout }), mac: null };
+            case NAME_SOURCE_NETBIOS : {
+                const status = await this.deviceNetbios(ip);
+                return { name: status ? status.name : null, mac: status ? status.mac : null };
+            }
+        }
+        return { name: null, mac: null };
+    }
+
+
+    /**
+     * Get all the hostnames of an ip address (reverse DNS, all PTR records)
+     * Lookups use the dnsServers constructor option (default: system DNS servers) and the timeout option.
+     *
+     * Example: await discovery.deviceNames('192.168.1.10', { verify: true }) => ['nas.home']
+     * @param {string} ip The IP address
+     * @param {Object} options - { verify }
+     * @param {boolean} options.verify - Keep only the forward-confirmed names, resolving back to ip (default: the fcrdns constructor option)
+     * @returns {Promise<Array<string>>} empty array if the IP has no name
+     */
+    async deviceNames(ip, { verify = this.fcrdns } = {}) {
+        F.validateParamIp(ip);
+        if(this.verbose) console.log('reverse DNS lookup: ' + ip);
+        await this._acquirePackets();
+        return ReverseDns.reverseLookup(this.resolver, ip, { verify, verbose: this.verbose });
+    }
+
+
+    /**
+     * Get the NetBIOS node status of a device (UDP 137 NBSTAT request, no DNS server needed)
+     *
+     * Example: await discovery.deviceNetbios('192.168.1.20')
+     *   => { name: 'DESKTOP-42', workgroup: 'WORKGROUP', mac: '00:15:5D:01:02:03', names: [{ name, suffix, group }] }
+     * @param {string} ip The IP address
+     * @param {Object} options - { timeout } (default: the netbios constructor option)
+     * @returns {Promise<Object|null>} null if the device doesn't answer
+     */
+    async deviceNetbios(ip, options = {}) {
+        F.validateParamIp(ip);
+        await this._acquirePackets();
+        const status = await NetBios.nodeStatus(ip, { ...(this.netbios || { timeout: 1000 }), ...options });
+        if (!status) {
+            return null;
+        }
+        return { name: status.name, workgroup: status.workgroup, mac: status.mac, names: status.names };
+    }
+
+
+    /**
+     * Measure the latency and the packet loss of a device (ICMP echo requests, root/administrator rights on Linux/macOS)
+     *
+     * Example: await discovery.ping('192.168.1.20', { count: 10 })
+     *   => { ip, sent: 10, received: 9, lossPercent: 10, minMS: 1.8, avgMS: 12.4, maxMS: 31.2, jitterMS: 14.7, probes: [{ seq, rttMS, ttl, replyFrom, error }] }
+     * @param {string} ip The IP address
+     * @param {Object} options - { count, interval, timeout }
+     * @param {number} options.count - Number of probes (default: 4)
+     * @param {number} options.interval - Delay between two probes in milliseconds (default: 1000)
+     * @param {number} options.timeout - Reply timeout of a probe in milliseconds (default: 1000)
+     * @returns {Promise<Object>} the times are in milliseconds, null when no probe was answered
+     *   (jitterMS : mean difference between two consecutive round-trip times)
+     */
+    async ping(ip, { count = 4, interval = 1000, timeout = 1000 } = {}) {
+        F.validateParamIp(ip);
+        const [stats] = await Latency.measure([ip], { count, interval, timeout, rateLimiter: this.rateLimiter });
+        return stats;
+    }
+
+
+    /**
+     * Measure the latency and the packet loss of several devices (the devices of a scan for example)
+     * The probes go round-robin over the devices and two probes are spaced by interval whatever their device, as the pings of startScan().
+     *
+     * Example: let { devices } = await discovery.scan(); await discovery.pingDevices(devices, { count: 10, interval: 100 })
+     * @param {Array} devices - IP addresses or device objects ({ ip })
+     * @param {Object} options - { count, interval, timeout }
+     * @param {number} options.count - Number of probes per device (default: 4)
+     * @param {number} options.interval - Delay between two probes in milliseconds (default: 200)
+     * @param {number} options.timeout - Reply timeout of a probe in milliseconds (default: 1000)
+     * @returns {Promise<Array>} ping() result of each device, in the devices order
+     */
+    async pingDevices(devices, { count = 4, interval = 200, timeout = 1000 } = {}) {
+        if (!Array.isArray(devices)) {
+            let msg = 'devices must be an array of IP addresses or devices';
+            console.error(msg + ', got :', devices);
+            throw new Error(msg);
+        }
+        const ips = devices.map(device => (device && typeof device === 'object' ? device.ip : device));
+        F.validateParamIpArray(ips);
+        return Latency.measure(ips, { count, interval, timeout, rateLimiter: this.rateLimiter });
     }
-	
+
 
     /**
      * Return active network informations
+     * @param {string} family - 'v4' (default) or 'v6' : interface of the IPv6 default route, with its IPv6 address
      */
-    async getDefaultInterface() {
+    async getDefaultInterface(family = 'v4') {
+        if (family !== 'v4' && family !== 'v6') {
+            throw new Error(`Invalid family: ${family}. Please choose 'v4' or 'v6'`);
+        }
         const DefaultInterface = require('./utils/default-interface-util.js');
-        let data = await DefaultInterface.v4();
+        let data = await DefaultInterface[family]();
         if(data === null){
             throw new Error("default gateway cannot be determined");
         }
 
+        if (family === 'v6') {
+            // no Netmask for IPv6 : ipaddr.js gives the prefix length and the network address
+            const [address, bitmask] = IpAddr.parseCIDR(data.cidr);
+            return {
+                name: data.name,
+                cidr: data.cidr,
+                ip_address: data.address,
+                mac_address: F.normalizeMAC(data.mac),
+                fullmask: data.netmask,
+                bitmask: bitmask,
+                network: IpAddr.IPv6.networkAddressFromCIDR(`${address.toString()}/${bitmask}`).toString(),
+                family: data.family,
+                gateway_ip: data.gateway,
+            };
+        }
+
         //we need cdir notation of the lan, so we translate 192.168.1.1/255.255.255.0 to 192.168.1.1/24
         //(to remove Netmask dependencie, we might use ipaddr.js plugin function : prefixLengthFromSubnetMask(), but still need a way to determine network address...)
         // Use address instead of gateway if gateway is null (fallback case)
@@ -430,6 +514,19 @@ class LanDiscovery extends EventEmitter
     }
 
 
+    /**
+     * List the network interfaces of this host with their type and all their addresses
+     * Types : 'physical', 'wireless', 'virtual', 'docker', 'vpn' or 'loopback' (LanDiscovery.INTERFACE_TYPE_*)
+     *
+     * Example: discovery.listInterfaces().filter(item => item.type === LanDiscovery.INTERFACE_TYPE_WIRELESS)
+     * @returns {Array} [{ name, type, mac, internal, addresses: [{ address, family, netmask, cidr, subnet, scopeid }] }]
+     *   (the items can be passed to the networkInterfaces parameter of the scans)
+     */
+    listInterfaces() {
+        return NetworkInterfaces.listInterfaces();
+    }
+
+
     /**
      * isMAC (internal function exposed)
      */
@@ -443,289 +540,257 @@ class LanDiscovery extends EventEmitter
 
 
     /**
-     * Start the lan scan (Node ICMP Requests) and return the class object
+     * Get the vendor of a MAC address with the bundled IEEE database (MA-L, MA-M and MA-S registries, updated by npm run update-oui)
+     * Example: LanDiscovery.macVendor('5C:47:5E:8C:0A:C2') => 'Ring LLC'
+     * @param mac The MAC address
+     * @returns {string|null} null when the prefix is not assigned (locally administered / randomized MAC for example)
+     */
+    static macVendor(mac){
+        if (!F.isMAC(mac)){
+            throw new Error('Invalid MAC');
+        }
+        return MacVendor.lookup(mac);
+    };
+
+
+    /**
+     * Check if a MAC address is locally administered : randomized by phones and computers for privacy, or assigned to a virtual machine
+     * @param mac The MAC address
+     * @returns {boolean}
+     */
+    static isRandomizedMac(mac){
+        if (!F.isMAC(mac)){
+            throw new Error('Invalid MAC');
+        }
+        return MacVendor.isRandomizedMac(mac);
+    };
+
+
+    /**
+     * Compare two device arrays (EVENT_DEVICES_INFOS results)
+     * Devices are matched by MAC address, with an IP fallback for devices without MAC (ex: self device)
+     *
+     * Example: let { added, removed, changed } = LanDiscovery.diff(yesterdayDevices, todayDevices)
+     * @param {Array} before - Devices of the first scan
+     * @param {Array} after - Devices of the second scan
+     * @returns {{added: Array, removed: Array, changed: Array}} changed items are { before, after, changes },
+     *   changes lists the modified fields (ip, mac, name, respondsToPing) as { from, to }
+     */
+    static diff(before, after){ return deviceDiff(before, after) };
+
+
+    /**
+     * Create a new scan session
+     * Each session owns its scanners, its pending device informations and its events,
+     * so several scans can run at the same time on one LanDiscovery instance.
+     * Session events are also emitted by the LanDiscovery instance.
+     * @returns {ScanSession}
+     */
+    createSession(){
+        const session = new ScanSession(this);
+        SESSION_EVENTS.forEach((eventName) => {
+            session.on(eventName, (...args) => this.emit(eventName, ...args));
+        });
+        return session;
+    }
+
+    /**
+     * Start the lan scan (Node ICMP Requests) and return the scan session
+     * @param {Object} objParam - see ScanSession.startScan()
+     * @returns {ScanSession}
      */
     startScan(objParam){
-        F.validateParamIpArray(objParam.ipArrayToScan);
-        this.devicesInfosPromises = [];
-        this.scannerICMP.start(objParam);
-        return this;
+        return this.createSession().startScan(objParam);
     }
 
     /**
-     * Start hybrid scan: ARP broadcast first, then ping only on discovered IPs
-     * This method combines ARP broadcast (low impact) + ping (L3 liveliness check)
-     * @param {Object} objParam - { networkInterface, timeout, verbose, interval }
-     * @param {Object} objParam.networkInterface - Network interface object (required)
-     * @param {number} objParam.timeout - Timeout in milliseconds (default: 3000)
-     * @param {boolean} objParam.verbose - Enable verbose logging (default: false)
-     * @param {number} objParam.interval - Delay between ICMP pings in milliseconds (default: 0)
-     *   - 0ms: No delay (all pings sent simultaneously)
-     *   - 100ms: Occasional use, home LAN (5min for /24)
-     *   - 200ms: Production/sensitive (10min) - recommended, zero perceptible impact
-     *   - 500ms: Paranoid/critical network
-     * @returns {Promise<This>}
+     * Start the lan scan with TCP connections (networks filtering ICMP, no root rights required) and return the scan session
+     * @param {Object} objParam - see ScanSession.startTcpScan()
+     * @returns {ScanSession}
      */
-    async startHybridScan(objParam = {}){
-        if (!objParam.networkInterface) {
-            throw new Error('networkInterface is required for hybrid scan');
-        }
+    startTcpScan(objParam){
+        return this.createSession().startTcpScan(objParam);
+    }
 
-        // Check admin/root privileges (required for ARP scan)
-        const hasAdminRights = await this._checkAdminPrivileges();
-        if (!hasAdminRights) {
-            throw new Error('root/administrator rights are required for hybrid scan');
-        }
+    /**
+     * Start TCP port scan (open / closed / filtered state of each port) and return the scan session
+     * @param {Object} objParam - see ScanSession.startPortScan()
+     * @returns {ScanSession}
+     */
+    startPortScan(objParam){
+        return this.createSession().startPortScan(objParam);
+    }
 
-        const networkInterface = objParam.networkInterface;
-        const timeout = objParam.timeout || 3000;
-        const verbose = objParam.verbose !== undefined ? objParam.verbose : this.verbose;
-        const interval = objParam.interval !== undefined ? objParam.interval : 0;
+    /**
+     * Start UDP scan (DNS, NTP, SNMP, NetBIOS and SSDP probes) and return the scan session
+     * @param {Object} objParam - see ScanSession.startUdpScan()
+     * @returns {ScanSession}
+     */
+    startUdpScan(objParam){
+        return this.createSession().startUdpScan(objParam);
+    }
 
-        // Calculate broadcast IP from network interface
-        const Netmask = require('netmask').Netmask;
-        const block = new Netmask(networkInterface.cidr);
-        const broadcastIP = block.broadcast;
+    /**
+     * Start mDNS / DNS-SD browsing (hostnames and advertised services) and return the scan session
+     * @param {Object} objParam - see ScanSession.startMdnsScan()
+     * @returns {ScanSession}
+     */
+    startMdnsScan(objParam = {}){
+        return this.createSession().startMdnsScan(objParam);
+    }
 
-        if (this.verbose || verbose) {
-            console.log('Starting hybrid scan: ARP "broadcast" + reactive ping on discovered IPs');
-            console.log(`Network: ${networkInterface.cidr}, Broadcast: ${broadcastIP}`);
-            console.log(`Ping interval: ${interval}ms`);
-        }
+    /**
+     * Start SSDP / UPnP discovery (device descriptions) and return the scan session
+     * @param {Object} objParam - see ScanSession.startSsdpScan()
+     * @returns {ScanSession}
+     */
+    startSsdpScan(objParam = {}){
+        return this.createSession().startSsdpScan(objParam);
+    }
 
-        // Variables for ping queue management
-        const pingQueue = [];
-        const pingInProgress = new Set();
-        const pingCompleted = new Map();
-        const arpDeviceMap = new Map();
-        let lastPingTime = 0;
-        let arpScanComplete = false;
-        const NetPing = require('net-ping');
-        
-        // Create a shared net-ping session for all pings
-        const sharedPingSession = NetPing.createSession({ timeout, retries: 0 });
-
-        // Function to check ping and emit EVENT_DEVICES_INFOS
-        const checkAndEmitDevicesInfos = () => {
-            if (!arpScanComplete) {
-                if (this.verbose || verbose) {
-                    console.log('checkAndEmitDevicesInfos: ARP scan not complete yet');
-                }
-                return; // The ARP scan is not yet complete
-            }
-            
-            if (pingInProgress.size > 0 || pingQueue.length > 0) {
-                if (this.verbose || verbose) {
-                    console.log(`checkAndEmitDevicesInfos: Still ${pingInProgress.size} pings in progress, ${pingQueue.length} in queue`);
-                }
-                return; // There are still pings in progress or pending
-            }
-            
-            // All pings are finished, build the final results table
-            const allDevices = Array.from(pingCompleted.values());
-            
-            if (this.verbose || verbose) {
-                console.log(`checkAndEmitDevicesInfos: All pings complete. Found ${allDevices.length} devices in pingCompleted`);
-            }
-            
-            // Sort results table by IP address
-            allDevices.sort((a, b) => {
-                const ipA = a.ip.split('.').map(Number);
-                const ipB = b.ip.split('.').map(Number);
-                for (let i = 0; i < 4; i++) {
-                    if (ipA[i] !== ipB[i]) {
-                        return ipA[i] - ipB[i];
-                    }
-                }
-                return 0;
-            });
-            
-            // Free resources
-            sharedPingSession.close();
-            
-            // Restore default ARP handlers
-            this.scannerARP.removeAllListeners(Scanner.EVENT_RESPONSE);
-            this.scannerARP.removeAllListeners(Scanner.EVENT_COMPLETE);
-            this.scannerARP.on(Scanner.EVENT_RESPONSE, (device) => {
-                this.emit(EVENT_ARP_RESPONSE, device);
-            });
-            this.scannerARP.on(Scanner.EVENT_COMPLETE, (data) => {
-                this.emit(EVENT_ARP_COMPLETE, data);
-            });
-            
-            if (this.verbose || verbose) {
-                console.log(`All pings complete: emitting devicesInfos for ${allDevices.length} devices`);
-            }
-            
-            // Send completion events EVENT_SCAN_COMPLETE and EVENT_DEVICES_INFOS
-            this.emit(EVENT_SCAN_COMPLETE, {
-                ipArray: allDevices.map(d => d.ip),
-                scanCount: allDevices.length,
-                scanTimeMS: 0,
-                scanAverageMS: 0
-            });
-            this.emit(EVENT_DEVICES_INFOS, allDevices);
-        };
+    /**
+     * Start IPv6 host discovery (ICMPv6 echo to ff02::1 and neighbor cache) and return the scan session
+     * @param {Object} objParam - see ScanSession.startIpv6Scan()
+     * @returns {ScanSession}
+     */
+    startIpv6Scan(objParam = {}){
+        return this.createSession().startIpv6Scan(objParam);
+    }
 
-        // Function to perform a ICMP request
-        const executePing = () => {
-            if (pingQueue.length === 0) {
-                return;
-            }
-            
-            const { ip, mac } = pingQueue.shift();
-            pingInProgress.add(ip);
-            lastPingTime = Date.now();
-            
-            if (this.verbose || verbose) {
-                console.log(`Pinging ${ip} (${mac})`);
-            }
-            
-            sharedPingSession.pingHost(ip, async (error) => {
-                pingInProgress.delete(ip);
-                
-                const knownMAC = arpDeviceMap.get(ip) || mac;
-                
-                try {
-                    const deviceInfo = await this.deviceInfos(ip, knownMAC);
-                    deviceInfo.respondsToPing = !error;
-                    pingCompleted.set(ip, deviceInfo);
-                    
-                    this.emit(EVENT_DEVICE_INFOS, deviceInfo);
-                    
-                    if (!error) {
-                        this.emit(EVENT_SCAN_RESPONSE, ip);
-                    }
-                } catch (e) {
-                    // In case of error, create a minimal deviceInfo for the device
-                    const deviceInfo = {
-                        ip: ip,
-                        mac: knownMAC,
-                        name: null,
-                        respondsToPing: !error
-                    };
-                    pingCompleted.set(ip, deviceInfo);
-                    this.emit(EVENT_DEVICE_INFOS, deviceInfo);
-                    
-                    if (!error) {
-                        this.emit(EVENT_SCAN_RESPONSE, ip);
-                    }
-                }
-                launchNextPing();
-                // Check if we can emit the final results
-                checkAndEmitDevicesInfos();
-            });
-        };
+    /**
+     * Start hybrid scan: ARP broadcast first, then ping only on discovered IPs
+     * @param {Object} objParam - see ScanSession.startHybridScan()
+     * @returns {Promise<ScanSession>}
+     */
+    async startHybridScan(objParam = {}){
+        return this.createSession().startHybridScan(objParam);
+    }
 
-        // Function to launch the next ping while respecting the interval
-        const launchNextPing = () => {
-            if (pingQueue.length === 0) {
-                return; // Queue vide
-            }
-            
-            // If interval = 0, multiple pings can be launched in parallel.
-            // Otherwise, we limit it to one ping at a time to respect the interval
-            if (interval > 0 && pingInProgress.size > 0) {
-                return; // A ping is already in progress and we must respect the interval
-            }
-            
-            const now = Date.now();
-            const timeSinceLastPing = now - lastPingTime;
-            
-            if (interval === 0 || timeSinceLastPing >= interval) {
-                // Delay respected, launch immediately
-                executePing();
-            } else {
-                // Schedule the ping after the remaining timeout
-                const delay = interval - timeSinceLastPing;
-                setTimeout(() => {
-                    executePing();
-                }, delay);
-            }
-        };
+    /**
+     * Run a complete scan and return promise resolving the final device list
+     * Events are still emitted during the scan for callers that want streaming.
+     *
+     * Example: let { devices, summary } = await discovery.scan({ mode: 'hybrid', networkInterface: myInterface })
+     * @param {Object} objParam - parameters of the start method of the scan mode, plus :
+     * @param {string} objParam.mode - 'icmp' (default, see startScan), 'tcp' (see startTcpScan), 'ports' (see startPortScan),
+     *   'udp' (see startUdpScan), 'mdns' (see startMdnsScan), 'ssdp' (see startSsdpScan), 'ipv6' (see startIpv6Scan)
+     *   or 'hybrid' (see startHybridScan)
+     * @returns {Promise<{devices: Array, summary: Object}>} devices is the EVENT_DEVICES_INFOS array,
+     *   summary is the EVENT_SCAN_COMPLETE data ({ ipArray, scanCount, scanTimeMS, scanAverageMS })
+     */
+    async scan(objParam = {}){
+        const { mode = SCAN_MODE_ICMP, ...scanParam } = objParam;
+        const session = await this._startSession(mode, scanParam);
+        return session.result();
+    }
 
-        // Function to add a ping to the queue
-        const schedulePing = (ip, mac) => {
-            if (pingInProgress.has(ip) || pingCompleted.has(ip)) {
-                if (this.verbose || verbose) {
-                    console.log(`schedulePing: Skipping ${ip} (already in progress or completed)`);
-                }
-                return; // Ping already in progress or completed
-            }
-            
-            pingQueue.push({ ip, mac });
-            arpDeviceMap.set(ip, mac);
-            
-            if (this.verbose || verbose) {
-                console.log(`schedulePing: Added ${ip} to queue (queue size: ${pingQueue.length})`);
-            }
-            
-            launchNextPing();
+    /**
+     * Stream the discovered devices with an async iterator
+     * Each device is yielded as soon as its informations are retrieved (EVENT_DEVICE_INFOS),
+     * the iteration ends with the scan (it throws when the scan fails). Leaving the loop early (break, return, throw) aborts the scan.
+     *
+     * Example: for await (const device of discovery.devices({ mode: 'hybrid', networkInterface: myInterface })) { ... }
+     * @param {Object} objParam - same parameters as scan()
+     * @returns {AsyncIterableIterator<Object>}
+     */
+    async *devices(objParam = {}){
+        const { mode = SCAN_MODE_ICMP, ...scanParam } = objParam;
+        const queue = [];
+        let scanFinished = false;
+        let wakeUp = null;
+        const onDeviceInfos = (device) => {
+            queue.push(device);
+            if (wakeUp) wakeUp();
+        };
+        const onDevicesInfos = () => {
+            scanFinished = true;
+            if (wakeUp) wakeUp();
         };
 
-        // Listen for ARP events (temporarily replace the default handlers)
-        const arpResponseHandler = (device) => {
-            this.emit(EVENT_ARP_RESPONSE, device);
-            if (this.verbose || verbose) {
-                console.log(`arpResponseHandler: Received ARP response for ${device.ip} (${device.mac})`);
+        let session = null;
+        let startError = null;
+        // startHybridScan() resolves after the ARP phase : the devices pinged meanwhile are yielded without waiting for it
+        this._startSession(mode, scanParam, (newSession) => {
+            session = newSession;
+            newSession.on(EVENT_DEVICE_INFOS, onDeviceInfos);
+            newSession.on(EVENT_DEVICES_INFOS, onDevicesInfos);
+        }).catch((error) => {
+            startError = error;
+            if (wakeUp) wakeUp();
+        });
+        try {
+            while (!startError && (queue.length || !scanFinished)) {
+                if (queue.length) {
+                    yield queue.shift();
+                } else {
+                    await new Promise((resolve) => { wakeUp = resolve; });
+                    wakeUp = null;
+                }
             }
-            schedulePing(device.ip, device.mac);
-        };
-        
-        const arpCompleteHandler = (data) => {
-            this.emit(EVENT_ARP_COMPLETE, data);
-            arpScanComplete = true;
-            
-            if (this.verbose || verbose) {
-                console.log(`ARP scan complete. Waiting for ${pingInProgress.size + pingQueue.length} pending pings to finish...`);
+            if (startError || session.error) {
+                throw startError || session.error;
             }
-            
-            // checkAndEmitDevicesInfos() will be automatically called in executePing() after each ping is completed.
-            // No need to call it here unless no ping has been initiated (empty queue and none in progress).
-            if (pingInProgress.size === 0 && pingQueue.length === 0) {
-                checkAndEmitDevicesInfos();
+        } finally {
+            if (session) {
+                session.removeListener(EVENT_DEVICE_INFOS, onDeviceInfos);
+                session.removeListener(EVENT_DEVICES_INFOS, onDevicesInfos);
+                if (!scanFinished) {
+                    session.abort(new Error('devices() iteration stopped'));
+                }
             }
-        };
+        }
+    }
+
+    /**
+     * Start the continuous monitoring of the lan
+     * Scans are repeated and devices are tracked by MAC address (IP fallback),
+     * the returned monitor emits deviceJoined, deviceLeft, ipChanged and nameChanged events.
+     *
+     * Example: let monitor = discovery.monitor({ intervalMs: 60000, mode: 'hybrid', networkInterface: myInterface, missThreshold: 3 })
+     * @param {Object} objParam - { intervalMs, mode, missThreshold } plus the scan() parameters, see DeviceMonitor
+     * @returns {DeviceMonitor} call monitor.stop() to stop monitoring
+     */
+    monitor(objParam = {}){
+        return new DeviceMonitor(this, objParam).start();
+    }
 
-        // Remove the default handlers and add our own
-        this.scannerARP.removeAllListeners(Scanner.EVENT_RESPONSE);
-        this.scannerARP.removeAllListeners(Scanner.EVENT_COMPLETE);
-        this.scannerARP.on(Scanner.EVENT_RESPONSE, arpResponseHandler);
-        this.scannerARP.on(Scanner.EVENT_COMPLETE, arpCompleteHandler);
+    /**
+     * Create a session and start it with the given scan mode
+     * @param {string} mode - 'icmp', 'tcp', 'ports', 'udp', 'mdns', 'ssdp', 'ipv6' or 'hybrid'
+     * @param {Object} scanParam - parameters of the start method
+     * @param {Function} beforeStart - Optional callback receiving the session before the scan starts
+     * @returns {Promise<ScanSession>}
+     * @private
+     */
+    async _startSession(mode, scanParam, beforeStart = null){
+        if (!SCAN_MODES.includes(mode)) {
+            throw new Error(`Invalid scan mode: ${mode}. Please choose one of: ${SCAN_MODES.join(', ')}`);
+        }
 
-        // Start the ARP scan (pings will be sent sequentially via events)
-        try {
-            await this.scannerARP.start({
-                networkInterface: networkInterface,
-                broadcastIP: broadcastIP,
-                timeout: timeout,
-                verbose: verbose
-            });
-        } catch (error) {
-            // Close the session if an error occurs.
-            sharedPingSession.close();
-            
-            // Restore default handlers
-            this.scannerARP.removeAllListeners(Scanner.EVENT_RESPONSE);
-            this.scannerARP.removeAllListeners(Scanner.EVENT_COMPLETE);
-            this.scannerARP.on(Scanner.EVENT_RESPONSE, (device) => {
-                this.emit(EVENT_ARP_RESPONSE, device);
-            });
-            this.scannerARP.on(Scanner.EVENT_COMPLETE, (data) => {
-                this.emit(EVENT_ARP_COMPLETE, data);
-            });
-            
-            throw new Error('ARP scan failed, error: ' + (error.message || error.toString() || 'Unknown error'));
+        const session = this.createSession();
+        if (beforeStart) {
+            beforeStart(session);
+        }
+        if (mode === SCAN_MODE_HYBRID) {
+            await session.startHybridScan(scanParam);
+        } else if (mode === SCAN_MODE_TCP) {
+            session.startTcpScan(scanParam);
+        } else if (mode === SCAN_MODE_PORTS) {
+            session.startPortScan(scanParam);
+        } else if (mode === SCAN_MODE_UDP) {
+            session.startUdpScan(scanParam);
+        } else if (mode === SCAN_MODE_MDNS) {
+            session.startMdnsScan(scanParam);
+        } else if (mode === SCAN_MODE_SSDP) {
+            session.startSsdpScan(scanParam);
+        } else if (mode === SCAN_MODE_IPV6) {
+            session.startIpv6Scan(scanParam);
+        } else {
+            session.startScan(scanParam);
         }
-        
-        // If (no device has been discovered) AND (all pings have completed) => Then emit completion events
-        // Note: This check is performed after the ARP scan, but we wait until all pings are complete.
-        // via checkAndEmitDevicesInfos() which will be called in executePing() after each ping is completed
-        
-        return this;
+        return session;
     }
 
-
 }
 
 /**
@@ -736,4 +801,31 @@ module.exports = LanDiscovery;
 /**
  * Export CIDR range utility function (replacement for cidr-range package)
  */
-module.exports.cidrRange = require('./utils/cidr-range-util');
\ No newline at end of file
+module.exports.cidrRange = require('./utils/cidr-range-util');
+
+/**
+ * Export port list parser ("22,80,443,8000-8100", "top100") used by startPortScan()
+ */
+module.exports.parsePorts = require('./utils/port-range-util');
+
+/**
+ * Export target specification parsers (nmap syntax : CIDR blocks, ranges, hostnames and exclusions) used by the targets parameter of the scans
+ */
+module.exports.expandTargets = require('./utils/target-spec-util').expandTargets;
+module.exports.generateTargets = require('./utils/target-spec-util').generateTargets;
+module.exports.resolveTargets = require('./utils/target-spec-util').resolveTargets;
+
+/**
+ * Export ScanSession class (returned by startScan() / startTcpScan() / startPortScan() / startUdpScan() / startMdnsScan() / startSsdpScan() / startIpv6Scan() / startHybridScan())
+ */
+module.exports.ScanSession = ScanSession;
+
+/**
+ * Export DeviceMonitor class (returned by monitor())
+ */
+module.exports.DeviceMonitor = DeviceMonitor;
+
+/**
+ * Export DeviceInventory class (see options.inventory)
+ */
+module.exports.DeviceInventory = DeviceInventory;
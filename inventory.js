@@ -0,0 +1,254 @@
+'use strict'
+
+const Fs = require('fs');
+const Path = require('path');
+const F = require('./functions');
+const ScanSession = require('./scan-session');
+
+//CONSTANTS
+const DEFAULT_INVENTORY_FILE = 'lan-discovery-inventory.json';
+
+/**
+ * Returns a copy of an inventory record (callers can't alter the inventory)
+ */
+function copyRecord(record) {
+    return { ...record, ips: [...record.ips], hostnames: [...record.hostnames] };
+}
+
+/**
+ * Inventory adapter storing the records in a JSON file (default adapter)
+ * An adapter is any object with two async methods :
+ * - load() : resolves the array of stored records
+ * - save(records) : stores the array of records
+ */
+class JsonFileAdapter {
+
+    /**
+     * Constructor
+     * @param {string} path JSON file path (default: lan-discovery-inventory.json in the working directory)
+     */
+    constructor(path = DEFAULT_INVENTORY_FILE) {
+        this.path = Path.resolve(path);
+    }
+
+    async load() {
+        try {
+            const content = await Fs.promises.readFile(this.path, 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return []; // no inventory yet
+            }
+            throw new Error(`Unable to load inventory file ${this.path}: ${error.message}`);
+        }
+    }
+
+    async save(records) {
+        // write a temporary file then rename it, so the inventory file is never left half written
+        const tmpPath = this.path + '.tmp';
+        await Fs.promises.writeFile(tmpPath, JSON.stringify(records, null, 2));
+        await Fs.promises.rename(tmpPath, this.path);
+    }
+
+}
+
+/**
+ * Inventory adapter keeping the records in memory (nothing is persisted)
+ */
+class MemoryAdapter {
+
+    constructor(records = []) {
+        this.records = records;
+    }
+
+    async load() {
+        return this.records;
+    }
+
+    async save(records) {
+        this.records = records;
+    }
+
+}
+
+/**
+ * Persistent device inventory keyed by MAC address
+ * Keeps firstSeen / lastSeen and every IP address and hostname seen for each device.
+ * Devices without MAC address (ex: self device) are not recorded.
+ *
+ * Record format :
+ * { mac, ip, name, ips: [], hostnames: [], firstSeen, lastSeen } (dates are ISO strings)
+ */
+class DeviceInventory {
+
+    static get JsonFileAdapter(){ return JsonFileAdapter }
+    static get MemoryAdapter(){ return MemoryAdapter }
+
+    /**
+     * Constructor
+     *
+     * Example: new DeviceInventory({ path: './inventory.json' })
+     * @param {Object} options - { adapter, path, saveDelayMs }
+     * @param {Object} options.adapter - Storage adapter (default: JsonFileAdapter)
+     * @param {string} options.path - JSON file path of the default adapter
+     * @param {number} options.saveDelayMs - Delay used to group the writes of one scan (default: 1000)
+     */
+    constructor({ adapter = null, path = DEFAULT_INVENTORY_FILE, saveDelayMs = 1000 } = {}) {
+        this.adapter = adapter || new JsonFileAdapter(path);
+        if (typeof this.adapter.load !== 'function' || typeof this.adapter.save !== 'function') {
+            throw new Error('Invalid inventory adapter: load() and save(records) methods are required');
+        }
+        this.saveDelayMs = saveDelayMs;
+        this.records = new Map(); // normalized mac => record
+        this.saveTimer = null;
+        this.saving = Promise.resolve();
+        this.ready = this.adapter.load().then((records) => {
+            records.forEach((record) => {
+                this.records.set(F.normalizeMAC(record.mac), record);
+            });
+        });
+        // queries reject when the inventory can't be loaded, avoid an unhandled rejection meanwhile
+        this.ready.catch(() => {});
+    }
+
+    /**
+     * Update the inventory automatically from the events of a LanDiscovery instance
+     * (EVENT_DEVICE_INFOS and EVENT_ARP_RESPONSE)
+     * @param {LanDiscovery} discovery
+     * @returns {This}
+     */
+    attach(discovery) {
+        const onDevice = (device) => {
+            this.record(device).catch((error) => {
+                if (discovery.verbose) console.error('ERROR: inventory update failed', error);
+            });
+        };
+        discovery.on(ScanSession.EVENT_DEVICE_INFOS, onDevice);
+        discovery.on(ScanSession.EVENT_ARP_RESPONSE, onDevice);
+        return this;
+    }
+
+    /**
+     * Add or update a device in the inventory
+     * @param {Object} device - { ip, mac, name } (EVENT_DEVICE_INFOS or EVENT_ARP_RESPONSE object)
+     * @param {Date} seenAt - Detection date (default: now)
+     * @returns {Promise<Object|null>} the updated record, null when the device has no MAC address
+     */
+    async record(device, seenAt = new Date()) {
+        await this.ready;
+        if (!device || !device.mac || !F.isMAC(device.mac)) {
+            return null;
+        }
+        const mac = F.normalizeMAC(device.mac);
+        const date = seenAt.toISOString();
+        let record = this.records.get(mac);
+        if (!record) {
+            record = { mac, ip: null, name: null, ips: [], hostnames: [], firstSeen: date, lastSeen: date };
+            this.records.set(mac, record);
+        }
+        if (date > record.lastSeen) record.lastSeen = date;
+        if (date < record.firstSeen) record.firstSeen = date;
+        if (device.ip) {
+            record.ip = device.ip;
+            if (!record.ips.includes(device.ip)) record.ips.push(device.ip);
+        }
+        if (device.name) {
+            record.name = device.name;
+            if (!record.hostnames.includes(device.name)) record.hostnames.push(device.name);
+        }
+        this._scheduleSave();
+        return copyRecord(record);
+    }
+
+    /**
+     * Find a device by MAC address
+     * @param {string} mac
+     * @returns {Promise<Object|null>}
+     */
+    async findByMac(mac) {
+        await this.ready;
+        if (!F.isMAC(mac)) {
+            throw new Error('Invalid MAC');
+        }
+        const record = this.records.get(F.normalizeMAC(mac));
+        return record ? copyRecord(record) : null;
+    }
+
+    /**
+     * Find the devices that have (or had) this IP address, current owner first
+     * @param {string} ip
+     * @returns {Promise<Array>}
+     */
+    async findByIp(ip) {
+        F.validateParamIp(ip);
+        const records = await this._filter(record => record.ips.includes(ip));
+        return records.sort((a, b) => (b.ip === ip) - (a.ip === ip));
+    }
+
+    /**
+     * Find the devices that have (or had) this hostname (case insensitive)
+     * @param {string} hostname
+     * @returns {Promise<Array>}
+     */
+    async findByHostname(hostname) {
+        const search = String(hostname).toLowerCase();
+        return this._filter(record => record.hostnames.some(name => name.toLowerCase() === search));
+    }
+
+    /**
+     * Find the devices seen during a time range
+     * @param {Date} from - Range start (default: no start)
+     * @param {Date} to - Range end (default: now)
+     * @returns {Promise<Array>}
+     */
+    async findSeenBetween(from = null, to = new Date()) {
+        const fromDate = from ? new Date(from).toISOString() : '';
+        const toDate = new Date(to).toISOString();
+        return this._filter(record => record.lastSeen >= fromDate && record.firstSeen <= toDate);
+    }
+
+    /**
+     * All the devices of the inventory
+     * @returns {Promise<Array>}
+     */
+    async all() {
+        return this._filter(() => true);
+    }
+
+    /**
+     * Write the pending changes now
+     * (the planned save does not keep the process alive : call flush() before exiting to keep the last changes)
+     * @returns {Promise}
+     */
+    async flush() {
+        await this.ready;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        const records = Array.from(this.records.values());
+        this.saving = this.saving.catch(() => {}).then(() => this.adapter.save(records));
+        return this.saving;
+    }
+
+    async _filter(predicate) {
+        await this.ready;
+        return Array.from(this.records.values())
+            .filter(predicate)
+            .map(copyRecord);
+    }
+
+    _scheduleSave() {
+        if (this.saveTimer) {
+            return; // a save is already planned
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush().catch((error) => {
+                console.error('ERROR: unable to save the device inventory:', error.message);
+            });
+        }, this.saveDelayMs);
+        this.saveTimer.unref();
+    }
+
+}
+
+module.exports = DeviceInventory;
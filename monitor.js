@@ -0,0 +1,183 @@
+'use strict'
+
+const EventEmitter = require('events');
+const F = require('./functions');
+
+//CONSTANTS
+const EVENT_DEVICE_JOINED = 'deviceJoined';
+const EVENT_DEVICE_LEFT = 'deviceLeft';
+const EVENT_IP_CHANGED = 'ipChanged';
+const EVENT_NAME_CHANGED = 'nameChanged';
+const EVENT_MONITOR_SCAN = 'monitorScan';
+const EVENT_MONITOR_ERROR = 'monitorError';
+
+/**
+ * Continuous monitoring of the lan
+ * Repeats scans and tracks devices by MAC address (IP fallback) to report devices coming and going.
+ * Monitors are created by LanDiscovery.monitor()
+ */
+class DeviceMonitor extends EventEmitter {
+
+    //define events emitted :
+    static get EVENT_DEVICE_JOINED(){ return EVENT_DEVICE_JOINED }
+    static get EVENT_DEVICE_LEFT(){ return EVENT_DEVICE_LEFT }
+    static get EVENT_IP_CHANGED(){ return EVENT_IP_CHANGED }
+    static get EVENT_NAME_CHANGED(){ return EVENT_NAME_CHANGED }
+    static get EVENT_MONITOR_SCAN(){ return EVENT_MONITOR_SCAN }
+    static get EVENT_MONITOR_ERROR(){ return EVENT_MONITOR_ERROR }
+
+    /**
+     * Constructor
+     * @param {LanDiscovery} discovery The LanDiscovery instance running the scans
+     * @param {Object} options - { intervalMs, mode, missThreshold } plus the scan() parameters
+     * @param {number} options.intervalMs - Delay between the end of a scan and the next one (default: 60000)
+     * @param {string} options.mode - Scan mode, see LanDiscovery.scan() (default: 'icmp')
+     * @param {number} options.missThreshold - Number of missed scans before deviceLeft is emitted (default: 3)
+     */
+    constructor(discovery, { intervalMs = 60000, mode = 'icmp', missThreshold = 3, ...scanParam } = {}) {
+        super();
+        if (typeof intervalMs !== 'number' || intervalMs < 0) {
+            throw new Error(`Invalid intervalMs: ${intervalMs}. Please choose a positive number of milliseconds`);
+        }
+        if (!Number.isInteger(missThreshold) || missThreshold < 1) {
+            throw new Error(`Invalid missThreshold: ${missThreshold}. Please choose an integer greater than 0`);
+        }
+        // scan modes of LanDiscovery (not required here : index.js requires this module)
+        const scanModes = discovery.constructor.SCAN_MODES;
+        if (scanModes && !scanModes.includes(mode)) {
+            throw new Error(`Invalid scan mode: ${mode}. Please choose one of: ${scanModes.join(', ')}`);
+        }
+        //initialization of class attributes
+        this.discovery = discovery;
+        this.intervalMs = intervalMs;
+        this.mode = mode;
+        this.missThreshold = missThreshold;
+        this.scanParam = scanParam;
+        this.running = false;
+        this.scanCount = 0;
+        this.tracked = new Map(); // device key => { device, misses }
+        this.nextScanTimer = null;
+        this.scanController = null;
+    }
+
+    /**
+     * Devices currently present on the lan (last known informations)
+     * @returns {Array}
+     */
+    get devices() {
+        return Array.from(this.tracked.values()).map(entry => entry.device);
+    }
+
+    /**
+     * Start monitoring (the first scan starts immediately)
+     * @returns {This}
+     */
+    start() {
+        if (!this.running) {
+            this.running = true;
+            this._runScan();
+        }
+        return this;
+    }
+
+    /**
+     * Stop monitoring : the pending scan is aborted and no more events are emitted
+     * @returns {This}
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.nextScanTimer);
+        this.nextScanTimer = null;
+        if (this.scanController) {
+            this.scanController.abort(new Error('Monitor stopped'));
+            this.scanController = null;
+        }
+        return this;
+    }
+
+    /**
+     * Run one scan, compare it to the tracked devices, then schedule the next scan
+     * @private
+     */
+    async _runScan() {
+        const controller = new AbortController();
+        this.scanController = controller;
+        try {
+            const { devices, summary } = await this.discovery.scan({
+                ...this.scanParam,
+                mode: this.mode,
+                signal: controller.signal,
+            });
+            if (!this.running || controller.signal.aborted) {
+                return;
+            }
+            this.scanCount++;
+            // partial results (scan aborted by a deadline) are not used to detect devices that left
+            this._compare(devices, !(summary && summary.aborted));
+            this.emit(EVENT_MONITOR_SCAN, { scanCount: this.scanCount, devices: this.devices, summary });
+        } catch (error) {
+            if (!this.running) {
+                return;
+            }
+            // A failed scan doesn't stop the monitor, the next scan will be run as planned
+            this.emit(EVENT_MONITOR_ERROR, error);
+        } finally {
+            if (this.scanController === controller) {
+                this.scanController = null;
+            }
+        }
+        if (this.running) {
+            this.nextScanTimer = setTimeout(() => this._runScan(), this.intervalMs);
+        }
+    }
+
+    /**
+     * Compare the scanned devices with the tracked devices and emit the changes
+     * @param {Array} devices - EVENT_DEVICES_INFOS array of the last scan
+     * @param {boolean} countMisses - false to skip the missed scans count
+     * @private
+     */
+    _compare(devices, countMisses) {
+        const seenKeys = new Set();
+
+        devices.forEach((device) => {
+            const key = F.deviceKey(device);
+            seenKeys.add(key);
+            const entry = this.tracked.get(key);
+            if (!entry) {
+                this.tracked.set(key, { device, misses: 0 });
+                this.emit(EVENT_DEVICE_JOINED, device);
+                return;
+            }
+            const previous = entry.device;
+            // a null name is a failed lookup, not a name change : keep the last known name
+            entry.device = (device.name || !previous.name) ? device : { ...device, name: previous.name };
+            entry.misses = 0;
+            if (previous.ip !== device.ip) {
+                this.emit(EVENT_IP_CHANGED, device, previous.ip);
+            }
+            // the first name of a device found without name is not a change (late lookup answer)
+            if (device.name && previous.name && previous.name !== device.name) {
+                this.emit(EVENT_NAME_CHANGED, device, previous.name);
+            }
+        });
+
+        if (!countMisses) {
+            return;
+        }
+
+        this.tracked.forEach((entry, key) => {
+            if (seenKeys.has(key)) {
+                return;
+            }
+            entry.misses++;
+            if (entry.misses >= this.missThreshold) {
+                this.tracked.delete(key);
+                this.emit(EVENT_DEVICE_LEFT, entry.device);
+            }
+        });
+    }
+
+}
+
+module.exports = DeviceMonitor;
@@ -0,0 +1,931 @@
+﻿'use strict'
+
+const EventEmitter = require('events');
+const Netmask = require('netmask').Netmask;
+const Scanner = require('./scanner');
+const ScannerICMP = require('./scanner-icmp');
+const ScannerTCP = require('./scanner-tcp');
+const ScannerUDP = require('./scanner-udp');
+const ScannerMDNS = require('./scanner-mdns');
+const ScannerSSDP = require('./scanner-ssdp');
+const ScannerICMPv6 = require('./scanner-icmpv6');
+const ScannerARP = require('./scanner-arp');
+const F = require('./functions');
+const PingSession = require('./utils/ping-session-util');
+const parsePorts = require('./utils/port-range-util');
+const MacVendor = require('./utils/mac-vendor-util');
+const DefaultInterface = require('./utils/default-interface-util');
+const NetworkInterfaces = require('./utils/network-interfaces-util');
+const TargetSpec = require('./utils/target-spec-util');
+
+//CONSTANTS
+const EVENT_SCAN_RESPONSE = 'scanResponse';
+const EVENT_SCAN_COMPLETE = 'scanComplete';
+const EVENT_DEVICE_INFOS = 'deviceInfos';
+const EVENT_DEVICES_INFOS = 'devicesInfos';
+const EVENT_ARP_RESPONSE = 'arpResponse';
+const EVENT_ARP_COMPLETE = 'arpComplete';
+
+/**
+ * One scan run on a LanDiscovery instance
+ * The session owns its scanners, its pending device informations and its own events,
+ * so several scans (different subnets, interfaces or scan types) can run at the same time.
+ * Sessions are created by LanDiscovery.createSession() / startScan() / startTcpScan() / startPortScan() / startUdpScan() / startMdnsScan() / startSsdpScan() / startIpv6Scan() / startHybridScan()
+ */
+class ScanSession extends EventEmitter {
+
+    //define events emitted (same names as LanDiscovery events) :
+    static get EVENT_SCAN_RESPONSE(){ return EVENT_SCAN_RESPONSE }
+    static get EVENT_SCAN_COMPLETE(){ return EVENT_SCAN_COMPLETE }
+    static get EVENT_DEVICE_INFOS(){ return EVENT_DEVICE_INFOS }
+    static get EVENT_DEVICES_INFOS(){ return EVENT_DEVICES_INFOS }
+    static get EVENT_ARP_RESPONSE(){ return EVENT_ARP_RESPONSE }
+    static get EVENT_ARP_COMPLETE(){ return EVENT_ARP_COMPLETE }
+
+    /**
+     * Constructor
+     * @param {LanDiscovery} discovery The LanDiscovery instance used to retrieve device informations
+     */
+    constructor(discovery) {
+        super();
+        //initialization of class attributes
+        this.discovery = discovery;
+        this.verbose = discovery.verbose;
+        this.started = false;
+        this.finished = false;
+        this.scanAbort = null;
+        this.scanAborted = null;
+        this.error = null;
+        this.devicesInfosPromises = [];
+        this.devices = null;
+        this.summary = null;
+        this.subnets = null;
+        this.scannerICMP = new ScannerICMP();
+        this.scannerTCP = new ScannerTCP();
+        this.scannerPorts = new ScannerTCP();
+        this.bannerOptions = null;
+        this.scannerUDP = new ScannerUDP();
+        this.scannerMDNS = new ScannerMDNS();
+        this.scannerSSDP = new ScannerSSDP();
+        this.scannerICMPv6 = new ScannerICMPv6();
+        this.scannerARP = new ScannerARP();
+
+        // SESSION STATE
+        this.on(EVENT_SCAN_COMPLETE, (data) => {
+            this.summary = data;
+        });
+        this.on(EVENT_DEVICES_INFOS, (devices) => {
+            this.devices = devices;
+            this.finished = true;
+        });
+
+        // ICMP / TCP / PORT SCAN / UDP / MDNS / SSDP / IPV6 EVENT MANAGEMENT
+        this._forwardScanner(this.scannerICMP, (device, reply) => {
+            device.rttMS = reply.rttMS;
+            device.ttl = reply.ttl;
+            device.replyFrom = reply.replyFrom;
+        });
+        this._forwardScanner(this.scannerTCP, (device) => {
+            // the device answered a TCP connection, it was not pinged
+            device.respondsToPing = false;
+            device.respondsToTcp = true;
+        });
+        this._forwardScanner(this.scannerPorts, async (device, response) => {
+            device.respondsToPing = false;
+            device.respondsToTcp = true;
+            device.ports = response.ports;
+            if (this.bannerOptions) {
+                device.services = await this._grabBanners(device.ip, response.ports, this.bannerOptions);
+            }
+        });
+        this._forwardScanner(this.scannerUDP, (device, response) => {
+            device.respondsToPing = false;
+            device.respondsToUdp = true;
+            device.udpServices = response.services;
+        });
+        this._forwardScanner(this.scannerMDNS, (device, response) => {
+            device.respondsToPing = false;
+            device.hostnames = response.hostnames;
+            device.mdnsServices = response.services;
+            if (!device.name && response.hostnames.length) {
+                device.name = response.hostnames[0];
+                device.nameSource = 'mdns';
+            }
+        });
+        this._forwardScanner(this.scannerSSDP, (device, response) => {
+            device.respondsToPing = false;
+            device.upnp = response.upnp;
+        });
+        this._forwardScanner(this.scannerICMPv6, (device, response) => {
+            device.respondsToPing = false;
+            device.respondsToIcmpv6 = response.respondsToIcmpv6;
+            device.ipv6 = response.ipv6;
+        });
+
+        // ARP EVENT MANAGEMENT
+        // - one device responds to ARP broadcast :
+        this.scannerARP.on(Scanner.EVENT_RESPONSE, (device) => {
+            this.emit(EVENT_ARP_RESPONSE, device);
+        });
+        // - the ARP scan is complete :
+        this.scannerARP.on(Scanner.EVENT_COMPLETE, (data) => {
+            this.emit(EVENT_ARP_COMPLETE, data);
+        });
+    }
+
+    /**
+     * Forward the events of an IP scanner (ICMP, TCP, port scan, UDP, mDNS, SSDP) :
+     * device informations are retrieved for each responding IP, the device list is emitted when the scan is complete
+     * (a cancelled scan doesn't wait for the pending lookups : their devices are built from a minimal device)
+     * @param {Scanner} scanner
+     * @param {Function} completeDevice Optional callback (can be async) completing the device object with the scanner response
+     *   (the responding IP, or an object with an ip property, and mac / interface properties when the scanner knows them)
+     * @private
+     */
+    _forwardScanner(scanner, completeDevice = null) {
+        // - one device responds :
+        scanner.on(Scanner.EVENT_RESPONSE, (response) => {
+            const ip = typeof response === 'string' ? response : response.ip;
+            const mac = typeof response === 'string' ? null : (response.mac || null);
+            this.emit(EVENT_SCAN_RESPONSE, ip);
+            // a failed lookup gives a minimal device : the device list is always emitted
+            const lookup = this.discovery.deviceInfos(ip, mac).catch((error) => {
+                console.error('ERROR: device informations of', ip, ':', error.message);
+                return this._minimalDevice(ip, mac);
+            });
+            let myPromise = Promise.race([lookup, this.scanAborted.then(() => this._minimalDevice(ip, mac))]).then(async (device) => {
+                try {
+                    if (completeDevice) await completeDevice(device, response);
+                } catch (error) {
+                    console.error('ERROR: scan response of', ip, ':', error.message);
+                }
+                this._tagDevice(device, typeof response === 'string' ? null : (response.interface || null));
+                return device;
+            });
+            myPromise.then((device) => {
+                this.emit(EVENT_DEVICE_INFOS, device)
+            })
+            this.devicesInfosPromises.push(myPromise);
+        });
+        // - the scan is complete :
+        scanner.on(Scanner.EVENT_COMPLETE, (data) => {
+            this.scanAbort.dispose();
+            this.emit(EVENT_SCAN_COMPLETE, data);
+            // we retrieved information from all devices that responded.
+            Promise.all(this.devicesInfosPromises).then( (devicesArray) => {
+                this.emit(EVENT_DEVICES_INFOS, devicesArray, { aborted: data.aborted });
+            });
+        });
+    }
+
+    /**
+     * Build the device of an IP whose informations could not be retrieved
+     * @param {string} ip
+     * @param {string} mac - MAC address if known
+     * @returns {{name, nameSource, ip, mac, vendor, isRandomizedMac, respondsToPing}} same fields as LanDiscovery.deviceInfos()
+     * @private
+     */
+    _minimalDevice(ip, mac = null) {
+        return {
+            ip: ip,
+            mac: mac,
+            name: null,
+            nameSource: null,
+            vendor: mac ? MacVendor.lookup(mac) : null,
+            isRandomizedMac: mac ? MacVendor.isRandomizedMac(mac) : null,
+            respondsToPing: true
+        };
+    }
+
+    /**
+     * Tag a device with the interface and the subnet it was found on (null when it is not on a local subnet)
+     * @param {Object} device
+     * @param {string} interfaceName - Optional : interface known by the scanner
+     * @private
+     */
+    _tagDevice(device, interfaceName = null) {
+        if (!this.subnets) {
+            // no networkInterfaces parameter : all the interfaces of this host
+            try {
+                this.subnets = NetworkInterfaces.interfaceSubnets(NetworkInterfaces.listInterfaces());
+            } catch (error) {
+                this.subnets = [];
+            }
+        }
+        const subnet = NetworkInterfaces.findSubnet(this.subnets, device.ip, interfaceName);
+        device.interface = subnet ? subnet.interface : interfaceName;
+        device.subnet = subnet ? subnet.subnet : null;
+    }
+
+    /**
+     * Apply the networkInterfaces parameter of an IP scan : the discovered devices are tagged with these interfaces,
+     * and the IPv4 subnets of the interfaces are scanned (without network and broadcast addresses) when no target is given
+     * @param {Object} objParam - { ipArrayToScan, targets, networkInterfaces }
+     * @returns {Object} objParam with targets
+     * @private
+     */
+    _withInterfaces(objParam) {
+        if (!objParam.networkInterfaces) {
+            return objParam;
+        }
+        this.subnets = NetworkInterfaces.interfaceSubnets([].concat(objParam.networkInterfaces));
+        if (objParam.ipArrayToScan || objParam.targets !== undefined) {
+            return objParam;
+        }
+        const targets = this.subnets
+            .filter(subnet => subnet.family === 'IPv4' && !subnet.address.startsWith('127.'))
+            .map(subnet => subnet.subnet);
+        if (!targets.length) {
+            throw new Error('No IPv4 subnet found on the network interfaces');
+        }
+        return {
+            excludeNetwork: true,
+            excludeBroadcast: true,
+            ...objParam,
+            targets: Array.from(new Set(targets)),
+        };
+    }
+
+    /**
+     * Start an IP scanner on the targets of objParam : ipArrayToScan, target specification or subnets of networkInterfaces.
+     * Hostname targets are resolved before the scanner is started (EVENT_SCAN_COMPLETE and EVENT_DEVICES_INFOS
+     * are emitted with an empty result and result() rejects when no target is left).
+     * @param {Object} objParam - Scanner parameters, plus { targets, exclude, excludeNetwork, excludeBroadcast, excludeSelf, networkInterfaces }
+     * @param {Function} startScanner - Starts the scanner with its parameters
+     * @param {Object} options - { required, lazy }
+     * @param {boolean} options.required - false when the targets only filter the results (mDNS, SSDP)
+     * @param {boolean} options.lazy - The scanner enumerates an iterator of the targets (constant memory), instead of an array
+     * @returns {ScanSession}
+     * @private
+     */
+    _startIpScan(objParam, startScanner, { required = true, lazy = false } = {}) {
+        objParam = this._withInterfaces(objParam);
+        const { targets, exclude, excludeNetwork, excludeBroadcast, excludeSelf, ...params } = objParam;
+        params.rateLimiter = this.discovery.rateLimiter;
+        // the IP scanners only send IPv4 packets, IPv6 hosts are found by startIpv6Scan()
+        const targetOptions = { exclude, excludeNetwork, excludeBroadcast, excludeSelf, ipv4Only: true };
+        const targetList = (spec, options) => {
+            // one generator : its first address is read to check that the list is not empty
+            const generator = TargetSpec.generateTargets(spec, options);
+            const first = generator.next();
+            if (first.done) {
+                throw new Error('No target left to scan');
+            }
+            const addresses = (function* () {
+                yield first.value;
+                yield* generator;
+            })();
+            return lazy ? addresses : Array.from(addresses);
+        };
+        let resolving = null;
+        if (targets !== undefined) {
+            if (TargetSpec.hasHostnames(targets, targetOptions)) {
+                resolving = TargetSpec.resolveHostnames(targets, targetOptions);
+            } else {
+                params.ipArrayToScan = targetList(targets, targetOptions);
+            }
+        } else {
+            // an iterator of addresses is checked by the scanner
+            const isIterator = lazy && params.ipArrayToScan && typeof params.ipArrayToScan.next === 'function';
+            if (!isIterator && (required || (params.ipArrayToScan && params.ipArrayToScan.length))) {
+                F.validateParamIpArray(params.ipArrayToScan);
+            }
+        }
+        const signal = this._begin(objParam);
+        if (resolving) {
+            resolving.then((resolved) => {
+                const ipArrayToScan = targetList(resolved.targets, { ...targetOptions, exclude: resolved.exclude });
+                startScanner({ ...params, ipArrayToScan, signal });
+            }).catch((error) => {
+                console.error('ERROR: scan not started:', error.message);
+                this._fail(error);
+            });
+            return this;
+        }
+        try {
+            startScanner({ ...params, signal });
+        } catch (error) {
+            this._fail(error);
+            throw error;
+        }
+        return this;
+    }
+
+    /**
+     * Mark the session as started and build its abort signal
+     * (a session runs only one scan)
+     * @param {Object} objParam - { signal, deadlineMs }
+     * @returns {AbortSignal}
+     * @private
+     */
+    _begin(objParam) {
+        if (this.started) {
+            throw new Error('ScanSession already started, please create a new session for each scan');
+        }
+        this.scanAbort = F.scanAbortSignal(objParam);
+        this.started = true;
+        const signal = this.scanAbort.signal;
+        // settles when the scan is cancelled (one listener for all the responses)
+        this.scanAborted = new Promise((resolve) => {
+            if (signal.aborted) resolve();
+            else signal.addEventListener('abort', () => resolve(), { once: true });
+        });
+        return signal;
+    }
+
+    /**
+     * Stop a scan that failed : result() rejects with the error,
+     * EVENT_SCAN_COMPLETE and EVENT_DEVICES_INFOS are emitted with an empty result (and the error)
+     * @param {Error} error
+     * @private
+     */
+    _fail(error) {
+        this.error = error;
+        this.scanAbort.dispose();
+        this.emit(EVENT_SCAN_COMPLETE, { ipArray: [], scanCount: 0, scanTimeMS: 0, scanAverageMS: 0, aborted: false });
+        this.emit(EVENT_DEVICES_INFOS, [], { aborted: false, error });
+    }
+
+    /**
+     * Cancel the running scan
+     * (EVENT_SCAN_COMPLETE and EVENT_DEVICES_INFOS are emitted with partial results and aborted: true)
+     * @param {*} reason Optional abort reason
+     */
+    abort(reason) {
+        if (this.scanAbort) {
+            this.scanAbort.abort(reason);
+        }
+    }
+
+    /**
+     * Return promise resolving the final device list of the session
+     * @returns {Promise<{devices: Array, summary: Object}>} rejects when the scan fails (ARP scan error, unresolvable targets...)
+     */
+    result() {
+        if (this.finished) {
+            return this.error ? Promise.reject(this.error) : Promise.resolve({ devices: this.devices, summary: this.summary });
+        }
+        return new Promise((resolve, reject) => {
+            this.once(EVENT_DEVICES_INFOS, () => {
+                if (this.error) {
+                    reject(this.error);
+                } else {
+                    resolve({ devices: this.devices, summary: this.summary });
+                }
+            });
+        });
+    }
+
+    /**
+     * Start the lan scan (Node ICMP Requests) and return the session
+     * @param {Object} objParam - ScannerICMP.start() parameters ({ ipArrayToScan, timeout, retries, interval, maxInFlight }), plus :
+     * @param {string|Array} objParam.targets - Target specification instead of ipArrayToScan, nmap syntax
+     *   ('192.168.1.0/24 10.0.0-3.1 192.168.2.10-50 nas.lan'), hostnames are resolved before the scan,
+     *   the addresses are enumerated during the scan (constant memory for /16 and larger blocks)
+     * @param {string|Array} objParam.exclude - Targets to skip (same syntax)
+     * @param {boolean} objParam.excludeNetwork - Skip the network address of the CIDR blocks (default: false)
+     * @param {boolean} objParam.excludeBroadcast - Skip the broadcast address of the CIDR blocks (default: false)
+     * @param {boolean} objParam.excludeSelf - Skip the addresses of this host (default: false)
+     * @param {Array} objParam.networkInterfaces - Optional interfaces (names, listInterfaces() or getDefaultInterface() objects) :
+     *   their IPv4 subnets are scanned when no target is given, devices are tagged with interface and subnet
+     * @param {AbortSignal} objParam.signal - Optional signal to cancel the scan
+     * @param {number} objParam.deadlineMs - Optional overall scan deadline in milliseconds
+     *   (when cancelled, EVENT_SCAN_COMPLETE and EVENT_DEVICES_INFOS are emitted with partial results and aborted: true)
+     * @returns {ScanSession}
+     */
+    startScan(objParam){
+        return this._startIpScan(objParam, params => this.scannerICMP.start(params), { lazy: true });
+    }
+
+    /**
+     * Start the lan scan with TCP connections and return the session
+     * For networks filtering ICMP, no root/administrator rights required.
+     * Devices are emitted with respondsToPing: false and respondsToTcp: true
+     * @param {Object} objParam - ScannerTCP.start() parameters ({ ipArrayToScan, timeout, port, interval, maxInFlight }), plus :
+     * @param {string|Array} objParam.targets - Optional target specification and exclusion options, see startScan()
+     *   (the addresses are enumerated during the scan)
+     * @param {Array} objParam.networkInterfaces - Optional interfaces, see startScan()
+     * @param {AbortSignal} objParam.signal - Optional signal to cancel the scan
+     * @param {number} objParam.deadlineMs - Optional overall scan deadline in milliseconds
+     * @returns {ScanSession}
+     */
+    startTcpScan(objParam){
+        if (objParam.port !== undefined && !F.isPort(objParam.port)) {
+            throw new Error(`Invalid port: ${objParam.port}. Please choose an integer between 1 and 65535`);
+        }
+        return this._startIpScan(objParam, params => this.scannerTCP.start(params), { lazy: true });
+    }
+
+    /**
+     * Start TCP port scan and return the session
+     * Each port of each host is reported as open, closed or filtered with its connect latency,
+     * devices are emitted with a ports property : [{ port, state, latencyMS }].
+     * No root/administrator rights required.
+     *
+     * Example: session.startPortScan({ ipArrayToScan: tabIP, ports: '22,80,443,8000-8100' })
+     * @param {Object} objParam - { ipArrayToScan, targets, networkInterfaces, ports, timeout, concurrency, hostConcurrency, signal, deadlineMs }
+     * @param {Array} objParam.ipArrayToScan - Array of IP addresses to scan
+     * @param {string|Array} objParam.targets - Optional target specification and exclusion options, see startScan()
+     *   (the addresses are enumerated during the scan)
+     * @param {Array} objParam.networkInterfaces - Optional interfaces, see startScan()
+     * @param {string|Array} objParam.ports - Port list and ranges ("22,80,8000-8100"), array or preset ("top100", default)
+     * @param {number} objParam.timeout - Connection timeout in milliseconds (default: 3000)
+     * @param {number} objParam.concurrency - Maximum number of connections in progress (default: 200)
+     * @param {number} objParam.hostConcurrency - Maximum number of connections in progress on one host (default: 10)
+     * @param {boolean|Object} objParam.banners - Read the banner of the open ports (default: false),
+     *   true or ScannerTCP.grabBanner() options { timeout, maxBytes, idleMs } : devices get a services property
+     *   [{ port, service, banner, product, http }]
+     * @param {AbortSignal} objParam.signal - Optional signal to cancel the scan
+     * @param {number} objParam.deadlineMs - Optional overall scan deadline in milliseconds
+     * @returns {ScanSession}
+     */
+    startPortScan(objParam){
+        const ports = parsePorts(objParam.ports === undefined ? 'top100' : objParam.ports);
+        ['concurrency', 'hostConcurrency'].forEach((name) => {
+            if (objParam[name] !== undefined && !(Number.isInteger(objParam[name]) && objParam[name] > 0)) {
+                throw new Error(`Invalid ${name}: ${objParam[name]}. Please choose an integer greater than 0`);
+            }
+        });
+        if (objParam.banners) {
+            this.bannerOptions = { hostConcurrency: objParam.hostConcurrency, ...(objParam.banners === true ? {} : objParam.banners) };
+        }
+        return this._startIpScan(objParam, params => this.scannerPorts.startPortScan({ ...params, ports }), { lazy: true });
+    }
+
+    /**
+     * Start UDP scan and return the session
+     * Protocol-correct probes (DNS, NTP, SNMP, NetBIOS name service, SSDP) are sent to each host,
+     * devices answering at least one probe are emitted with a udpServices property : [{ port, service, ...informations }].
+     * No root/administrator rights required.
+     *
+     * Example: session.startUdpScan({ ipArrayToScan: tabIP, probes: ['snmp', 'netbios'] })
+     * @param {Object} objParam - ScannerUDP.start() parameters ({ ipArrayToScan, probes, timeout, interval, maxInFlight, snmpCommunity }), plus :
+     * @param {string|Array} objParam.targets - Optional target specification and exclusion options, see startScan()
+     *   (the addresses are enumerated during the scan)
+     * @param {Array} objParam.networkInterfaces - Optional interfaces, see startScan()
+     * @param {AbortSignal} objParam.signal - Optional signal to cancel the scan
+     * @param {number} objParam.deadlineMs - Optional overall scan deadline in milliseconds
+     * @returns {ScanSession}
+     */
+    startUdpScan(objParam){
+        return this._startIpScan(objParam, params => this.scannerUDP.start(params), { lazy: true });
+    }
+
+    /**
+     * Start mDNS / DNS-SD browsing and return the session
+     * Devices advertising themselves over multicast DNS (Apple devices, printers, Chromecasts, ESP boards...)
+     * are emitted with hostnames (['printer.local']) and mdnsServices ([{ name, type, port, host, txt }]) properties,
+     * the first .local hostname is used when the device has no name.
+     *
+     * Example: session.startMdnsScan({ duration: 5000 })
+     * @param {Object} objParam - ScannerMDNS.start() parameters ({ ipArrayToScan, duration, passive }), plus :
+     * @param {string|Array} objParam.targets - Optional target specification and exclusion options (only these hosts are kept), see startScan()
+     * @param {AbortSignal} objParam.signal - Optional signal to cancel the scan
+     * @param {number} objParam.deadlineMs - Optional overall scan deadline in milliseconds
+     * @returns {ScanSession}
+     */
+    startMdnsScan(objParam = {}){
+        if (objParam.duration !== undefined && !(typeof objParam.duration === 'number' && objParam.duration > 0)) {
+            throw new Error(`Invalid duration: ${objParam.duration}. Please choose a positive number of milliseconds`);
+        }
+        return this._startIpScan(objParam, params => this.scannerMDNS.start(params), { required: false });
+    }
+
+    /**
+     * Start SSDP / UPnP discovery and return the session
+     * Devices announcing themselves with SSDP (smart TVs, routers, NAS...) are emitted with an upnp property :
+     * { friendlyName, manufacturer, modelName, modelNumber, deviceType, udn, services, server, locations }
+     *
+     * Example: session.startSsdpScan({ duration: 5000 })
+     * @param {Object} objParam - ScannerSSDP.start() parameters ({ ipArrayToScan, duration, fetchDescription, descriptionTimeout }), plus :
+     * @param {string|Array} objParam.targets - Optional target specification and exclusion options (only these hosts are kept), see startScan()
+     * @param {AbortSignal} objParam.signal - Optional signal to cancel the scan
+     * @param {number} objParam.deadlineMs - Optional overall scan deadline in milliseconds
+     * @returns {ScanSession}
+     */
+    startSsdpScan(objParam = {}){
+        if (objParam.duration !== undefined && !(typeof objParam.duration === 'number' && objParam.duration > 0)) {
+            throw new Error(`Invalid duration: ${objParam.duration}. Please choose a positive number of milliseconds`);
+        }
+        return this._startIpScan(objParam, params => this.scannerSSDP.start(params), { required: false });
+    }
+
+    /**
+     * Start IPv6 host discovery and return the session
+     * ICMPv6 echo request to ff02::1 (all-nodes) and IPv6 neighbor cache, see ScannerICMPv6.
+     * Devices are grouped by MAC address and correlated with their IPv4 address (ARP cache), they are emitted with
+     * ipv6 (['fe80::...', '2001:db8::...']) and respondsToIcmpv6 properties. A device without IPv4 address has its first IPv6 address as ip.
+     *
+     * Example: session.startIpv6Scan({ networkInterfaces: ['eth0', 'wlan0'], duration: 5000 })
+     * @param {Object} objParam - ScannerICMPv6.start() parameters ({ networkInterface, duration }), plus :
+     * @param {string|Object} objParam.networkInterface - Interface name, or getDefaultInterface() object (default: first non internal IPv4 interface)
+     * @param {Array} objParam.networkInterfaces - Several interfaces (names, listInterfaces() or getDefaultInterface() objects), instead of networkInterface
+     * @param {AbortSignal} objParam.signal - Optional signal to cancel the scan
+     * @param {number} objParam.deadlineMs - Optional overall scan deadline in milliseconds
+     * @returns {ScanSession}
+     */
+    startIpv6Scan(objParam = {}){
+        let networkInterface = objParam.networkInterfaces
+            ? [].concat(objParam.networkInterfaces).map(item => (item && typeof item === 'object' ? item.name : item))
+            : objParam.networkInterface;
+        if (networkInterface && !Array.isArray(networkInterface) && typeof networkInterface === 'object') {
+            networkInterface = networkInterface.name;
+        }
+        if (Array.isArray(networkInterface) && !networkInterface.length) {
+            networkInterface = null;
+        }
+        if (!networkInterface) {
+            const defaultInterface = DefaultInterface.v4.sync();
+            networkInterface = defaultInterface ? defaultInterface.name : null;
+        }
+        if (!networkInterface) {
+            throw new Error('networkInterface is required for IPv6 scan (no default interface found)');
+        }
+        if (objParam.duration !== undefined && !(typeof objParam.duration === 'number' && objParam.duration > 0)) {
+            throw new Error(`Invalid duration: ${objParam.duration}. Please choose a positive number of milliseconds`);
+        }
+        this.subnets = NetworkInterfaces.interfaceSubnets([].concat(networkInterface));
+        const signal = this._begin(objParam);
+        try {
+            this.scannerICMPv6.start({ ...objParam, networkInterface, rateLimiter: this.discovery.rateLimiter, signal });
+        } catch (error) {
+            this._fail(error);
+            throw error;
+        }
+        return this;
+    }
+
+    /**
+     * Read the banners of the open ports of one host
+     * (at most hostConcurrency banners are read at the same time, the ports refused by the rate limiter are skipped,
+     * the reads in progress end with the scan)
+     * @param {string} ip
+     * @param {Array} ports - Port scan results [{ port, state, latencyMS }]
+     * @param {Object} options - ScannerTCP.grabBanner() options, plus hostConcurrency
+     * @returns {Promise<Array>}
+     * @private
+     */
+    async _grabBanners(ip, ports, { hostConcurrency = 10, ...options } = {}) {
+        const openPorts = ports.filter(result => result.state === ScannerTCP.PORT_OPEN).map(result => result.port);
+        const signal = this.scanAbort.signal;
+        const services = [];
+        for (let i = 0; i < openPorts.length && !signal.aborted; i += hostConcurrency) {
+            const batch = openPorts.slice(i, i + hostConcurrency);
+            services.push(...await Promise.all(batch.map(async (port) => {
+                if (!await this.scannerPorts.acquirePackets(this.discovery.rateLimiter, 1, signal)) {
+                    return null;
+                }
+                return this.scannerPorts.grabBanner({ ...options, ip, port, signal });
+            })));
+        }
+        return services.filter(service => service !== null);
+    }
+
+    /**
+     * Start hybrid scan: ARP broadcast first, then ping only on discovered IPs
+     * This method combines ARP broadcast (low impact) + ping (L3 liveliness check)
+     * @param {Object} objParam - { networkInterface, networkInterfaces, timeout, verbose, interval, signal, deadlineMs }
+     * @param {Object} objParam.networkInterface - Network interface object (required without networkInterfaces)
+     * @param {Array} objParam.networkInterfaces - Several interfaces (names, listInterfaces() or getDefaultInterface() objects) :
+     *   one ARP scan per IPv4 subnet, one after the other (EVENT_ARP_COMPLETE is emitted after each of them)
+     * @param {string|Array} objParam.targets - Optional target specification and exclusion options, see startScan() :
+     *   the devices outside the targets are not pinged nor reported
+     * @param {number} objParam.timeout - Timeout in milliseconds (default: 3000)
+     * @param {boolean} objParam.verbose - Enable verbose logging (default: false)
+     * @param {number} objParam.interval - Delay between ICMP pings in milliseconds (default: 0)
+     *   - 0ms: No delay (all pings sent simultaneously)
+     *   - 100ms: Occasional use, home LAN (5min for /24)
+     *   - 200ms: Production/sensitive (10min) - recommended, zero perceptible impact
+     *   - 500ms: Paranoid/critical network
+     * @param {AbortSignal} objParam.signal - Optional signal to cancel the scan (kills arp-scan, drops pending pings)
+     * @param {number} objParam.deadlineMs - Optional overall scan deadline in milliseconds
+     *   (when cancelled, EVENT_SCAN_COMPLETE and EVENT_DEVICES_INFOS are emitted with partial results and aborted: true)
+     * @returns {Promise<ScanSession>}
+     */
+    async startHybridScan(objParam = {}){
+        if (!objParam.networkInterface && !objParam.networkInterfaces) {
+            throw new Error('networkInterface is required for hybrid scan');
+        }
+        // ARP scans : { name, cidr } of each IPv4 subnet
+        this.subnets = NetworkInterfaces.interfaceSubnets([].concat(objParam.networkInterfaces || objParam.networkInterface));
+        const arpInterfaces = this.subnets
+            .filter(subnet => subnet.family === 'IPv4' && !subnet.address.startsWith('127.'))
+            .map(subnet => ({ name: subnet.interface, cidr: subnet.cidr }));
+        if (!arpInterfaces.length) {
+            throw new Error('No IPv4 subnet found on the network interfaces');
+        }
+
+        // Check admin/root privileges (required for ARP scan)
+        const hasAdminRights = await this.discovery._checkAdminPrivileges();
+        if (!hasAdminRights) {
+            throw new Error('root/administrator rights are required for hybrid scan');
+        }
+
+        // Optional target specification : filter of the ARP responses (matched against the specification, a /8 is not expanded)
+        let isTarget = null;
+        if (objParam.targets !== undefined || objParam.exclude !== undefined) {
+            const targetOptions = { exclude: objParam.exclude, excludeNetwork: objParam.excludeNetwork, excludeBroadcast: objParam.excludeBroadcast, excludeSelf: objParam.excludeSelf, ipv4Only: true };
+            const resolved = objParam.targets !== undefined
+                ? await TargetSpec.resolveHostnames(objParam.targets, targetOptions)
+                : { targets: undefined, exclude: (await TargetSpec.resolveHostnames([], targetOptions)).exclude };
+            isTarget = TargetSpec.targetMatcher(resolved.targets, { ...targetOptions, exclude: resolved.exclude });
+        }
+
+        const timeout = objParam.timeout || 3000;
+        const verbose = objParam.verbose !== undefined ? objParam.verbose : this.verbose;
+        const interval = objParam.interval !== undefined ? objParam.interval : 0;
+        const signal = this._begin(objParam);
+        const scanStart = Date.now();
+
+        if (this.verbose || verbose) {
+            console.log('Starting hybrid scan: ARP "broadcast" + reactive ping on discovered IPs');
+            arpInterfaces.forEach((networkInterface) => {
+                console.log(`Network: ${networkInterface.cidr} (${networkInterface.name}), Broadcast: ${new Netmask(networkInterface.cidr).broadcast}`);
+            });
+            console.log(`Ping interval: ${interval}ms`);
+        }
+
+        // Variables for ping queue management
+        const pingQueue = [];
+        const pingInProgress = new Set();
+        const pingCompleted = new Map();
+        const arpDeviceMap = new Map();
+        let lastPingTime = 0;
+        let nextPingTimer = null;
+        let arpScanComplete = false;
+        let arpScansComplete = 0;
+        let arpInterface = null; // interface of the running ARP scan
+        let finished = false;
+        // Create a shared net-ping session for all pings (a failure stops the deadline timer and rejects result())
+        let sharedPing;
+        try {
+            sharedPing = PingSession.acquire({ timeout, retries: 0 });
+        } catch (error) {
+            this._fail(error);
+            throw error;
+        }
+
+        // Function to check ping and emit EVENT_DEVICES_INFOS
+        const checkAndEmitDevicesInfos = () => {
+            if (finished) {
+                return; // Final results already emitted (scan aborted)
+            }
+
+            if (!arpScanComplete && !signal.aborted) {
+                if (this.verbose || verbose) {
+                    console.log('checkAndEmitDevicesInfos: ARP scan not complete yet');
+                }
+                return; // The ARP scan is not yet complete
+            }
+            
+            if (!signal.aborted && (pingInProgress.size > 0 || pingQueue.length > 0)) {
+                if (this.verbose || verbose) {
+                    console.log(`checkAndEmitDevicesInfos: Still ${pingInProgress.size} pings in progress, ${pingQueue.length} in queue`);
+                }
+                return; // There are still pings in progress or pending
+            }
+            
+            // All pings are finished (or the scan was aborted), build the final results table
+            finished = true;
+            const allDevices = Array.from(pingCompleted.values());
+            
+            if (this.verbose || verbose) {
+                console.log(`checkAndEmitDevicesInfos: All pings complete. Found ${allDevices.length} devices in pingCompleted`);
+            }
+            
+            // Sort results table by IP address
+            allDevices.sort((a, b) => {
+                const ipA = a.ip.split('.').map(Number);
+                const ipB = b.ip.split('.').map(Number);
+                for (let i = 0; i < 4; i++) {
+                    if (ipA[i] !== ipB[i]) {
+                        return ipA[i] - ipB[i];
+                    }
+                }
+                return 0;
+            });
+            
+            // Free resources
+            sharedPing.release();
+            signal.removeEventListener('abort', abortHandler);
+            this.scanAbort.dispose();
+            
+            if (this.verbose || verbose) {
+                console.log(`All pings complete: emitting devicesInfos for ${allDevices.length} devices`);
+            }
+            
+            // Send completion events EVENT_SCAN_COMPLETE and EVENT_DEVICES_INFOS
+            const scanTimeMS = Date.now() - scanStart;
+            this.emit(EVENT_SCAN_COMPLETE, {
+                ipArray: allDevices.map(d => d.ip),
+                scanCount: allDevices.length,
+                scanTimeMS: scanTimeMS,
+                scanAverageMS: allDevices.length ? Math.round(scanTimeMS / allDevices.length) : 0,
+                aborted: signal.aborted
+            });
+            this.emit(EVENT_DEVICES_INFOS, allDevices, { aborted: signal.aborted });
+        };
+
+        // Function to perform a ICMP request
+        const executePing = () => {
+            if (pingQueue.length === 0) {
+                return;
+            }
+            
+            const { ip, mac, vendor, networkInterface } = pingQueue.shift();
+            pingInProgress.add(ip);
+            lastPingTime = Date.now();
+            
+            if (this.verbose || verbose) {
+                console.log(`Pinging ${ip} (${mac})`);
+            }
+            
+            // wait for the rate limiter shared by the scans
+            this.scannerARP.acquirePackets(this.discovery.rateLimiter, 1, signal).then(() => {
+                if (finished) {
+                    return; // Scan aborted while waiting
+                }
+                sharedPing.ping(ip, async (error, reply) => {
+                    pingInProgress.delete(ip);
+                    if (finished) {
+                        return; // Scan aborted, late replies are ignored
+                    }
+                
+                    const knownMAC = arpDeviceMap.get(ip) || mac;
+                
+                    let deviceInfo;
+                    try {
+                        deviceInfo = await this.discovery.deviceInfos(ip, knownMAC);
+                        deviceInfo.respondsToPing = !error;
+                        deviceInfo.rttMS = reply.rttMS;
+                        deviceInfo.ttl = reply.ttl;
+                        deviceInfo.replyFrom = reply.replyFrom;
+                        if (!deviceInfo.vendor && vendor) deviceInfo.vendor = vendor; // vendor column of arp-scan
+                    } catch (e) {
+                        // In case of error, create a minimal deviceInfo for the device
+                        deviceInfo = {
+                            ...this._minimalDevice(ip, knownMAC),
+                            respondsToPing: !error,
+                            rttMS: reply.rttMS,
+                            ttl: reply.ttl,
+                            replyFrom: reply.replyFrom
+                        };
+                        if (!deviceInfo.vendor && vendor) deviceInfo.vendor = vendor;
+                    }
+                    this._tagDevice(deviceInfo, networkInterface);
+                    if (finished) {
+                        return; // Scan aborted while retrieving device informations
+                    }
+                    pingCompleted.set(ip, deviceInfo);
+                    this.emit(EVENT_DEVICE_INFOS, deviceInfo);
+                
+                    if (!error) {
+                        this.emit(EVENT_SCAN_RESPONSE, ip);
+                    }
+                    launchNextPing();
+                    // Check if we can emit the final results
+                    checkAndEmitDevicesInfos();
+                });
+            });
+        };
+
+        // Function to launch the next ping while respecting the interval
+        const launchNextPing = () => {
+            if (pingQueue.length === 0) {
+                return; // Queue vide
+            }
+            
+            // If interval = 0, multiple pings can be launched in parallel.
+            // Otherwise, we limit it to one ping at a time to respect the interval
+            if (interval > 0 && pingInProgress.size > 0) {
+                return; // A ping is already in progress and we must respect the interval
+            }
+            
+            const now = Date.now();
+            const timeSinceLastPing = now - lastPingTime;
+            
+            if (interval === 0 || timeSinceLastPing >= interval) {
+                // Delay respected, launch immediately
+                executePing();
+            } else {
+                // Schedule the ping after the remaining timeout
+                const delay = interval - timeSinceLastPing;
+                nextPingTimer = setTimeout(() => {
+                    executePing();
+                }, delay);
+            }
+        };
+
+        // Function to add a ping to the queue
+        const schedulePing = (ip, mac, vendor, networkInterface) => {
+            if (finished) {
+                return; // Scan aborted
+            }
+
+            if (isTarget && !isTarget(ip)) {
+                if (this.verbose || verbose) {
+                    console.log(`schedulePing: Skipping ${ip} (not a target)`);
+                }
+                return; // Outside the target specification
+            }
+
+            if (pingInProgress.has(ip) || pingCompleted.has(ip)) {
+                if (this.verbose || verbose) {
+                    console.log(`schedulePing: Skipping ${ip} (already in progress or completed)`);
+                }
+                return; // Ping already in progress or completed
+            }
+            
+            pingQueue.push({ ip, mac, vendor, networkInterface });
+            arpDeviceMap.set(ip, mac);
+            
+            if (this.verbose || verbose) {
+                console.log(`schedulePing: Added ${ip} to queue (queue size: ${pingQueue.length})`);
+            }
+            
+            launchNextPing();
+        };
+
+        // Listen for ARP events (EVENT_ARP_RESPONSE / EVENT_ARP_COMPLETE are forwarded by the constructor handlers)
+        const arpResponseHandler = (device) => {
+            if (this.verbose || verbose) {
+                console.log(`arpResponseHandler: Received ARP response for ${device.ip} (${device.mac})`);
+            }
+            schedulePing(device.ip, device.mac, device.vendor, arpInterface);
+        };
+        
+        const arpCompleteHandler = (data) => {
+            arpScansComplete++;
+            if (arpScansComplete < arpInterfaces.length && !signal.aborted) {
+                return; // The next interface is going to be scanned
+            }
+            arpScanComplete = true;
+            
+            if (this.verbose || verbose) {
+                console.log(`ARP scan complete. Waiting for ${pingInProgress.size + pingQueue.length} pending pings to finish...`);
+            }
+            
+            // checkAndEmitDevicesInfos() will be automatically called in executePing() after each ping is completed.
+            // No need to call it here unless no ping has been initiated (empty queue and none in progress).
+            if (pingInProgress.size === 0 && pingQueue.length === 0) {
+                checkAndEmitDevicesInfos();
+            }
+        };
+
+        // Cancellation: drop the queued pings and emit the partial results
+        const abortHandler = () => {
+            if (this.verbose || verbose) {
+                console.log(`Hybrid scan aborted: ${signal.reason && signal.reason.message || signal.reason}`);
+            }
+            pingQueue.length = 0;
+            clearTimeout(nextPingTimer);
+            checkAndEmitDevicesInfos();
+        };
+
+        this.scannerARP.on(Scanner.EVENT_RESPONSE, arpResponseHandler);
+        this.scannerARP.on(Scanner.EVENT_COMPLETE, arpCompleteHandler);
+
+        if (signal.aborted) {
+            abortHandler();
+        } else {
+            signal.addEventListener('abort', abortHandler, { once: true });
+        }
+
+        // Start the ARP scans, one interface after the other (pings will be sent sequentially via events)
+        try {
+            for (const networkInterface of arpInterfaces) {
+                if (signal.aborted) {
+                    break;
+                }
+                arpInterface = networkInterface.name;
+                await this.scannerARP.start({
+                    networkInterface: networkInterface,
+                    broadcastIP: new Netmask(networkInterface.cidr).broadcast,
+                    timeout: timeout,
+                    verbose: verbose,
+                    rateLimiter: this.discovery.rateLimiter,
+                    signal: signal
+                });
+            }
+        } catch (error) {
+            // Close the session if an error occurs (the pings in progress are ignored).
+            finished = true;
+            clearTimeout(nextPingTimer);
+            sharedPing.release();
+            signal.removeEventListener('abort', abortHandler);
+            
+            const scanError = new Error('ARP scan failed, error: ' + (error.message || error.toString() || 'Unknown error'));
+            this._fail(scanError);
+            throw scanError;
+        }
+        
+        // If (no device has been discovered) AND (all pings have completed) => Then emit completion events
+        // Note: This check is performed after the ARP scan, but we wait until all pings are complete.
+        // via checkAndEmitDevicesInfos() which will be called in executePing() after each ping is completed
+        
+        return this;
+    }
+
+}
+
+module.exports = ScanSession;
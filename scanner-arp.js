@@ -6,6 +6,7 @@ const Exec = require('child_process').exec;
 const ExecPromise = Util.promisify(Exec);
 const Os = require('os');
 const F = require('./functions');
+const MacVendor = require('./utils/mac-vendor-util');
 const Path = require('path');
 
 //CONSTANTS
@@ -57,10 +58,13 @@ class ScannerARP extends Scanner {
 
     /**
      * Scan ARP using arp-scan command (cross-platform)
-     * @param {Object} params - { networkInterface, broadcastIP, timeout }
+     * @param {Object} params - { networkInterface, broadcastIP, timeout, rateLimiter, signal }
+     * @param {Object} params.rateLimiter - Optional rate limiter shared by the scans : arp-scan (external process) is paced at its rate
+     *   with its --interval option, its requests are not taken from the shared bucket. Ignored on Windows (arp-scan.exe has no such option)
+     * @param {AbortSignal} params.signal - Optional signal killing the arp-scan process (partial results are kept)
      * @returns {Promise<Array>} Array of {ip, mac} objects
      */
-    async scanWithArpScan({ networkInterface, broadcastIP, timeout = 3000 }) {
+    async scanWithArpScan({ networkInterface, broadcastIP, timeout = 3000, rateLimiter = null, signal = null }) {
         return new Promise(async (resolve, reject) => {
             const devices = [];
             const seenDevices = new Set();
@@ -93,6 +97,10 @@ class ScannerARP extends Scanner {
                 // Use a longer timeout: at least 30 seconds for /24, or timeout * 10 if larger
                 const arpScanTimeout = Math.max(30000, timeout * 10);
                 let execOptions = { timeout: arpScanTimeout };
+                if (signal) {
+                    // exec kills the child process when the signal aborts
+                    execOptions.signal = signal;
+                }
                 
                 if (this.osType === OS_WINDOWS) {
                     // Windows: use arp-scan.exe from third_party directory
@@ -102,9 +110,16 @@ class ScannerARP extends Scanner {
                     execOptions.cwd = arpScanDir;
                     // Use relative path from the working directory
                     command = `arp-scan.exe -t ${networkCIDR}`;
+                    if (rateLimiter && this.verbose) {
+                        console.log('arp-scan.exe cannot be paced: the rate limit is ignored by the ARP scan');
+                    }
                 } else {
                     // Linux/macOS: use arp-scan command
                     command = `arp-scan --interface=${networkInterface.name} ${networkCIDR}`;
+                    if (rateLimiter) {
+                        // minimum delay between two ARP requests, in microseconds
+                        command += ` --interval=${Math.ceil(1000000 / rateLimiter.packetsPerSecond)}u`;
+                    }
                 }
                 
                 if (this.verbose) {
@@ -203,6 +218,10 @@ class ScannerARP extends Scanner {
 
                 resolve(devices);
             } catch (error) {
+                if (signal && signal.aborted) {
+                    this.aborted = true;
+                }
+
                 // Improved error handling to show full error details
                 const errorDetails = [];
                 errorDetails.push(`Message: ${error.message}`);
@@ -265,14 +284,14 @@ class ScannerARP extends Scanner {
                     }
                 }
                 
-                // If we got some devices, resolve with them, otherwise throw the error
-                if (devices.length > 0) {
+                // If we got some devices (or the scan was cancelled), resolve with them, otherwise reject with the error
+                if (devices.length > 0 || this.aborted) {
                     resolve(devices);
                 } else {
                     // Re-throw error with more details - always include stderr if available
                     const errorMsg = error.stderr || error.stdout || error.message || 'Unknown error';
                     const fullErrorMsg = errorDetails.join('; ');
-                    throw new Error(`ARP-scan failed: ${fullErrorMsg}`);
+                    reject(new Error(`ARP-scan failed: ${fullErrorMsg}`));
                 }
             }
         });
@@ -284,7 +303,7 @@ class ScannerARP extends Scanner {
      * Example: "Reply that 5C:47:5E:8C:0A:C2 is 10.10.1.1 in 127.013700"
      * @param {string} stdout - Standard output from arp-scan.exe
      * @param {string} stderr - Standard error from arp-scan.exe
-     * @returns {Array} Array of {ip, mac} objects
+     * @returns {Array} Array of {ip, mac, vendor, isRandomizedMac} objects
      */
     _parseArpScanWindowsOutput(stdout, stderr) {
         const devices = [];
@@ -308,7 +327,7 @@ class ScannerARP extends Scanner {
                 const ip = match[2];
                 
                 if (F.isIP(ip) && F.isMAC(mac)) {
-                    devices.push({ ip, mac });
+                    devices.push({ ip, mac, vendor: MacVendor.lookup(mac), isRandomizedMac: MacVendor.isRandomizedMac(mac) });
                     if (this.verbose) {
                         console.log(`  Parsed: ${ip} -> ${mac}`);
                     }
@@ -335,7 +354,8 @@ class ScannerARP extends Scanner {
      * Example: "10.10.1.3\t98:17:3c:01:e8:f2\t(Unknown)"
      * @param {string} stdout - Standard output from arp-scan
      * @param {string} stderr - Standard error from arp-scan
-     * @returns {Array} Array of {ip, mac} objects
+     * @returns {Array} Array of {ip, mac, vendor, isRandomizedMac} objects
+     *   (vendor from the bundled database, else from the arp-scan column, null when unknown)
      */
     _parseArpScanLinuxOutput(stdout, stderr) {
         const devices = [];
@@ -360,9 +380,14 @@ class ScannerARP extends Scanner {
                 const mac = parts[1];
                 
                 if (F.isIP(ip) && F.isMAC(mac)) {
+                    // vendor column: "(Unknown)" / "(Unknown: locally administered)" when arp-scan doesn't know the prefix,
+                    // followed by "(DUP: n)" for duplicated replies
+                    const vendor = parts.slice(2).join(' ').replace(/\s*\(DUP: \d+\)$/, '');
                     devices.push({ 
                         ip, 
-                        mac: F.normalizeMAC(mac) 
+                        mac: F.normalizeMAC(mac),
+                        vendor: MacVendor.lookup(mac) || ((vendor && !vendor.startsWith('(Unknown')) ? vendor : null),
+                        isRandomizedMac: MacVendor.isRandomizedMac(mac)
                     });
                 }
             }
@@ -374,9 +399,11 @@ class ScannerARP extends Scanner {
 
     /**
      * Start ARP broadcast scan
-     * @param {Object} params - { networkInterface, broadcastIP, timeout, verbose }
+     * @param {Object} params - { networkInterface, broadcastIP, timeout, verbose, rateLimiter, signal }
+     * @param {Object} params.rateLimiter - Optional rate limiter shared by the scans, see scanWithArpScan() (ignored on Windows)
+     * @param {AbortSignal} params.signal - Optional signal to cancel the scan (EVENT_COMPLETE is emitted with aborted: true)
      */
-    async start({ networkInterface, broadcastIP, timeout = 3000, verbose = false }) {
+    async start({ networkInterface, broadcastIP, timeout = 3000, verbose = false, rateLimiter = null, signal = null }) {
         this.verbose = verbose;
         // Initialize scanner base class (required for buildScanResult())
         // ScannerARP doesn't use ipArrayToScan, but we need to initialize ipArrayResults
@@ -410,7 +437,7 @@ class ScannerARP extends Scanner {
 
         // Use arp-scan for all platforms
         try {
-            devices = await this.scanWithArpScan({ networkInterface, broadcastIP, timeout });
+            devices = await this.scanWithArpScan({ networkInterface, broadcastIP, timeout, rateLimiter, signal });
             if (this.verbose) {
                 console.log(`ARP-scan completed: found ${devices.length} devices`);
             }
@@ -1,7 +1,7 @@
 ﻿'use strict'
 
 const Scanner = require('./scanner');
-const NetPing = require('net-ping')
+const PingSession = require('./utils/ping-session-util')
 
 class ScannerICMP extends Scanner {
 
@@ -11,44 +11,83 @@ class ScannerICMP extends Scanner {
 
     /**
      * Start ICMP ping scan
-     * @param {Object} params - { ipArrayToScan, timeout, retries, interval }
-     * @param {Array} params.ipArrayToScan - Array of IP addresses to ping
+     * EVENT_RESPONSE gives the reply of each responding host : { ip, replyFrom, rttMS, ttl }
+     * The addresses are enumerated as the pings are sent, with at most maxInFlight pings waiting for their reply :
+     * an iterator (see generateTargets()) scans a /16 or larger in constant memory.
+     * @param {Object} params - { ipArrayToScan, timeout, retries, interval, maxInFlight, rateLimiter, signal }
+     * @param {Array|Iterator} params.ipArrayToScan - Array or iterator of IP addresses to ping
      * @param {number} params.timeout - Timeout in milliseconds (default: 3000)
      * @param {number} params.retries - Number of retries (default: 0)
      * @param {number} params.interval - Delay between pings in milliseconds (default: 0)
-     *   - 0ms: No delay (all pings sent simultaneously) - original behavior
+     *   - 0ms: No delay (pings sent as fast as the maxInFlight window allows) - original behavior
      *   - 100ms: Occasional use, home LAN (5min for /24)
      *   - 200ms: Production/sensitive (10min) - recommended, zero perceptible impact
      *   - 500ms: Paranoid/critical network
+     * @param {number} params.maxInFlight - Maximum number of pings waiting for their reply (default: 256)
+     * @param {Object} params.rateLimiter - Optional rate limiter shared by the scans, one token per ping
+     * @param {AbortSignal} params.signal - Optional signal to cancel the scan (pending pings are dropped,
+     *   EVENT_COMPLETE is emitted with aborted: true)
      * @returns {This} Returns this instance for chaining
      */
-    start({ ipArrayToScan = [], timeout = 3000, retries = 0, interval = 0 }) {
+    start({ ipArrayToScan = [], timeout = 3000, retries = 0, interval = 0, maxInFlight = Scanner.DEFAULT_MAX_IN_FLIGHT, rateLimiter = null, signal = null }) {
         super.start({ ipArrayToScan : ipArrayToScan }); //fill this.ipArrayToScan
+        if (!(Number.isInteger(maxInFlight) && maxInFlight > 0)) {
+            throw new Error(`Invalid maxInFlight: ${maxInFlight}. Please choose an integer greater than 0`)
+        }
 
-        const session = NetPing.createSession({ timeout, retries })
-        let pending = 0
+        const ping = PingSession.acquire({ timeout, retries })
+        let targets = null
+        let starting = true
+        let completed = false
 
+        const complete = (emit = true) => {
+            if (completed) return
+            completed = true
+            if (targets) targets.stop()
+            if (signal) signal.removeEventListener('abort', onAbort)
+            ping.release()
+            if (emit) this.emit(Scanner.EVENT_COMPLETE, this.buildScanResult());
+        }
 
-        // Send pings with interval delay to avoid network saturation
-        // ICMP is L3 routable, so routers/firewalls process each packet
-        // Spacing prevents burst traffic that could saturate the network
-        // /!\ default interval is 0ms, so all pings are sent very close to each other.
-        this.ipArrayToScan.forEach((ip, index) => {
-            setTimeout(() => {
-                pending++
-                session.pingHost(ip, error => {
+        const onAbort = () => {
+            this.aborted = true
+            complete()
+        }
+
+        if (signal) {
+            if (signal.aborted) {
+                // emit asynchronously, as a normal scan would
+                process.nextTick(onAbort)
+                return this
+            }
+            signal.addEventListener('abort', onAbort, { once: true })
+        }
+
+        const sendPing = (ip, done) => {
+            try {
+                ping.ping(ip, (error, reply) => {
+                    if (completed) return
                     if (!error) {
                         this.ipArrayResults.push(ip);
-                        this.emit(Scanner.EVENT_RESPONSE, ip)
-                    }
-                    if (!--pending) {
-                        this.emit(Scanner.EVENT_COMPLETE, this.buildScanResult());
-                        session.close()
+                        this.emit(Scanner.EVENT_RESPONSE, reply)
                     }
+                    done()
                 })
-            }, index * interval)
-        })
-        
+            } catch (error) {
+                // no ping can be sent (raw socket rights...) : the session is released,
+                // start() throws the error of the first ping, the scan completes with its results on a later one
+                complete(!starting)
+                if (starting) throw error
+                console.error('ERROR: ping scan stopped:', error.message)
+            }
+        }
+
+        // Send pings with interval delay to avoid network saturation
+        // ICMP is L3 routable, so routers/firewalls process each packet
+        // Spacing prevents burst traffic that could saturate the network
+        // /!\ default interval is 0ms, so the maxInFlight first pings are sent very close to each other.
+        targets = this.pullTargets({ interval, maxInFlight, rateLimiter, signal, send: sendPing, drained: () => complete() })
+        starting = false
 
         return this
     }
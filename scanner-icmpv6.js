@@ -0,0 +1,206 @@
+﻿'use strict'
+
+const Scanner = require('./scanner');
+const Os = require('os');
+const Raw = require('raw-socket');
+const NeighborTable = require('./utils/neighbor-table-util');
+
+//CONSTANTS
+const ALL_NODES_ADDRESS = 'ff02::1';
+const ICMPV6_ECHO_REQUEST = 128;
+const ICMPV6_ECHO_REPLY = 129;
+
+/**
+ * Sort IPv6 addresses : link-local addresses first
+ * @param {Array} addresses
+ * @returns {Array}
+ */
+function sortAddresses(addresses) {
+    const isLinkLocal = address => /^fe[89ab]/i.test(address)
+    return addresses.sort((a, b) => (isLinkLocal(b) - isLinkLocal(a)) || a.localeCompare(b))
+}
+
+class ScannerICMPv6 extends Scanner {
+
+    //properties from generic scan class :
+    //this.ipArrayResults
+
+    /**
+     * Build an ICMPv6 echo request (the checksum is computed by the system)
+     * @param {number} identifier - Echo identifier of the scan
+     * @param {number} sequence - Sequence number
+     * @returns {Buffer}
+     */
+    static buildEchoRequest(identifier, sequence) {
+        const request = Buffer.alloc(8)
+        request[0] = ICMPV6_ECHO_REQUEST
+        request.writeUInt16BE(identifier, 4)
+        request.writeUInt16BE(sequence, 6)
+        return request
+    }
+
+    /**
+     * Parse an ICMPv6 message received by the raw socket
+     * @param {Buffer} buffer
+     * @returns {Object|null} { identifier, sequence }, null when the message is not an echo reply
+     */
+    static parseEchoReply(buffer) {
+        if (buffer.length < 8 || buffer[0] !== ICMPV6_ECHO_REPLY) return null
+        return { identifier: buffer.readUInt16BE(4), sequence: buffer.readUInt16BE(6) }
+    }
+
+    /**
+     * Start IPv6 host discovery on one or several interfaces (an IPv6 subnet is too large to be enumerated) :
+     * ICMPv6 echo request to ff02::1 (all-nodes multicast address), then read of the IPv6 neighbor cache (ip -6 neigh, ndp, netsh).
+     * The devices are grouped by interface and MAC address and correlated with the ARP cache :
+     * EVENT_RESPONSE is emitted at the end of the scan for each device, with
+     * { ip, mac, interface, ipv6: ['fe80::...', '2001:db8::...'], respondsToIcmpv6 }
+     * ip is the IPv4 address having the same MAC address in the ARP cache, the first IPv6 address otherwise.
+     * The addresses of this host are ignored. Sending the echo request requires administrator rights (raw socket of the raw-socket package),
+     * without them only the neighbor cache is read. The interfaces where the echo request could not be sent are in this.sendErrors
+     * (interface name => Error), their devices come from the neighbor cache only.
+     * @param {Object} params - { networkInterface, duration, rateLimiter, signal }
+     * @param {string|Array} params.networkInterface - Interface name ('eth0', 'en0', 'Ethernet'...) or array of interface names
+     * @param {number} params.duration - Listening duration in milliseconds (default: 3000), the echo request is sent again at half time
+     * @param {Object} params.rateLimiter - Optional rate limiter shared by the scans, one token per echo request
+     * @param {AbortSignal} params.signal - Optional signal to cancel the scan (the devices found so far are emitted)
+     * @returns {This} Returns this instance for chaining
+     */
+    start({ networkInterface, duration = 3000, rateLimiter = null, signal = null }) {
+        // no IP list to scan
+        this.ipArrayToScan = [];
+        this.ipArrayResults = [];
+        this.aborted = false;
+        this.sendErrors = new Map();
+        this.timerStart();
+
+        const interfaces = Os.networkInterfaces()
+        const names = [].concat(networkInterface)
+        names.forEach((name) => {
+            if (!interfaces[name]) {
+                console.error('ERROR: unknown network interface:', name)
+                throw new Error(`Unknown network interface: ${name}`)
+            }
+        })
+        const localAddresses = new Set()
+        Object.values(interfaces).forEach(infos => infos.forEach(info => localAddresses.add(info.address)))
+        // multicast destination scope : interface index on Windows, interface name elsewhere
+        const scopes = names.map((name) => {
+            const linkLocal = interfaces[name].find(info => info.family === 'IPv6' && info.scopeid)
+            return Os.platform() === 'win32' && linkLocal ? linkLocal.scopeid : name
+        })
+        const identifier = (process.pid ^ Math.floor(Math.random() * 0xffff)) & 0xffff
+        const responders = new Set()
+        const timers = []
+        let socket = null
+        let completed = false
+
+        const sendFailed = (name, error) => {
+            console.error(`ERROR: ICMPv6 echo request on ${name} failed:`, error.message)
+            this.sendErrors.set(name, error)
+        }
+        const sendEchoRequest = async (sequence) => {
+            if (!await this.acquirePackets(rateLimiter, scopes.length, signal) || completed) return
+            const request = ScannerICMPv6.buildEchoRequest(identifier, sequence)
+            scopes.forEach((scope, index) => {
+                try {
+                    socket.send(request, 0, request.length, `${ALL_NODES_ADDRESS}%${scope}`, null, (error) => {
+                        if (error) sendFailed(names[index], error)
+                    })
+                } catch (error) {
+                    sendFailed(names[index], error)
+                }
+            })
+        }
+        const sendEchoRequests = (sequence) => {
+            sendEchoRequest(sequence).catch(error => names.forEach(name => sendFailed(name, error)))
+        }
+
+        // group the neighbor cache entries and the responders by interface and MAC address
+        const buildDevices = (entries6, entries4) => {
+            const devices = new Map() // interface + MAC address (IPv6 address when unknown) => device
+            const addDevice = (address, mac, name) => {
+                const key = `${name}/${mac || address}`
+                if (!devices.has(key)) devices.set(key, { ip: null, mac, interface: name, ipv6: [], respondsToIcmpv6: false })
+                const device = devices.get(key)
+                if (!device.ipv6.includes(address)) device.ipv6.push(address)
+                if (responders.has(address)) device.respondsToIcmpv6 = true
+            }
+            const known = new Set() // IPv6 addresses of the neighbor cache
+            entries6
+                .filter(entry => names.includes(entry.interface) && entry.mac && !/^ff/i.test(entry.ip) && !localAddresses.has(entry.ip))
+                .forEach((entry) => {
+                    known.add(entry.ip)
+                    addDevice(entry.ip, entry.mac, entry.interface)
+                })
+            // the replies don't tell the interface of a link-local address
+            responders.forEach((address) => {
+                if (!known.has(address)) addDevice(address, null, names.length === 1 ? names[0] : null)
+            })
+            return Array.from(devices.values()).map((device) => {
+                const ipv4 = device.mac ? entries4.find(entry => entry.mac === device.mac) : null
+                device.ipv6 = sortAddresses(device.ipv6)
+                device.ip = ipv4 ? ipv4.ip : device.ipv6[0]
+                return device
+            })
+        }
+
+        const complete = () => {
+            if (completed) return
+            completed = true
+            timers.forEach(timer => clearTimeout(timer))
+            if (signal) signal.removeEventListener('abort', onAbort)
+            if (socket) socket.close()
+            Promise.all([
+                NeighborTable.read({ family: 6 }).catch(() => []),
+                NeighborTable.read({ family: 4 }).catch(() => [])
+            ]).then(([entries6, entries4]) => {
+                buildDevices(entries6, entries4).forEach((device) => {
+                    this.ipArrayResults.push(device.ip);
+                    this.emit(Scanner.EVENT_RESPONSE, device)
+                })
+                this.emit(Scanner.EVENT_COMPLETE, this.buildScanResult());
+            })
+        }
+
+        const onAbort = () => {
+            this.aborted = true
+            complete()
+        }
+
+        if (signal) {
+            if (signal.aborted) {
+                // emit asynchronously, as a normal scan would
+                process.nextTick(onAbort)
+                return this
+            }
+            signal.addEventListener('abort', onAbort, { once: true })
+        }
+
+        try {
+            socket = Raw.createSocket({ protocol: Raw.Protocol.ICMPv6, addressFamily: Raw.AddressFamily.IPv6 })
+        } catch (error) {
+            console.error('ERROR: unable to send ICMPv6 echo requests (administrator rights required), only the neighbor cache is read:', error.message)
+        }
+
+        if (socket) {
+            socket.on('message', (buffer, source) => {
+                const reply = ScannerICMPv6.parseEchoReply(buffer)
+                if (!reply || reply.identifier !== identifier) return
+                if (!localAddresses.has(source)) responders.add(source)
+            })
+            socket.on('error', (error) => {
+                console.error('ERROR: ICMPv6 socket error:', error.message)
+                complete()
+            })
+            sendEchoRequests(1)
+            timers.push(setTimeout(() => sendEchoRequests(2), duration / 2))
+        }
+        timers.push(setTimeout(complete, duration))
+
+        return this
+    }
+
+}
+
+module.exports = ScannerICMPv6;
@@ -0,0 +1,204 @@
+﻿'use strict'
+
+const Scanner = require('./scanner');
+const Dgram = require('dgram');
+const DnsPacket = require('./utils/dns-packet-util');
+
+//CONSTANTS
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const SERVICES_QUERY = '_services._dns-sd._udp.local';
+
+/**
+ * Parse TXT strings of a DNS-SD service ('key=value', or 'key' for a boolean attribute)
+ * @param {Array} strings
+ * @returns {Object}
+ */
+function parseTxt(strings) {
+    const txt = {};
+    strings.forEach((string) => {
+        if (!string) return;
+        const separator = string.indexOf('=');
+        if (separator === -1) {
+            txt[string] = true;
+        } else if (separator > 0) {
+            txt[string.slice(0, separator)] = string.slice(separator + 1);
+        }
+    });
+    return txt;
+}
+
+class ScannerMDNS extends Scanner {
+
+    //properties from generic scan class :
+    //this.ipArrayToScan (optional IP filter)
+    //this.ipArrayResults
+
+    /**
+     * Start mDNS / DNS-SD browsing (multicast DNS, RFC 6762 / 6763)
+     * Active mode queries _services._dns-sd._udp.local, then the PTR / SRV / TXT / A records of each advertised service,
+     * passive mode only listens to the announcements and the answers to other hosts queries.
+     * EVENT_RESPONSE is emitted at the end of the browsing for each IP, with
+     * { ip, hostnames: ['printer.local'], services: [{ name, type, port, host, txt }] }
+     * @param {Object} params - { ipArrayToScan, duration, passive, rateLimiter, signal }
+     * @param {Array} params.ipArrayToScan - Optional array of IP addresses : the other hosts are ignored (default: all hosts)
+     * @param {number} params.duration - Browsing / listening duration in milliseconds (default: 3000)
+     * @param {boolean} params.passive - Listen only, no query is sent (default: false)
+     * @param {Object} params.rateLimiter - Optional rate limiter shared by the scans, one token per query
+     * @param {AbortSignal} params.signal - Optional signal to cancel the scan (the records received so far are emitted)
+     * @returns {This} Returns this instance for chaining
+     */
+    start({ ipArrayToScan = [], duration = 3000, passive = false, rateLimiter = null, signal = null }) {
+        if (ipArrayToScan.length) {
+            super.start({ ipArrayToScan : ipArrayToScan });
+        } else {
+            // no IP filter : every responding host is reported
+            this.ipArrayToScan = [];
+            this.ipArrayResults = [];
+            this.aborted = false;
+            this.timerStart();
+        }
+
+        const socket = Dgram.createSocket({ type: 'udp4', reuseAddr: true })
+        const ipFilter = ipArrayToScan.length ? new Set(ipArrayToScan) : null
+        // records cache
+        const instanceTypes = new Map() // instance name => service type
+        const srvRecords = new Map() // instance name => { port, target }
+        const txtRecords = new Map() // instance name => txt object
+        const addresses = new Map() // hostname => Set of IPs
+        const sources = new Map() // hostname => IP of the host that sent its SRV record
+        const queried = new Set()
+        let timer = null
+        let completed = false
+
+        const query = (name, types) => {
+            const key = name + ':' + types.join(',')
+            if (passive || completed || queried.has(key)) return
+            queried.add(key)
+            const packet = DnsPacket.encodeQuery({ flags: 0, questions: types.map(type => ({ name, type })) })
+            this.acquirePackets(rateLimiter, 1, signal).then(() => {
+                if (!completed) socket.send(packet, MDNS_PORT, MDNS_ADDRESS, () => {})
+            })
+        }
+
+        const addToSet = (map, key, value) => {
+            if (!map.has(key)) map.set(key, new Set())
+            map.get(key).add(value)
+        }
+
+        const onRecord = (record, source) => {
+            const name = record.name.toLowerCase()
+            switch (record.type) {
+                case DnsPacket.TYPE_PTR:
+                    if (name === SERVICES_QUERY) {
+                        query(record.data, [DnsPacket.TYPE_PTR]) // service type
+                    } else if (!name.endsWith('.in-addr.arpa')) {
+                        instanceTypes.set(record.data, record.name)
+                        if (!srvRecords.has(record.data)) {
+                            query(record.data, [DnsPacket.TYPE_SRV, DnsPacket.TYPE_TXT])
+                        }
+                    }
+                    break
+                case DnsPacket.TYPE_SRV:
+                    srvRecords.set(record.name, { port: record.data.port, target: record.data.target })
+                    if (!sources.has(record.data.target)) sources.set(record.data.target, source)
+                    if (!addresses.has(record.data.target)) {
+                        query(record.data.target, [DnsPacket.TYPE_A])
+                    }
+                    break
+                case DnsPacket.TYPE_TXT:
+                    txtRecords.set(record.name, parseTxt(record.data))
+                    break
+                case DnsPacket.TYPE_A:
+                    addToSet(addresses, record.name, record.data)
+                    break
+            }
+        }
+
+        // group hostnames and services by IP address
+        const buildHosts = () => {
+            const hosts = new Map() // ip => { ip, hostnames, services }
+            const hostOf = (ip) => {
+                if (!hosts.has(ip)) hosts.set(ip, { ip, hostnames: [], services: [] })
+                return hosts.get(ip)
+            }
+            addresses.forEach((ips, hostname) => {
+                ips.forEach(ip => hostOf(ip).hostnames.push(hostname))
+            })
+            srvRecords.forEach((srv, instance) => {
+                const ips = addresses.has(srv.target) ? Array.from(addresses.get(srv.target)) : [sources.get(srv.target)]
+                const type = instanceTypes.get(instance) || instance.split('.').slice(-3).join('.')
+                const service = {
+                    name: instance.endsWith('.' + type) ? instance.slice(0, -type.length - 1) : instance,
+                    type: type.replace(/\.local$/i, ''),
+                    port: srv.port,
+                    host: srv.target,
+                    txt: txtRecords.get(instance) || {}
+                }
+                ips.filter(ip => ip).forEach(ip => hostOf(ip).services.push(service))
+            })
+            return Array.from(hosts.values()).filter(host => !ipFilter || ipFilter.has(host.ip))
+        }
+
+        const complete = () => {
+            if (completed) return
+            completed = true
+            clearTimeout(timer)
+            if (signal) signal.removeEventListener('abort', onAbort)
+            try { socket.close() } catch (error) { /* socket not bound */ }
+            buildHosts().forEach((host) => {
+                this.ipArrayResults.push(host.ip);
+                this.emit(Scanner.EVENT_RESPONSE, host)
+            })
+            this.emit(Scanner.EVENT_COMPLETE, this.buildScanResult());
+        }
+
+        const onAbort = () => {
+            this.aborted = true
+            complete()
+        }
+
+        socket.on('message', (buffer, rinfo) => {
+            let packet
+            try {
+                packet = DnsPacket.decode(buffer)
+            } catch (error) {
+                return // not a valid mDNS packet
+            }
+            if (!packet.qr) return // query of another host
+            packet.answers.concat(packet.additionals).forEach(record => onRecord(record, rinfo.address))
+        })
+
+        socket.on('error', (error) => {
+            console.error('ERROR: mDNS socket error:', error.message)
+            complete()
+        })
+
+        if (signal) {
+            if (signal.aborted) {
+                // emit asynchronously, as a normal scan would
+                process.nextTick(onAbort)
+                return this
+            }
+            signal.addEventListener('abort', onAbort, { once: true })
+        }
+
+        socket.bind(MDNS_PORT, () => {
+            if (completed) return
+            try {
+                socket.addMembership(MDNS_ADDRESS)
+                socket.setMulticastTTL(255)
+            } catch (error) {
+                console.error('ERROR: unable to join the mDNS multicast group:', error.message)
+                return complete()
+            }
+            query(SERVICES_QUERY, [DnsPacket.TYPE_PTR])
+            timer = setTimeout(complete, duration)
+        })
+
+        return this
+    }
+
+}
+
+module.exports = ScannerMDNS;
@@ -0,0 +1,160 @@
+﻿'use strict'
+
+const Scanner = require('./scanner');
+const Dgram = require('dgram');
+const Upnp = require('./utils/upnp-util');
+
+class ScannerSSDP extends Scanner {
+
+    //properties from generic scan class :
+    //this.ipArrayToScan (optional IP filter)
+    //this.ipArrayResults
+
+    /**
+     * Start SSDP / UPnP discovery
+     * An M-SEARCH request is multicast, the answers and the NOTIFY announcements received during the scan are collected,
+     * then the device description (LOCATION header) of each host is downloaded, when the location is on the host itself.
+     * EVENT_RESPONSE is emitted at the end of the scan for each IP, with
+     * { ip, upnp: { friendlyName, manufacturer, modelName, modelNumber, deviceType, udn, services, server, locations } }
+     * @param {Object} params - { ipArrayToScan, duration, fetchDescription, descriptionTimeout, rateLimiter, signal }
+     * @param {Array} params.ipArrayToScan - Optional array of IP addresses : the other hosts are ignored (default: all hosts)
+     * @param {number} params.duration - Time to collect the answers and announcements in milliseconds (default: 3000)
+     * @param {boolean} params.fetchDescription - Download the device descriptions (default: true)
+     * @param {number} params.descriptionTimeout - Description request timeout in milliseconds (default: 3000)
+     * @param {Object} params.rateLimiter - Optional rate limiter shared by the scans, one token per request
+     * @param {AbortSignal} params.signal - Optional signal to cancel the scan (the answers received so far are emitted)
+     * @returns {This} Returns this instance for chaining
+     */
+    start({ ipArrayToScan = [], duration = 3000, fetchDescription = true, descriptionTimeout = 3000, rateLimiter = null, signal = null }) {
+        if (ipArrayToScan.length) {
+            super.start({ ipArrayToScan : ipArrayToScan });
+        } else {
+            // no IP filter : every responding host is reported
+            this.ipArrayToScan = [];
+            this.ipArrayResults = [];
+            this.aborted = false;
+            this.timerStart();
+        }
+
+        const socket = Dgram.createSocket({ type: 'udp4', reuseAddr: true })
+        const ipFilter = ipArrayToScan.length ? new Set(ipArrayToScan) : null
+        const hosts = new Map() // ip => { server, locations: Set }
+        const descriptionAbort = new AbortController()
+        let timer = null
+        let listening = true
+        let finishing = false
+        let completed = false
+
+        const complete = () => {
+            if (completed) return
+            completed = true
+            descriptionAbort.abort()
+            if (signal) signal.removeEventListener('abort', onAbort)
+            this.emit(Scanner.EVENT_COMPLETE, this.buildScanResult());
+        }
+
+        const stopListening = () => {
+            if (!listening) return
+            listening = false
+            clearTimeout(timer)
+            try { socket.close() } catch (error) { /* socket not bound */ }
+        }
+
+        // the hosts collected so far are emitted without their descriptions
+        const onAbort = () => {
+            this.aborted = true
+            descriptionAbort.abort()
+            finish()
+        }
+
+        // read the descriptions, then emit the hosts
+        const finish = async () => {
+            stopListening()
+            if (finishing) return
+            finishing = true
+            const results = await Promise.all(Array.from(hosts.entries()).map(async ([ip, host]) => {
+                const upnp = {
+                    friendlyName: null, manufacturer: null, modelName: null, modelNumber: null, deviceType: null, udn: null,
+                    services: [],
+                    server: host.server,
+                    locations: Array.from(host.locations)
+                }
+                if (fetchDescription && !this.aborted) {
+                    for (const location of upnp.locations) {
+                        if (!await this.acquirePackets(rateLimiter, 1, descriptionAbort.signal)) break
+                        try {
+                            const description = await Upnp.fetchDescription(location, { timeout: descriptionTimeout, signal: descriptionAbort.signal })
+                            // the first root device gives the identification, services of all the root devices are listed
+                            Object.keys(description).forEach((key) => {
+                                if (key !== 'services' && upnp[key] === null) upnp[key] = description[key]
+                            })
+                            description.services.forEach((service) => {
+                                if (!upnp.services.includes(service)) upnp.services.push(service)
+                            })
+                        } catch (error) {
+                            // description not available, the SSDP headers are kept
+                        }
+                    }
+                }
+                return { ip, upnp }
+            }))
+            if (completed) return
+            results.forEach((result) => {
+                this.ipArrayResults.push(result.ip);
+                this.emit(Scanner.EVENT_RESPONSE, result)
+            })
+            complete()
+        }
+
+        socket.on('message', (buffer, rinfo) => {
+            const message = Upnp.parseSsdpMessage(buffer)
+            if (!message || message.type === 'search') return
+            if (message.type === 'notify' && /byebye/i.test(message.headers.nts || '')) return
+            if (ipFilter && !ipFilter.has(rinfo.address)) return
+            if (!hosts.has(rinfo.address)) {
+                hosts.set(rinfo.address, { server: null, locations: new Set() })
+            }
+            const host = hosts.get(rinfo.address)
+            if (message.headers.server && !host.server) host.server = message.headers.server
+            // a location on another host is ignored, it could make the scanner request any URL
+            if (message.headers.location && Upnp.isDeviceLocation(message.headers.location, rinfo.address)) {
+                host.locations.add(message.headers.location)
+            }
+        })
+
+        socket.on('error', (error) => {
+            console.error('ERROR: SSDP socket error:', error.message)
+            finish()
+        })
+
+        if (signal) {
+            if (signal.aborted) {
+                // emit asynchronously, as a normal scan would
+                process.nextTick(onAbort)
+                return this
+            }
+            signal.addEventListener('abort', onAbort, { once: true })
+        }
+
+        // bound to the SSDP port to receive the NOTIFY announcements too
+        socket.bind(Upnp.SSDP_PORT, () => {
+            if (!listening) return
+            try {
+                socket.addMembership(Upnp.SSDP_ADDRESS)
+            } catch (error) {
+                console.error('ERROR: unable to join the SSDP multicast group:', error.message)
+                return finish()
+            }
+            const mx = Math.max(1, Math.min(5, Math.floor(duration / 1000)))
+            this.acquirePackets(rateLimiter, 1, signal).then(() => {
+                if (listening) socket.send(Upnp.buildSearch({ mx }), Upnp.SSDP_PORT, Upnp.SSDP_ADDRESS, () => {})
+            })
+            timer = setTimeout(finish, duration)
+        })
+
+        return this
+    }
+
+}
+
+module.exports = ScannerSSDP;
@@ -2,53 +2,326 @@
 
 const Scanner = require('./scanner');
 const { Socket } = require('net')
+const parseBanner = require('./utils/banner-util')
+const F = require('./functions')
+
+//CONSTANTS
+const PORT_OPEN = 'open';
+const PORT_CLOSED = 'closed';
+const PORT_FILTERED = 'filtered';
 
 class ScannerTCP extends Scanner {
 
+    //define port states :
+    static get PORT_OPEN(){ return PORT_OPEN }
+    static get PORT_CLOSED(){ return PORT_CLOSED }
+    static get PORT_FILTERED(){ return PORT_FILTERED }
+
     //properties from generic scan class :
     //this.ipArrayToScan
     //this.ipArrayResults
 
-    start({ ipArrayToScan = [], timeout = 3000, port = 1 }) {
+    /**
+     * Start TCP connect scan (no root/administrator rights required)
+     * A host is up when the port accepts the connection or refuses it (ECONNREFUSED),
+     * it is down when the connection times out or the host is unreachable.
+     * The addresses are enumerated as the connections are opened, see ScannerICMP.
+     * @param {Object} params - { ipArrayToScan, timeout, port, interval, maxInFlight, rateLimiter, signal }
+     * @param {Array|Iterator} params.ipArrayToScan - Array or iterator of IP addresses to probe
+     * @param {number} params.timeout - Connection timeout in milliseconds (default: 3000)
+     * @param {number} params.port - TCP port to probe (default: 1, a closed port answers with a reset)
+     * @param {number} params.interval - Delay between connections in milliseconds (default: 0, see ScannerICMP)
+     * @param {number} params.maxInFlight - Maximum number of connections in progress (default: 256)
+     * @param {Object} params.rateLimiter - Optional rate limiter shared by the scans, one token per connection
+     * @param {AbortSignal} params.signal - Optional signal to cancel the scan (pending connections are destroyed,
+     *   EVENT_COMPLETE is emitted with aborted: true)
+     * @returns {This} Returns this instance for chaining
+     */
+    start({ ipArrayToScan = [], timeout = 3000, port = 1, interval = 0, maxInFlight = Scanner.DEFAULT_MAX_IN_FLIGHT, rateLimiter = null, signal = null }) {
         super.start({ ipArrayToScan : ipArrayToScan });
+        if (!(Number.isInteger(maxInFlight) && maxInFlight > 0)) {
+            throw new Error(`Invalid maxInFlight: ${maxInFlight}. Please choose an integer greater than 0`)
+        }
+
+        const sockets = new Set()
+        let targets = null
+        let completed = false
 
-        let pending = 0
+        const complete = () => {
+            if (completed) return
+            completed = true
+            if (targets) targets.stop()
+            sockets.forEach(socket => socket.destroy())
+            if (signal) signal.removeEventListener('abort', onAbort)
+            this.emit(Scanner.EVENT_COMPLETE, this.buildScanResult());
+        }
+
+        const onAbort = () => {
+            this.aborted = true
+            complete()
+        }
 
-        for (let ip of this.ipArrayToScan) {
-            pending++
-            this.scanHost({ ip, port, timeout }, error => {
+        if (signal) {
+            if (signal.aborted) {
+                // emit asynchronously, as a normal scan would
+                process.nextTick(onAbort)
+                return this
+            }
+            signal.addEventListener('abort', onAbort, { once: true })
+        }
+
+        const connect = (ip, done) => {
+            const socket = this.scanHost({ ip, port, timeout }, error => {
+                sockets.delete(socket)
+                if (completed) return
                 if (!error){
                     this.ipArrayResults.push(ip);
                     this.emit(Scanner.EVENT_RESPONSE, ip)
                 }
-                if (!--pending){
-                    this.emit(Scanner.EVENT_COMPLETE, this.buildScanResult());
-                }
+                done()
             })
+            sockets.add(socket)
         }
 
+        targets = this.pullTargets({ interval, maxInFlight, rateLimiter, signal, send: connect, drained: complete })
+
         return this
     }
 
+    /**
+     * Start TCP port scan : probe several ports on each host
+     * EVENT_RESPONSE is emitted once all the ports of a host are probed, with { ip, ports: [{ port, state, latencyMS }] },
+     * for the hosts having at least one open or closed port (hosts with filtered ports only are considered down).
+     * The hosts are enumerated as connections can be opened : at most concurrency hosts are in progress.
+     * @param {Object} params - { ipArrayToScan, ports, timeout, concurrency, hostConcurrency, rateLimiter, signal }
+     * @param {Array|Iterator} params.ipArrayToScan - Array or iterator of IP addresses to scan
+     * @param {Array} params.ports - Array of port numbers (see utils/port-range-util.js to parse "22,80,8000-8100" or "top100")
+     * @param {number} params.timeout - Connection timeout in milliseconds (default: 3000)
+     * @param {number} params.concurrency - Maximum number of connections in progress (default: 200)
+     * @param {number} params.hostConcurrency - Maximum number of connections in progress on one host (default: 10)
+     * @param {Object} params.rateLimiter - Optional rate limiter shared by the scans, one token per connection
+     * @param {AbortSignal} params.signal - Optional signal to cancel the scan
+     * @returns {This} Returns this instance for chaining
+     */
+    startPortScan({ ipArrayToScan = [], ports = [], timeout = 3000, concurrency = 200, hostConcurrency = 10, rateLimiter = null, signal = null }) {
+        super.start({ ipArrayToScan : ipArrayToScan });
+
+        // one entry per host in progress : next port to probe, connections in progress, probed ports
+        const hosts = []
+        const targets = this.ipArrayToScan[Symbol.iterator]()
+        const sockets = new Set()
+        let inFlight = 0
+        let hostIndex = 0
+        let exhausted = false
+        let completed = false
+
+        const complete = () => {
+            if (completed) return
+            completed = true
+            sockets.forEach(socket => socket.destroy())
+            if (signal) signal.removeEventListener('abort', onAbort)
+            this.emit(Scanner.EVENT_COMPLETE, this.buildScanResult());
+        }
+
+        const onAbort = () => {
+            this.aborted = true
+            complete()
+        }
+
+        const hostDone = (host) => {
+            host.results.sort((a, b) => a.port - b.port)
+            if (host.results.some(result => result.state !== PORT_FILTERED)) {
+                this.ipArrayResults.push(host.ip);
+                this.emit(Scanner.EVENT_RESPONSE, { ip: host.ip, ports: host.results })
+            }
+        }
+
+        // the next host is taken when the hosts in progress can't open more connections
+        const nextHost = () => {
+            while (!exhausted) {
+                const next = targets.next()
+                if (next.done) {
+                    exhausted = true
+                } else if (!F.isIP(next.value)) {
+                    console.error('invalid ip : "', next.value, '"') // given by an iterator, skipped
+                } else {
+                    const host = { ip: next.value, next: 0, inFlight: 0, results: [] }
+                    hosts.push(host)
+                    return host
+                }
+            }
+            return null
+        }
+
+        // open connections while the limits allow it, hosts are served in turn
+        const pump = () => {
+            let idle = 0
+            while (!completed && inFlight < concurrency) {
+                if (idle >= hosts.length) {
+                    if (!nextHost()) break
+                    hostIndex = hosts.length - 1
+                }
+                hostIndex = hostIndex % hosts.length
+                const host = hosts[hostIndex]
+                if (host.next >= ports.length || host.inFlight >= hostConcurrency) {
+                    idle++
+                    hostIndex++
+                    continue
+                }
+                idle = 0
+                const port = ports[host.next++]
+                host.inFlight++
+                inFlight++
+                this.acquirePackets(rateLimiter, 1, signal).then(() => {
+                    if (completed) return
+                    const socket = this.probePort({ ip: host.ip, port, timeout }, (state, latencyMS) => {
+                        sockets.delete(socket)
+                        host.inFlight--
+                        inFlight--
+                        if (completed) return
+                        host.results.push({ port, state, latencyMS })
+                        if (host.results.length === ports.length) {
+                            hosts.splice(hosts.indexOf(host), 1)
+                            hostDone(host)
+                        }
+                        pump()
+                    })
+                    sockets.add(socket)
+                })
+                hostIndex++
+            }
+            if (exhausted && !hosts.length) {
+                complete()
+            }
+        }
+
+        if (signal) {
+            if (signal.aborted) {
+                process.nextTick(onAbort)
+                return this
+            }
+            signal.addEventListener('abort', onAbort, { once: true })
+        }
+
+        if (!ports.length) {
+            // nothing to probe, emit asynchronously as a normal scan would
+            process.nextTick(complete)
+            return this
+        }
+        pump()
+
+        return this
+    }
+
+    /**
+     * Probe one TCP port
+     * @param {Object} params - { ip, port, timeout }
+     * @param {Function} callback - called once with true when the host is down, false when it is up
+     * @returns {Socket} the probe socket
+     */
     scanHost({ ip, port, timeout }, callback){
+        return this.probePort({ ip, port, timeout }, state => callback(state === PORT_FILTERED))
+    }
+
+    /**
+     * Probe one TCP port and return its state
+     * - open : the connection is accepted
+     * - closed : the connection is refused (ECONNREFUSED, the host is up)
+     * - filtered : no answer before the timeout, or host unreachable
+     * @param {Object} params - { ip, port, timeout }
+     * @param {Function} callback - called once with (state, latencyMS), latencyMS is null for a filtered port
+     * @returns {Socket} the probe socket
+     */
+    probePort({ ip, port, timeout }, callback){
         const socket = new Socket()
+        const startTime = Date.now()
+        let done = false
+        const finish = (state) => {
+            if (done) return
+            done = true
+            socket.destroy()
+            callback(state, state === PORT_FILTERED ? null : Date.now() - startTime)
+        }
 
         socket.setTimeout(timeout)
         socket.connect({ host: ip, port })
         socket.unref()
 
         socket.on('error', error =>
-            'ECONNREFUSED' === error.code ? callback(false) : callback(true))
+            'ECONNREFUSED' === error.code ? finish(PORT_CLOSED) : finish(PORT_FILTERED))
 
-        socket.on('timeout', () => {
-            callback(true); socket.destroy() })
+        socket.on('timeout', () => finish(PORT_FILTERED))
 
-        socket.on('connect', () => {
-            callback(false); socket.destroy() })
+        socket.on('connect', () => finish(PORT_OPEN))
+
+        return socket
+    }
+
+    /**
+     * Read the banner of an open port and identify the service
+     * Greetings (SSH, FTP, SMTP, Telnet, MySQL) are read as sent by the server,
+     * HTTP ports receive a minimal GET request : the Server header and the page title are parsed.
+     *
+     * Example: await scannerTCP.grabBanner({ ip: '192.168.1.10', port: 22 })
+     *   => { port: 22, service: 'ssh', banner: 'SSH-2.0-OpenSSH_9.2p1', product: 'OpenSSH_9.2p1' }
+     * @param {Object} params - { ip, port, timeout, maxBytes, idleMs, http, signal }
+     * @param {number} params.timeout - Maximum duration of the probe in milliseconds (default: 3000)
+     * @param {number} params.maxBytes - Maximum number of bytes read (default: 1024)
+     * @param {number} params.idleMs - The banner is complete when no byte is received during idleMs (default: 500)
+     * @param {boolean} params.http - Send an HTTP request (default: true for the usual HTTP ports, see utils/banner-util.js)
+     * @param {AbortSignal} params.signal - Optional signal : the socket is destroyed and the bytes received so far are parsed
+     * @returns {Promise<Object>} { port, service, banner, product } plus http: { status, server, title } for HTTP ports,
+     *   service, banner and product are null when nothing was received or the service is unknown
+     */
+    grabBanner({ ip, port, timeout = 3000, maxBytes = 1024, idleMs = 500, http = parseBanner.HTTP_PORTS.includes(port), signal = null }){
+        return new Promise((resolve) => {
+            const socket = new Socket()
+            const chunks = []
+            let received = 0
+            let idleTimer = null
+            let done = false
+
+            const finish = () => {
+                if (done) return
+                done = true
+                clearTimeout(timer)
+                clearTimeout(idleTimer)
+                if (signal) signal.removeEventListener('abort', finish)
+                socket.destroy()
+                const buffer = Buffer.concat(chunks, received).slice(0, maxBytes)
+                resolve({ port, ...parseBanner(buffer, port) })
+            }
+            const timer = setTimeout(finish, timeout)
+            if (signal) {
+                if (signal.aborted) return finish()
+                signal.addEventListener('abort', finish)
+            }
+
+            socket.on('connect', () => {
+                if (http) {
+                    socket.write(parseBanner.httpProbe(ip))
+                }
+            })
+            socket.on('data', (chunk) => {
+                chunks.push(chunk)
+                received += chunk.length
+                if (received >= maxBytes) {
+                    return finish()
+                }
+                // HTTP responses end with the connection (Connection: close), greetings with silence
+                if (!http) {
+                    clearTimeout(idleTimer)
+                    idleTimer = setTimeout(finish, idleMs)
+                }
+            })
+            socket.on('end', finish)
+            socket.on('close', finish)
+            socket.on('error', finish)
+
+            socket.connect({ host: ip, port })
+        })
     }
 
 }
 
 module.exports = ScannerTCP;
-
-//TODO: TEST IT :80
\ No newline at end of file
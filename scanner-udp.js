@@ -0,0 +1,140 @@
+﻿'use strict'
+
+const Scanner = require('./scanner');
+const Dgram = require('dgram');
+const { PROBES, PROBE_NAMES } = require('./utils/udp-probes-util');
+
+class ScannerUDP extends Scanner {
+
+    //properties from generic scan class :
+    //this.ipArrayToScan
+    //this.ipArrayResults
+
+    //define probes available :
+    static get PROBE_NAMES(){ return PROBE_NAMES }
+
+    /**
+     * Start UDP scan : send protocol-correct probes to each host (no root/administrator rights required)
+     * EVENT_RESPONSE is emitted once the probes of a host are answered or timed out,
+     * with { ip, services: [{ port, service, ...informations }] }, for the hosts that answered at least one probe :
+     * - dns (53) : { rcode, version }
+     * - ntp (123) : { version, stratum, refid }
+     * - snmp (161) : { description, name, errorStatus }
+     * - netbios (137) : { name, workgroup, mac }
+     * - ssdp (1900) : { server, location, st, usn }
+     * The addresses are enumerated as the hosts are probed, see ScannerICMP.
+     * @param {Object} params - { ipArrayToScan, probes, timeout, interval, maxInFlight, snmpCommunity, rateLimiter, signal }
+     * @param {Array|Iterator} params.ipArrayToScan - Array or iterator of IP addresses to probe
+     * @param {Array} params.probes - Names of the probes to send (default: all, see ScannerUDP.PROBE_NAMES)
+     * @param {number} params.timeout - Time to wait for the answers of a host in milliseconds (default: 3000)
+     * @param {number} params.interval - Delay between hosts in milliseconds (default: 0, see ScannerICMP)
+     * @param {number} params.maxInFlight - Maximum number of hosts waiting for their answers (default: 256)
+     * @param {string} params.snmpCommunity - SNMP community (default: 'public')
+     * @param {Object} params.rateLimiter - Optional rate limiter shared by the scans, one token per probe
+     * @param {AbortSignal} params.signal - Optional signal to cancel the scan
+     * @returns {This} Returns this instance for chaining
+     */
+    start({ ipArrayToScan = [], probes = PROBE_NAMES, timeout = 3000, interval = 0, maxInFlight = Scanner.DEFAULT_MAX_IN_FLIGHT, snmpCommunity = 'public', rateLimiter = null, signal = null }) {
+        if (!Array.isArray(probes) || !probes.length) {
+            throw new Error(`Invalid UDP probes: ${probes}. Please choose an array of probe names among: ${PROBE_NAMES.join(', ')}`);
+        }
+        probes.forEach((name) => {
+            if (!PROBES[name]) {
+                throw new Error(`Invalid UDP probe: ${name}. Please choose among: ${PROBE_NAMES.join(', ')}`);
+            }
+        });
+        if (!(Number.isInteger(maxInFlight) && maxInFlight > 0)) {
+            throw new Error(`Invalid maxInFlight: ${maxInFlight}. Please choose an integer greater than 0`)
+        }
+        super.start({ ipArrayToScan : ipArrayToScan });
+
+        const socket = Dgram.createSocket('udp4')
+        const id = Math.floor(Math.random() * 0xffff)
+        const hosts = new Map() // ip => { services, timer, done } of the hosts in progress
+        let targets = null
+        let completed = false
+
+        const complete = () => {
+            if (completed) return
+            completed = true
+            if (targets) targets.stop()
+            hosts.forEach(host => clearTimeout(host.timer))
+            if (signal) signal.removeEventListener('abort', onAbort)
+            socket.close()
+            this.emit(Scanner.EVENT_COMPLETE, this.buildScanResult());
+        }
+
+        const onAbort = () => {
+            this.aborted = true
+            complete()
+        }
+
+        const hostDone = (ip) => {
+            const host = hosts.get(ip)
+            if (!host) return
+            hosts.delete(ip)
+            clearTimeout(host.timer)
+            if (host.services.length) {
+                host.services.sort((a, b) => a.port - b.port)
+                this.ipArrayResults.push(ip);
+                this.emit(Scanner.EVENT_RESPONSE, { ip, services: host.services })
+            }
+            host.done()
+        }
+
+        socket.on('message', (buffer, rinfo) => {
+            const host = hosts.get(rinfo.address)
+            if (!host) return
+            // answers usually come from the probed port, some devices answer from another port (ex: SSDP)
+            const candidates = probes
+                .filter(name => !host.services.some(service => service.service === name))
+                .sort((a, b) => (PROBES[b].port === rinfo.port) - (PROBES[a].port === rinfo.port))
+            for (const name of candidates) {
+                const info = PROBES[name].parse(buffer)
+                if (info) {
+                    host.services.push({ port: PROBES[name].port, service: name, ...info })
+                    break
+                }
+            }
+            if (host.services.length === probes.length) {
+                hostDone(rinfo.address)
+            }
+        })
+
+        // the socket can't be used anymore (ex: bind failure) : end the scan with the answers received so far
+        socket.on('error', (error) => {
+            console.error('ERROR: UDP scan socket error:', error.message)
+            complete()
+        })
+
+        if (signal) {
+            if (signal.aborted) {
+                // emit asynchronously, as a normal scan would
+                process.nextTick(onAbort)
+                return this
+            }
+            signal.addEventListener('abort', onAbort, { once: true })
+        }
+
+        const probeHost = (ip, done) => {
+            const host = { services: [], timer: null, done }
+            hosts.set(ip, host)
+            probes.forEach((name) => {
+                const packet = PROBES[name].build({ id, snmpCommunity })
+                // send errors (unreachable host...) are the same as no answer
+                socket.send(packet, PROBES[name].port, ip, () => {})
+            })
+            host.timer = setTimeout(() => hostDone(ip), timeout)
+        }
+
+        socket.bind(() => {
+            if (completed) return
+            targets = this.pullTargets({ interval, maxInFlight, rateLimiter, packets: probes.length, signal, send: probeHost, drained: complete })
+        })
+
+        return this
+    }
+
+}
+
+module.exports = ScannerUDP;
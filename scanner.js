@@ -6,12 +6,15 @@ const F = require('./functions');
 //CONSTANTS
 const EVENT_RESPONSE = 'response';
 const EVENT_COMPLETE = 'complete';
+const DEFAULT_MAX_IN_FLIGHT = 256;
 
 class Scanner extends EventEmitter {
 
     //define events emitted by child class :
     static get EVENT_RESPONSE(){ return EVENT_RESPONSE }
     static get EVENT_COMPLETE(){ return EVENT_COMPLETE }
+    //default number of targets probed at once (see pullTargets()) :
+    static get DEFAULT_MAX_IN_FLIGHT(){ return DEFAULT_MAX_IN_FLIGHT }
 
     constructor() {
         super()
@@ -19,20 +22,112 @@ class Scanner extends EventEmitter {
         this.dateStart = null;
         this.ipArrayToScan = null;
         this.ipArrayResults = null;
+        this.aborted = false;
         //this.excludeSelf = false; // whether to exclude the device the discovery is run on
     }
 
     start({ ipArrayToScan = [] }) {
         // We check the ipArrayToScan parameter, except if we are ScannerARP and working with MAC addresses ;)
-        if (this.constructor.name !== 'ScannerARP') {
+        // (an iterator of IP addresses, see generateTargets(), is checked while the scanner enumerates it)
+        if (this.constructor.name !== 'ScannerARP' && !(ipArrayToScan && typeof ipArrayToScan.next === 'function')) {
             F.validateParamIpArray(ipArrayToScan)
         }
         this.ipArrayToScan = ipArrayToScan;
         this.ipArrayResults = [];
+        this.aborted = false;
         this.timerStart()
     }
 
 
+    /**
+     * Wait for the rate limiter shared by the scans (see the rateLimit option of LanDiscovery)
+     * @param {Object} rateLimiter - utils/rate-limiter-util.js limiter, null without rate limit
+     * @param {number} count - Number of packets to send
+     * @param {AbortSignal} signal - Optional scan signal
+     * @returns {Promise<boolean>} false when the scan is aborted while waiting
+     */
+    acquirePackets(rateLimiter, count = 1, signal = null) {
+        return rateLimiter ? rateLimiter.take(count, signal) : Promise.resolve(true)
+    }
+
+
+    /**
+     * Enumerate this.ipArrayToScan (array or iterator, see generateTargets()) as the targets are probed :
+     * at most maxInFlight targets are in progress, so a /16 or larger is scanned in constant memory.
+     * The next target is sent once interval has elapsed since the previous one and the rate limiter gave its packets.
+     * @param {Object} params - { interval, maxInFlight, rateLimiter, packets, signal, send, drained }
+     * @param {number} params.interval - Delay between two targets in milliseconds (default: 0)
+     * @param {number} params.maxInFlight - Maximum number of targets in progress, an integer greater than 0 (default: 256)
+     * @param {Object} params.rateLimiter - Optional rate limiter shared by the scans
+     * @param {number} params.packets - Packets sent to each target, charged to the rate limiter (default: 1)
+     * @param {AbortSignal} params.signal - Optional scan signal (stops waiting for the rate limiter)
+     * @param {Function} params.send - send(ip, done) probes a target, done() is called once it is finished
+     * @param {Function} params.drained - Called once every target is finished
+     * @returns {{stop: Function}} stop() ends the enumeration (scan complete or aborted)
+     */
+    pullTargets({ interval = 0, maxInFlight = DEFAULT_MAX_IN_FLIGHT, rateLimiter = null, packets = 1, signal = null, send, drained }) {
+        const targets = this.ipArrayToScan[Symbol.iterator]()
+        let timer = null
+        let waitingToken = false
+        let hasToken = !rateLimiter
+        let lastSent = 0
+        let pending = 0
+        let exhausted = false
+        let stopped = false
+
+        const pump = () => {
+            timer = null
+            while (!stopped && !exhausted && pending < maxInFlight) {
+                const delay = lastSent + interval - Date.now()
+                if (interval > 0 && delay > 0) {
+                    timer = setTimeout(pump, delay)
+                    return
+                }
+                if (!hasToken) {
+                    waitingToken = true
+                    rateLimiter.take(packets, signal).then((granted) => {
+                        waitingToken = false
+                        hasToken = granted
+                        if (granted) pump()
+                    })
+                    return
+                }
+                const next = targets.next()
+                if (next.done) {
+                    exhausted = true
+                } else if (!F.isIP(next.value)) {
+                    console.error('invalid ip : "', next.value, '"') // given by an iterator, skipped
+                } else {
+                    hasToken = !rateLimiter
+                    pending++
+                    lastSent = Date.now()
+                    let finished = false
+                    send(next.value, () => {
+                        if (finished) return
+                        finished = true
+                        pending--
+                        // the next target is sent by the interval timer or the rate limiter when they are running
+                        if (!timer && !waitingToken) pump()
+                    })
+                }
+            }
+            if (!stopped && exhausted && !pending) {
+                stopped = true
+                drained()
+            }
+        }
+
+        pump()
+
+        return {
+            stop: () => {
+                stopped = true
+                clearTimeout(timer)
+            }
+        }
+    }
+
+
     timerStart() {
         this.dateStart = new Date()
     }
@@ -54,6 +149,7 @@ class Scanner extends EventEmitter {
             scanCount : scanCount,
             scanTimeMS : executionTimeMS,
             scanAverageMS : Math.round(executionTimeMS/scanCount),
+            aborted : this.aborted,
         };
     }
 
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Regenerate data/oui.txt (MAC vendor database) from the IEEE registries : MA-L, MA-M and MA-S
+ *
+ * Usage:
+ *   npm run update-oui                                    download the registries from standards-oui.ieee.org
+ *   node scripts/update-oui.js oui.csv mam.csv oui36.csv  use previously downloaded CSV files
+ */
+const Fs = require('fs');
+const Path = require('path');
+const Https = require('https');
+
+const REGISTRIES = [
+	'https://standards-oui.ieee.org/oui/oui.csv', // MA-L : 24 bits prefixes
+	'https://standards-oui.ieee.org/oui28/mam.csv', // MA-M : 28 bits prefixes
+	'https://standards-oui.ieee.org/oui36/oui36.csv' // MA-S : 36 bits prefixes
+];
+const OUTPUT_FILE = Path.join(__dirname, '..', 'data', 'oui.txt');
+const DOWNLOAD_TIMEOUT = 60000;
+
+/**
+ * Download a file (follows the redirections)
+ * @param {string} url
+ * @param {number} redirects - Remaining redirections
+ * @returns {Promise<string>}
+ */
+function download(url, redirects = 5) {
+	return new Promise((resolve, reject) => {
+		const request = Https.get(url, { timeout: DOWNLOAD_TIMEOUT, headers: { 'User-Agent': 'lan-discovery' } }, (response) => {
+			if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location && redirects > 0) {
+				response.resume();
+				return resolve(download(new URL(response.headers.location, url).href, redirects - 1));
+			}
+			if (response.statusCode !== 200) {
+				response.resume();
+				return reject(new Error(`Download failed: ${url} (HTTP ${response.statusCode})`));
+			}
+			const chunks = [];
+			response.on('data', chunk => chunks.push(chunk));
+			response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+			response.on('error', reject);
+		});
+		request.on('timeout', () => request.destroy(new Error(`Download timeout: ${url}`)));
+		request.on('error', reject);
+	});
+}
+
+/**
+ * Parse a CSV document (quoted fields can contain commas, quotes and line breaks)
+ * @param {string} text
+ * @returns {Array<Array<string>>} rows
+ */
+function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+	if (field || row.length) {
+		row.push(field);
+		rows.push(row);
+	}
+	return rows;
+}
+
+/**
+ * Read the assignments of a registry CSV (columns: Registry, Assignment, Organization Name, Organization Address)
+ * @param {string} text
+ * @param {Map} vendors - prefix (hexadecimal, upper case) => organization name
+ */
+function readRegistry(text, vendors) {
+	parseCsv(text).slice(1).forEach(([registry, assignment, organization]) => {
+		const prefix = (assignment || '').trim().toUpperCase();
+		const vendor = (organization || '').replace(/\s+/g, ' ').trim();
+		if (/^[0-9A-F]{6}([0-9A-F]|[0-9A-F]{3})?$/.test(prefix) && vendor) {
+			vendors.set(prefix, vendor);
+		}
+	});
+}
+
+async function main() {
+	const sources = process.argv.slice(2);
+	const vendors = new Map();
+	for (const source of (sources.length ? sources : REGISTRIES)) {
+		console.log(`Reading ${source}`);
+		const text = /^https?:/.test(source) ? await download(source) : Fs.readFileSync(source, 'utf8');
+		readRegistry(text, vendors);
+	}
+	if (vendors.size === 0) {
+		throw new Error('No assignment found, data/oui.txt is not modified');
+	}
+
+	const lines = [
+		'# MAC address vendors (IEEE MA-L, MA-M and MA-S registries)',
+		`# Generated on ${new Date().toISOString().slice(0, 10)} by scripts/update-oui.js, do not edit (run: npm run update-oui)`,
+		'# Format: <prefix in hexadecimal (6, 7 or 9 digits)><tab><organization name>'
+	];
+	Array.from(vendors.keys()).sort().forEach(prefix => lines.push(`${prefix}\t${vendors.get(prefix)}`));
+	Fs.mkdirSync(Path.dirname(OUTPUT_FILE), { recursive: true });
+	Fs.writeFileSync(OUTPUT_FILE, lines.join('\n') + '\n');
+	console.log(`${vendors.size} prefixes written to ${OUTPUT_FILE}`);
+}
+
+main().catch((error) => {
+	console.error('ERROR: ' + error.message);
+	process.exitCode = 1;
+});
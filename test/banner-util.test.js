@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const parseBanner = require('../utils/banner-util');
+
+test('parseBanner() reads SSH greetings', () => {
+	assert.deepStrictEqual(parseBanner(Buffer.from('SSH-2.0-OpenSSH_9.2p1 Debian-2\r\n'), 22),
+		{ service: 'ssh', banner: 'SSH-2.0-OpenSSH_9.2p1 Debian-2', product: 'OpenSSH_9.2p1 Debian-2' });
+});
+
+test('parseBanner() tells FTP and SMTP 220 greetings apart', () => {
+	assert.deepStrictEqual(parseBanner(Buffer.from('220 mail.lan ESMTP Postfix\r\n'), 2525),
+		{ service: 'smtp', banner: '220 mail.lan ESMTP Postfix', product: 'mail.lan ESMTP Postfix' });
+	assert.deepStrictEqual(parseBanner(Buffer.from('220 (vsFTPd 3.0.3)\r\n'), 21),
+		{ service: 'ftp', banner: '220 (vsFTPd 3.0.3)', product: '(vsFTPd 3.0.3)' });
+	assert.strictEqual(parseBanner(Buffer.from('220 Welcome\r\n'), 587).service, 'smtp');
+	assert.strictEqual(parseBanner(Buffer.from('220 Welcome\r\n'), 9999).service, null);
+});
+
+test('parseBanner() reads HTTP responses', () => {
+	const response = 'HTTP/1.1 401 Unauthorized\r\nServer: lighttpd/1.4.59\r\nContent-Type: text/html\r\n\r\n' +
+		'<html><head><title>\n  Router   Login </title></head></html>';
+	assert.deepStrictEqual(parseBanner(Buffer.from(response), 80), {
+		service: 'http',
+		banner: 'HTTP/1.1 401 Unauthorized',
+		product: 'lighttpd/1.4.59',
+		http: { status: 401, server: 'lighttpd/1.4.59', title: 'Router Login' }
+	});
+	assert.deepStrictEqual(parseBanner.parseHttpResponse(Buffer.from('HTTP/1.0 200 OK\r\n\r\n')).http,
+		{ status: 200, server: null, title: null });
+	assert.strictEqual(parseBanner.parseHttpResponse(Buffer.from('SSH-2.0-x\r\n')), null);
+});
+
+test('parseBanner() reads MySQL handshakes and error packets', () => {
+	const version = Buffer.from('8.0.36\0', 'latin1');
+	const payload = Buffer.concat([Buffer.from([10]), version, Buffer.alloc(20)]);
+	const handshake = Buffer.concat([Buffer.from([payload.length, 0, 0, 0]), payload]);
+	assert.deepStrictEqual(parseBanner(handshake, 3306), { service: 'mysql', banner: '8.0.36', product: '8.0.36' });
+
+	const message = Buffer.from("Host '192.168.1.2' is not allowed to connect", 'latin1');
+	const errorPayload = Buffer.concat([Buffer.from([0xff, 0x6a, 0x04]), message]);
+	const errorPacket = Buffer.concat([Buffer.from([errorPayload.length, 0, 0, 0]), errorPayload]);
+	assert.deepStrictEqual(parseBanner(errorPacket, 3306),
+		{ service: 'mysql', banner: "Host '192.168.1.2' is not allowed to connect", product: null });
+});
+
+test('parseBanner() removes the Telnet negotiations', () => {
+	const buffer = Buffer.concat([
+		Buffer.from([255, 251, 1, 255, 250, 24, 1, 255, 240, 255, 255]),
+		Buffer.from('\r\nLogin: ')
+	]);
+	assert.deepStrictEqual(parseBanner.stripTelnet(buffer), { data: Buffer.from('\xff\r\nLogin: ', 'latin1'), negotiated: true });
+	assert.deepStrictEqual(parseBanner(buffer, 2323), { service: 'telnet', banner: 'Login:', product: null });
+	assert.strictEqual(parseBanner(Buffer.from('BusyBox login: '), 23).service, 'telnet');
+});
+
+test('parseBanner() keeps unknown banners and handles empty buffers', () => {
+	assert.deepStrictEqual(parseBanner(Buffer.from('\x01\x02 hello\r\n\r\nworld \x00'), 1234),
+		{ service: null, banner: 'hello\nworld', product: null });
+	assert.deepStrictEqual(parseBanner(Buffer.alloc(0), 22), { service: null, banner: null, product: null });
+	assert.deepStrictEqual(parseBanner(null, 22), { service: null, banner: null, product: null });
+});
+
+test('httpProbe() builds a minimal HTTP request', () => {
+	assert.strictEqual(parseBanner.httpProbe('192.168.1.1'),
+		'GET / HTTP/1.0\r\nHost: 192.168.1.1\r\nUser-Agent: lan-discovery\r\nAccept: */*\r\nConnection: close\r\n\r\n');
+});
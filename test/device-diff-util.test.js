@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const diff = require('../utils/device-diff-util');
+
+const nas = { ip: '192.168.1.10', mac: '04:A1:51:1B:12:92', name: 'nas', respondsToPing: true };
+const printer = { ip: '192.168.1.20', mac: '00:15:5D:01:02:03', name: 'printer', respondsToPing: true };
+const self = { ip: '192.168.1.2', mac: null, name: 'me', respondsToPing: true };
+
+test('diff() lists the added and removed devices', () => {
+	const result = diff([nas, self], [nas, printer, self]);
+	assert.deepStrictEqual(result.added, [printer]);
+	assert.deepStrictEqual(result.removed, []);
+	assert.deepStrictEqual(result.changed, []);
+
+	assert.deepStrictEqual(diff([nas, printer], [printer]).removed, [nas]);
+});
+
+test('diff() matches the devices by MAC address and reports the changed fields', () => {
+	const moved = { ...nas, ip: '192.168.1.12', name: 'nas-2' };
+	const result = diff([nas], [moved]);
+	assert.deepStrictEqual(result.added, []);
+	assert.deepStrictEqual(result.removed, []);
+	assert.deepStrictEqual(result.changed, [{
+		before: nas,
+		after: moved,
+		changes: { ip: { from: '192.168.1.10', to: '192.168.1.12' }, name: { from: 'nas', to: 'nas-2' } }
+	}]);
+});
+
+test('diff() compares the MAC addresses in their normalized form', () => {
+	const lowerCase = { ...nas, mac: '04-a1-51-1b-12-92' };
+	assert.deepStrictEqual(diff([lowerCase], [nas]).changed, []);
+});
+
+test('diff() falls back to the IP address for the devices without MAC address', () => {
+	const resolved = { ...self, mac: '3C:22:FB:01:02:03' };
+	const result = diff([self], [resolved]);
+	assert.deepStrictEqual(result.added, []);
+	assert.deepStrictEqual(result.changed[0].changes, { mac: { from: null, to: '3C:22:FB:01:02:03' } });
+
+	// two different MAC addresses on the same IP are two devices
+	const replaced = { ...printer, ip: nas.ip };
+	assert.deepStrictEqual(diff([nas], [replaced]), { added: [replaced], removed: [nas], changed: [] });
+});
+
+test('diff() treats missing fields as null', () => {
+	const { respondsToPing, ...withoutPing } = nas;
+	assert.deepStrictEqual(diff([withoutPing], [nas]).changed[0].changes, { respondsToPing: { from: null, to: true } });
+});
+
+test('diff() requires two arrays', () => {
+	assert.throws(() => diff([nas], null), /two arrays of devices/);
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DnsPacket = require('../utils/dns-packet-util');
+
+/**
+ * Build a response to a query : flags, then the answer records (name is a pointer to the first question)
+ */
+function response(query, flags, records) {
+	const header = Buffer.from(query.slice(0, 12));
+	header.writeUInt16BE(flags, 2);
+	header.writeUInt16BE(records.length, 6);
+	const parts = [header, query.slice(12)];
+	records.forEach(({ type, rclass = DnsPacket.CLASS_IN, ttl = 120, data }) => {
+		const fields = Buffer.alloc(12);
+		fields.writeUInt16BE(0xc00c, 0);
+		fields.writeUInt16BE(type, 2);
+		fields.writeUInt16BE(rclass, 4);
+		fields.writeUInt32BE(ttl, 6);
+		fields.writeUInt16BE(data.length, 10);
+		parts.push(fields, data);
+	});
+	return Buffer.concat(parts);
+}
+
+test('encodeName() encodes labels and rejects long ones', () => {
+	assert.deepStrictEqual(DnsPacket.encodeName('printer.local.'), Buffer.from('\x07printer\x05local\x00', 'latin1'));
+	assert.deepStrictEqual(DnsPacket.encodeName(''), Buffer.from([0]));
+	assert.throws(() => DnsPacket.encodeName('a'.repeat(64) + '.local'), /Labels are limited to 63 bytes/);
+});
+
+test('encodeQuery() round-trips through decode()', () => {
+	const query = DnsPacket.encodeQuery({
+		id: 0x1234,
+		questions: [
+			{ name: 'version.bind', type: DnsPacket.TYPE_TXT, class: DnsPacket.CLASS_CH },
+			{ name: '_http._tcp.local', type: DnsPacket.TYPE_PTR, unicastResponse: true }
+		]
+	});
+	const packet = DnsPacket.decode(query);
+	assert.strictEqual(packet.id, 0x1234);
+	assert.strictEqual(packet.qr, false);
+	assert.strictEqual(packet.flags, 0x0100);
+	assert.deepStrictEqual(packet.questions, [
+		{ name: 'version.bind', type: DnsPacket.TYPE_TXT, class: DnsPacket.CLASS_CH, unicastResponse: false },
+		{ name: '_http._tcp.local', type: DnsPacket.TYPE_PTR, class: DnsPacket.CLASS_IN, unicastResponse: true }
+	]);
+	assert.deepStrictEqual(packet.answers, []);
+});
+
+test('decode() reads the records of a response', () => {
+	const query = DnsPacket.encodeQuery({ id: 7, flags: 0, questions: [{ name: 'nas.local', type: DnsPacket.TYPE_ANY }] });
+	const srv = Buffer.concat([Buffer.from([0, 1, 0, 2, 0x01, 0xbb]), Buffer.from([0xc0, 0x0c])]);
+	const ipv6 = Buffer.from('fe80000000000000021122fffe334455', 'hex');
+	const packet = DnsPacket.decode(response(query, 0x8400, [
+		{ type: DnsPacket.TYPE_A, rclass: DnsPacket.CLASS_IN | 0x8000, data: Buffer.from([192, 168, 1, 20]) },
+		{ type: DnsPacket.TYPE_AAAA, data: ipv6 },
+		{ type: DnsPacket.TYPE_PTR, data: DnsPacket.encodeName('NAS._smb._tcp.local') },
+		{ type: DnsPacket.TYPE_TXT, data: Buffer.from('\x05a=one\x03b=2', 'latin1') },
+		{ type: DnsPacket.TYPE_SRV, data: srv },
+		{ type: 99, data: Buffer.from([1, 2]) }
+	]));
+
+	assert.strictEqual(packet.qr, true);
+	assert.strictEqual(packet.aa, true);
+	assert.strictEqual(packet.rcode, 0);
+	assert.deepStrictEqual(packet.answers[0], {
+		name: 'nas.local', type: DnsPacket.TYPE_A, class: DnsPacket.CLASS_IN, cacheFlush: true, ttl: 120, data: '192.168.1.20'
+	});
+	assert.deepStrictEqual(packet.answers.map(record => record.data), [
+		'192.168.1.20',
+		'fe80::211:22ff:fe33:4455',
+		'NAS._smb._tcp.local',
+		['a=one', 'b=2'],
+		{ priority: 1, weight: 2, port: 443, target: 'nas.local' },
+		Buffer.from([1, 2])
+	]);
+});
+
+test('decode() rejects truncated packets', () => {
+	const query = DnsPacket.encodeQuery({ questions: [{ name: 'nas.local', type: DnsPacket.TYPE_A }] });
+	const packet = response(query, 0x8000, [{ type: DnsPacket.TYPE_A, data: Buffer.from([10, 0, 0, 1]) }]);
+	assert.throws(() => DnsPacket.decode(Buffer.alloc(4)), /too short/);
+	assert.throws(() => DnsPacket.decode(query.slice(0, 20)), /name out of bounds|label out of bounds/);
+	assert.throws(() => DnsPacket.decode(packet.slice(0, packet.length - 2)), /record data out of bounds/);
+});
+
+test('decodeName() follows pointers and stops on loops', () => {
+	const buffer = Buffer.concat([Buffer.from('\x05local\x00', 'latin1'), Buffer.from('\x03nas\xc0\x00', 'latin1')]);
+	assert.deepStrictEqual(DnsPacket.decodeName(buffer, 7), { name: 'nas.local', length: 6 });
+	assert.throws(() => DnsPacket.decodeName(Buffer.from([0xc0, 0x00]), 0), /bad name pointer/);
+});
+
+test('reverseName() builds the in-addr.arpa name', () => {
+	assert.strictEqual(DnsPacket.reverseName('192.168.1.10'), '10.1.168.192.in-addr.arpa');
+});
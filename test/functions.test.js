@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const F = require('../functions');
+
+test('scanAbortSignal() aborts when the deadline is elapsed', async () => {
+	const scanAbort = F.scanAbortSignal({ deadlineMs: 20 });
+	assert.strictEqual(scanAbort.signal.aborted, false);
+	await new Promise(resolve => scanAbort.signal.addEventListener('abort', resolve));
+	assert.match(scanAbort.signal.reason.message, /Scan deadline exceeded \(20ms\)/);
+});
+
+test('scanAbortSignal() follows the caller signal', () => {
+	const controller = new AbortController();
+	const scanAbort = F.scanAbortSignal({ signal: controller.signal, deadlineMs: 10000 });
+	controller.abort('stopped');
+	assert.strictEqual(scanAbort.signal.aborted, true);
+	assert.strictEqual(scanAbort.signal.reason, 'stopped');
+	scanAbort.dispose();
+
+	const aborted = new AbortController();
+	aborted.abort('before');
+	assert.strictEqual(F.scanAbortSignal({ signal: aborted.signal }).signal.reason, 'before');
+});
+
+test('scanAbortSignal() stops following once disposed', async () => {
+	const controller = new AbortController();
+	const scanAbort = F.scanAbortSignal({ signal: controller.signal, deadlineMs: 10 });
+	scanAbort.dispose();
+	controller.abort();
+	await new Promise(resolve => setTimeout(resolve, 20));
+	assert.strictEqual(scanAbort.signal.aborted, false);
+});
+
+test('scanAbortSignal() rejects invalid deadlines', () => {
+	assert.throws(() => F.scanAbortSignal({ deadlineMs: -1 }), /Invalid deadlineMs: -1/);
+	assert.throws(() => F.scanAbortSignal({ deadlineMs: '100' }), /Invalid deadlineMs: 100/);
+});
+
+test('deviceKey() identifies a device by MAC address, or by IP without MAC address', () => {
+	assert.strictEqual(F.deviceKey({ ip: '192.168.1.1', mac: '04-A1-51-1B-12-92' }), F.deviceKey({ ip: '192.168.1.2', mac: '04:a1:51:1b:12:92' }));
+	assert.strictEqual(F.deviceKey({ ip: '192.168.1.10', mac: null }), 'ip:192.168.1.10');
+});
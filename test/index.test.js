@@ -0,0 +1,229 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Os = require('os');
+const LanDiscovery = require('..');
+const Scanner = require('../scanner');
+const ScannerARP = require('../scanner-arp');
+const ScannerICMP = require('../scanner-icmp');
+const PingSession = require('../utils/ping-session-util');
+const NetBios = require('../utils/netbios-util');
+const LocalName = require('../utils/local-name-util');
+const NeighborTable = require('../utils/neighbor-table-util');
+
+/**
+ * Replace the ping scan : the given IPs respond, then the scan completes
+ * (or waits for its signal with untilAbort)
+ * @param {Object} t - Test context
+ * @param {Array<string>} responding
+ * @param {Object} options - { untilAbort }
+ */
+function stubPingScan(t, responding, { untilAbort = false } = {}) {
+	t.mock.method(ScannerICMP.prototype, 'start', function ({ ipArrayToScan, signal }) {
+		this.ipArrayToScan = ipArrayToScan;
+		this.ipArrayResults = [];
+		this.timerStart();
+		setImmediate(() => {
+			responding.forEach((ip) => {
+				this.ipArrayResults.push(ip);
+				this.emit(Scanner.EVENT_RESPONSE, ip);
+			});
+			const complete = () => this.emit(Scanner.EVENT_COMPLETE, this.buildScanResult());
+			if (!untilAbort) {
+				complete();
+			} else {
+				signal.addEventListener('abort', () => {
+					this.aborted = true;
+					complete();
+				});
+			}
+		});
+	});
+}
+
+function fakeDiscovery() {
+	const discovery = new LanDiscovery();
+	discovery.deviceInfos = async ip => ({ ip, name: `host-${ip.split('.')[3]}`, mac: null, respondsToPing: true });
+	return discovery;
+}
+
+test('scan() resolves the device list and the scan summary', async (t) => {
+	stubPingScan(t, ['192.168.1.1', '192.168.1.20']);
+	const discovery = fakeDiscovery();
+	const streamed = [];
+	discovery.on(LanDiscovery.EVENT_DEVICE_INFOS, device => streamed.push(device.ip));
+
+	const { devices, summary } = await discovery.scan({ ipArrayToScan: ['192.168.1.1', '192.168.1.2', '192.168.1.20'] });
+	assert.deepStrictEqual(devices.map(device => device.name), ['host-1', 'host-20']);
+	assert.deepStrictEqual(summary.ipArray, ['192.168.1.1', '192.168.1.20']);
+	assert.strictEqual(summary.scanCount, 2);
+	assert.deepStrictEqual(streamed, ['192.168.1.1', '192.168.1.20']);
+});
+
+test('scan() rejects invalid parameters', async () => {
+	const discovery = fakeDiscovery();
+	await assert.rejects(discovery.scan({ mode: 'nmap' }), /Invalid scan mode: nmap\. Please choose one of: icmp, tcp, ports, udp, mdns, ssdp, ipv6, hybrid/);
+	await assert.rejects(discovery.scan({ ipArrayToScan: ['192.168.1.300'] }), /invalid ip/i);
+	await assert.rejects(discovery.scan({ mode: LanDiscovery.SCAN_MODE_HYBRID }), /networkInterface is required for hybrid scan/);
+});
+
+test('devices() yields each device, then ends with the scan', async (t) => {
+	stubPingScan(t, ['192.168.1.1', '192.168.1.20']);
+	const ips = [];
+	for await (const device of fakeDiscovery().devices({ ipArrayToScan: ['192.168.1.1', '192.168.1.20'] })) {
+		ips.push(device.ip);
+	}
+	assert.deepStrictEqual(ips, ['192.168.1.1', '192.168.1.20']);
+});
+
+test('devices() aborts the scan when the loop is left early', async (t) => {
+	stubPingScan(t, ['192.168.1.1', '192.168.1.20'], { untilAbort: true });
+	const discovery = fakeDiscovery();
+	const summary = new Promise(resolve => discovery.once(LanDiscovery.EVENT_SCAN_COMPLETE, resolve));
+	for await (const device of discovery.devices({ ipArrayToScan: ['192.168.1.1', '192.168.1.20'] })) {
+		assert.strictEqual(device.ip, '192.168.1.1');
+		break;
+	}
+	assert.strictEqual((await summary).aborted, true);
+});
+
+test('devices() yields the devices of the hybrid scan during the ARP phase', async (t) => {
+	t.mock.method(Os, 'networkInterfaces', () => ({
+		eth0: [{ address: '192.168.1.10', netmask: '255.255.255.0', family: 'IPv4', mac: '3c:22:fb:01:02:03', internal: false, cidr: '192.168.1.10/24' }]
+	}));
+	t.mock.method(PingSession, 'acquire', () => ({
+		ping: (ip, callback) => setImmediate(() => callback(null, { ip, replyFrom: ip, rttMS: 1.5, ttl: 64 })),
+		release: () => {}
+	}));
+	// the ARP scan answers at once, then runs until it is aborted
+	t.mock.method(ScannerARP.prototype, 'start', function ({ signal }) {
+		setImmediate(() => this.emit(Scanner.EVENT_RESPONSE, { ip: '192.168.1.1', mac: '04:A1:51:1B:12:92' }));
+		return new Promise(resolve => signal.addEventListener('abort', () => {
+			this.emit(Scanner.EVENT_COMPLETE, {});
+			resolve();
+		}));
+	});
+	const discovery = fakeDiscovery();
+	discovery._checkAdminPrivileges = async () => true;
+	const summary = new Promise(resolve => discovery.once(LanDiscovery.EVENT_SCAN_COMPLETE, resolve));
+	for await (const device of discovery.devices({ mode: LanDiscovery.SCAN_MODE_HYBRID, networkInterface: 'eth0' })) {
+		assert.strictEqual(device.ip, '192.168.1.1');
+		break;
+	}
+	assert.strictEqual((await summary).aborted, true);
+});
+
+test('devices() rejects invalid parameters', async () => {
+	await assert.rejects(fakeDiscovery().devices({ mode: 'nmap' }).next(), /Invalid scan mode: nmap/);
+});
+
+/**
+ * Replace the hostname sources : each source answers from its table ({ ip: name })
+ * @returns {Object} lookups : [[source, ip]] in call order
+ */
+function stubNameSources(t, discovery, { dns = {}, mdns = {}, llmnr = {}, netbios = {} }) {
+	const lookups = [];
+	discovery.deviceNames = async (ip) => {
+		lookups.push(['dns', ip]);
+		return dns[ip] ? [dns[ip]] : [];
+	};
+	t.mock.method(LocalName, 'mdnsReverseLookup', async (ip) => {
+		lookups.push(['mdns', ip]);
+		return mdns[ip] || null;
+	});
+	t.mock.method(LocalName, 'llmnrReverseLookup', async (ip) => {
+		lookups.push(['llmnr', ip]);
+		return llmnr[ip] || null;
+	});
+	t.mock.method(NetBios, 'nodeStatus', async (ip) => {
+		lookups.push(['netbios', ip]);
+		return netbios[ip] ? { name: netbios[ip], workgroup: 'WORKGROUP', mac: '00:15:5D:01:02:03', names: [] } : null;
+	});
+	return lookups;
+}
+
+test('deviceInfos() asks the NetBIOS name when the other sources have no name', async (t) => {
+	const discovery = new LanDiscovery();
+	discovery.deviceMAC = async () => null;
+	stubNameSources(t, discovery, { netbios: { '192.168.1.20': 'DESKTOP-42' } });
+
+	assert.deepStrictEqual(await discovery.deviceInfos('192.168.1.20'),
+		{ name: 'DESKTOP-42', nameSource: 'netbios', ip: '192.168.1.20', mac: '00:15:5D:01:02:03',
+			vendor: 'Microsoft Corporation', isRandomizedMac: false, respondsToPing: true });
+	assert.strictEqual((await discovery.deviceInfos('192.168.1.30')).name, null);
+});
+
+test('deviceNameInfos() keeps the name of the first source in order', async (t) => {
+	const discovery = new LanDiscovery();
+	const lookups = stubNameSources(t, discovery, {
+		dns: { '192.168.1.10': 'nas.lan' },
+		mdns: { '192.168.1.30': 'macbook.local' },
+		llmnr: { '192.168.1.20': 'DESKTOP-42', '192.168.1.30': 'MACBOOK' },
+		netbios: { '192.168.1.20': 'DESKTOP-42' }
+	});
+
+	assert.deepStrictEqual(await discovery.deviceNameInfos('192.168.1.10'), { name: 'nas.lan', source: 'dns', mac: null });
+	assert.deepStrictEqual(await discovery.deviceNameInfos('192.168.1.30'), { name: 'macbook.local', source: 'mdns', mac: null });
+	assert.deepStrictEqual(await discovery.deviceNameInfos('192.168.1.20'), { name: 'DESKTOP-42', source: 'llmnr', mac: null });
+	// every source is queried
+	assert.strictEqual(lookups.filter(([, ip]) => ip === '192.168.1.20').length, 4);
+});
+
+test('deviceNameInfos() queries the sources in parallel and waits for the sources before the answering one', async (t) => {
+	const discovery = new LanDiscovery();
+	// each resolver answers after its delay
+	const answer = (delay, name) => new Promise(resolve => setTimeout(() => resolve(name), delay));
+	discovery.deviceNames = async ip => (await answer(60, ip === '192.168.1.10' ? 'nas.lan' : null) ? ['nas.lan'] : []);
+	t.mock.method(LocalName, 'mdnsReverseLookup', async () => answer(60, null));
+	t.mock.method(LocalName, 'llmnrReverseLookup', async ip => answer(10, ip === '192.168.1.20' ? 'DESKTOP-42' : null));
+	t.mock.method(NetBios, 'nodeStatus', async ip => answer(70, { name: 'SERVER', workgroup: 'WORKGROUP', mac: '00:15:5D:01:02:03', names: [] }));
+
+	let start = Date.now();
+	// llmnr answers first, the sources before it have no name
+	assert.deepStrictEqual(await discovery.deviceNameInfos('192.168.1.20'), { name: 'DESKTOP-42', source: 'llmnr', mac: null });
+	const elapsed = Date.now() - start;
+	assert.ok(elapsed >= 55 && elapsed < 120, `named after ${elapsed} ms`);
+	// dns comes first, whatever the faster sources
+	assert.deepStrictEqual(await discovery.deviceNameInfos('192.168.1.10'), { name: 'nas.lan', source: 'dns', mac: null });
+	// the last source, after the slowest timeout instead of the sum of the timeouts
+	start = Date.now();
+	assert.deepStrictEqual(await discovery.deviceNameInfos('192.168.1.30'), { name: 'SERVER', source: 'netbios', mac: '00:15:5D:01:02:03' });
+	assert.ok(Date.now() - start < 150, `named after ${Date.now() - start} ms`);
+});
+
+test('the nameSources and netbios options select the sources', async (t) => {
+	const discovery = new LanDiscovery({ nameSources: ['netbios', 'dns'] });
+	const lookups = stubNameSources(t, discovery, { dns: { '192.168.1.20': 'pc.lan' }, netbios: { '192.168.1.20': 'DESKTOP-42' } });
+	assert.deepStrictEqual(await discovery.deviceNameInfos('192.168.1.20'),
+		{ name: 'DESKTOP-42', source: 'netbios', mac: '00:15:5D:01:02:03' });
+	assert.deepStrictEqual(lookups.map(([source]) => source).sort(), ['dns', 'netbios']);
+
+	assert.deepStrictEqual(new LanDiscovery({ netbios: false }).nameSources, ['dns', 'mdns', 'llmnr']);
+	assert.throws(() => new LanDiscovery({ nameSources: ['dns', 'wins'] }), /Invalid nameSources: dns,wins/);
+});
+
+test('deviceName() uses the resolver of the instance and its fcrdns option', async () => {
+	const discovery = new LanDiscovery({ dnsServers: ['192.168.1.1'], fcrdns: true });
+	assert.deepStrictEqual(discovery.resolver.getServers(), ['192.168.1.1']);
+	discovery.resolver = {
+		reverse: async () => ['spoofed.example.', 'nas.home.'],
+		resolve4: async name => (name === 'nas.home' ? ['192.168.1.10'] : [])
+	};
+	assert.strictEqual(await discovery.deviceName('192.168.1.10'), 'nas.home');
+	assert.deepStrictEqual(await discovery.deviceNames('192.168.1.10', { verify: false }), ['spoofed.example', 'nas.home']);
+	assert.throws(() => new LanDiscovery({ dnsServers: '192.168.1.1' }), /Invalid dnsServers/);
+});
+
+test('deviceMAC(), deviceIP() and arpTable() read the neighbor table', async (t) => {
+	t.mock.method(NeighborTable, 'read', async () => [
+		{ ip: '192.168.1.1', mac: '04:A1:51:1B:12:92', interface: 'eth0', state: 'REACHABLE', type: 'dynamic' },
+		{ ip: '192.168.1.7', mac: null, interface: 'eth0', state: 'INCOMPLETE', type: 'dynamic' }
+	]);
+	const discovery = new LanDiscovery();
+	assert.strictEqual((await discovery.deviceMAC('192.168.1.1')).mac, '04:A1:51:1B:12:92');
+	assert.strictEqual(await discovery.deviceMAC('192.168.1.7'), null);
+	assert.strictEqual(await discovery.deviceIP('04-a1-51-1b-12-92'), '192.168.1.1');
+	assert.deepStrictEqual((await discovery.arpTable()).map(entry => entry.ip), ['192.168.1.1']);
+	assert.strictEqual((await discovery.neighborTable()).length, 2);
+});
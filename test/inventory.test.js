@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const DeviceInventory = require('../inventory');
+
+const MAC = 'aa-bb-cc-00-11-22';
+
+function memoryInventory(records = []) {
+	const adapter = new DeviceInventory.MemoryAdapter(records);
+	return { adapter, inventory: new DeviceInventory({ adapter, saveDelayMs: 0 }) };
+}
+
+test('record() merges the IPs and hostnames of a device by MAC address', async () => {
+	const { inventory } = memoryInventory();
+	await inventory.record({ ip: '192.168.1.10', mac: MAC, name: 'laptop' }, new Date('2024-01-01T10:00:00Z'));
+	const record = await inventory.record({ ip: '192.168.1.20', mac: 'AA:BB:CC:00:11:22', name: null }, new Date('2024-01-02T10:00:00Z'));
+
+	assert.strictEqual(record.mac, 'AA:BB:CC:00:11:22');
+	assert.strictEqual(record.ip, '192.168.1.20');
+	assert.strictEqual(record.name, 'laptop');
+	assert.deepStrictEqual(record.ips, ['192.168.1.10', '192.168.1.20']);
+	assert.deepStrictEqual(record.hostnames, ['laptop']);
+	assert.strictEqual((await inventory.all()).length, 1);
+});
+
+test('record() keeps the earliest firstSeen and the latest lastSeen', async () => {
+	const { inventory } = memoryInventory();
+	await inventory.record({ ip: '192.168.1.10', mac: MAC }, new Date('2024-01-02T10:00:00Z'));
+	await inventory.record({ ip: '192.168.1.10', mac: MAC }, new Date('2024-01-01T10:00:00Z'));
+	await inventory.record({ ip: '192.168.1.10', mac: MAC }, new Date('2024-01-03T10:00:00Z'));
+
+	const record = await inventory.findByMac(MAC);
+	assert.strictEqual(record.firstSeen, '2024-01-01T10:00:00.000Z');
+	assert.strictEqual(record.lastSeen, '2024-01-03T10:00:00.000Z');
+});
+
+test('record() ignores the devices without MAC address', async () => {
+	const { inventory } = memoryInventory();
+	assert.strictEqual(await inventory.record({ ip: '192.168.1.1', mac: null, name: 'self' }), null);
+	assert.deepStrictEqual(await inventory.all(), []);
+});
+
+test('returned records are copies', async () => {
+	const { inventory } = memoryInventory();
+	const record = await inventory.record({ ip: '192.168.1.10', mac: MAC });
+	record.ips.push('10.0.0.1');
+	assert.deepStrictEqual((await inventory.findByMac(MAC)).ips, ['192.168.1.10']);
+});
+
+test('queries by IP, hostname and time range', async () => {
+	const { inventory } = memoryInventory();
+	await inventory.record({ ip: '192.168.1.10', mac: MAC, name: 'Laptop' }, new Date('2024-01-01T10:00:00Z'));
+	await inventory.record({ ip: '192.168.1.20', mac: MAC }, new Date('2024-01-05T10:00:00Z'));
+	await inventory.record({ ip: '192.168.1.10', mac: '00:11:22:33:44:55', name: 'printer' }, new Date('2024-02-01T10:00:00Z'));
+
+	const byIp = await inventory.findByIp('192.168.1.10');
+	assert.deepStrictEqual(byIp.map(record => record.mac), ['00:11:22:33:44:55', 'AA:BB:CC:00:11:22']);
+	assert.deepStrictEqual((await inventory.findByHostname('laptop')).map(record => record.mac), ['AA:BB:CC:00:11:22']);
+	const january = await inventory.findSeenBetween(new Date('2024-01-02T00:00:00Z'), new Date('2024-01-31T00:00:00Z'));
+	assert.deepStrictEqual(january.map(record => record.mac), ['AA:BB:CC:00:11:22']);
+	assert.strictEqual(await inventory.findByMac('00:00:00:00:00:01'), null);
+	await assert.rejects(inventory.findByMac('not a mac'), /Invalid MAC/);
+	await assert.rejects(inventory.findByIp('300.1.1.1'));
+});
+
+test('flush() saves the records and a new inventory reloads them from the adapter', async () => {
+	const { adapter, inventory } = memoryInventory();
+	await inventory.record({ ip: '192.168.1.10', mac: MAC, name: 'laptop' }, new Date('2024-01-01T10:00:00Z'));
+	await inventory.flush();
+	assert.strictEqual(adapter.records.length, 1);
+
+	const reloaded = new DeviceInventory({ adapter });
+	const record = await reloaded.findByMac(MAC);
+	assert.strictEqual(record.name, 'laptop');
+	assert.strictEqual(record.firstSeen, '2024-01-01T10:00:00.000Z');
+});
+
+test('record() schedules a save', async () => {
+	const { adapter, inventory } = memoryInventory();
+	await inventory.record({ ip: '192.168.1.10', mac: MAC });
+	// the planned save does not keep the process alive
+	assert.strictEqual(inventory.saveTimer.hasRef(), false);
+	await new Promise(resolve => setTimeout(resolve, 10));
+	await inventory.saving;
+	assert.strictEqual(adapter.records.length, 1);
+});
+
+test('the JSON file adapter writes and reloads the inventory', async () => {
+	const dir = await Fs.promises.mkdtemp(Path.join(Os.tmpdir(), 'lan-discovery-'));
+	try {
+		const path = Path.join(dir, 'inventory.json');
+		const adapter = new DeviceInventory.JsonFileAdapter(path);
+		assert.deepStrictEqual(await adapter.load(), []);
+		const inventory = new DeviceInventory({ path });
+		await inventory.record({ ip: '192.168.1.10', mac: MAC });
+		await inventory.flush();
+		assert.strictEqual((await adapter.load())[0].mac, 'AA:BB:CC:00:11:22');
+	} finally {
+		await Fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
+
+test('queries reject when the inventory cannot be loaded', async () => {
+	const adapter = { load: async () => { throw new Error('disk error'); }, save: async () => {} };
+	const inventory = new DeviceInventory({ adapter });
+	await assert.rejects(inventory.all(), /disk error/);
+	assert.throws(() => new DeviceInventory({ adapter: {} }), /Invalid inventory adapter/);
+});
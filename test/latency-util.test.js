@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PingSession = require('../utils/ping-session-util');
+const Latency = require('../utils/latency-util');
+
+const reply = (seq, rttMS) => ({ seq, rttMS, ttl: 64, replyFrom: '192.168.1.20', error: null });
+const lost = seq => ({ seq, rttMS: null, ttl: null, replyFrom: null, error: 'Request timed out' });
+
+test('hostStats() computes the times, the jitter and the loss', () => {
+	const probes = [reply(1, 1.8), reply(2, 31.2), lost(3), reply(4, 4.2)];
+	assert.deepStrictEqual(Latency.hostStats('192.168.1.20', probes), {
+		ip: '192.168.1.20',
+		sent: 4,
+		received: 3,
+		lossPercent: 25,
+		minMS: 1.8,
+		avgMS: 12.4,
+		maxMS: 31.2,
+		jitterMS: 28.2, // (29.4 + 27) / 2, the lost probe is skipped
+		probes
+	});
+});
+
+test('hostStats() rounds the loss and has no jitter under two replies', () => {
+	const stats = Latency.hostStats('192.168.1.20', [reply(1, 2.5), lost(2), lost(3)]);
+	assert.strictEqual(stats.lossPercent, 66.67);
+	assert.strictEqual(stats.avgMS, 2.5);
+	assert.strictEqual(stats.jitterMS, null);
+});
+
+test('hostStats() has null times without reply', () => {
+	assert.deepStrictEqual(Latency.hostStats('192.168.1.7', [lost(1), lost(2)]), {
+		ip: '192.168.1.7', sent: 2, received: 0, lossPercent: 100, minMS: null, avgMS: null, maxMS: null, jitterMS: null, probes: [lost(1), lost(2)]
+	});
+	assert.strictEqual(Latency.hostStats('192.168.1.7', []).lossPercent, 0);
+});
+
+test('measure() validates its options', async () => {
+	await assert.rejects(Latency.measure(['192.168.1.20'], { count: 0 }), /Invalid count: 0/);
+	await assert.rejects(Latency.measure(['192.168.1.20'], { count: 1.5 }), /Invalid count: 1.5/);
+	await assert.rejects(Latency.measure(['192.168.1.20'], { interval: -1 }), /Invalid interval: -1/);
+	await assert.rejects(Latency.measure(['192.168.1.20'], { interval: '10' }), /Invalid interval: 10/);
+	await assert.rejects(Latency.measure(['192.168.1.20'], { timeout: 0 }), /Invalid timeout: 0/);
+});
+
+test('measure() pings each host count times and releases the session', async (t) => {
+	const pinged = [];
+	let released = 0;
+	t.mock.method(PingSession, 'acquire', () => ({
+		ping: (ip, callback) => {
+			pinged.push(ip);
+			const error = ip === '192.168.1.7' ? new Error('Request timed out') : null;
+			setImmediate(() => callback(error, { ip, replyFrom: error ? null : ip, rttMS: error ? null : 2, ttl: error ? null : 64 }));
+		},
+		release: () => released++
+	}));
+	const stats = await Latency.measure(['192.168.1.20', '192.168.1.7'], { count: 2, interval: 0 });
+
+	assert.deepStrictEqual(pinged, ['192.168.1.20', '192.168.1.7', '192.168.1.20', '192.168.1.7']);
+	assert.deepStrictEqual(stats.map(({ ip, received, lossPercent, avgMS }) => ({ ip, received, lossPercent, avgMS })), [
+		{ ip: '192.168.1.20', received: 2, lossPercent: 0, avgMS: 2 },
+		{ ip: '192.168.1.7', received: 0, lossPercent: 100, avgMS: null }
+	]);
+	assert.deepStrictEqual(stats[1].probes[0], { seq: 1, rttMS: null, ttl: null, replyFrom: null, error: 'Request timed out' });
+	assert.strictEqual(released, 1);
+});
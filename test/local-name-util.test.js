@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Dgram = require('dgram');
+const EventEmitter = require('events');
+const DnsPacket = require('../utils/dns-packet-util');
+const LocalName = require('../utils/local-name-util');
+
+/**
+ * Build the answer to a PTR query (name is a pointer to the question)
+ */
+function ptrResponse(query, name, id = query.readUInt16BE(0)) {
+	const header = Buffer.from(query.slice(0, 12));
+	header.writeUInt16BE(id, 0);
+	header.writeUInt16BE(0x8400, 2);
+	header.writeUInt16BE(1, 6);
+	const data = DnsPacket.encodeName(name);
+	const fields = Buffer.alloc(12);
+	fields.writeUInt16BE(0xc00c, 0);
+	fields.writeUInt16BE(DnsPacket.TYPE_PTR, 2);
+	fields.writeUInt16BE(DnsPacket.CLASS_IN, 4);
+	fields.writeUInt32BE(120, 6);
+	fields.writeUInt16BE(data.length, 10);
+	return Buffer.concat([header, query.slice(12), fields, data]);
+}
+
+/**
+ * Replace the UDP sockets : reply(query, port, ip) returns the messages [{ address, buffer }] sent back
+ * @returns {Object} { queries: [[port, ip, question]], closed }
+ */
+function stubSocket(t, reply) {
+	const state = { queries: [], closed: 0 };
+	t.mock.method(Dgram, 'createSocket', () => {
+		const socket = new EventEmitter();
+		socket.close = () => state.closed++;
+		socket.send = (query, port, ip, callback) => {
+			state.queries.push([port, ip, DnsPacket.decode(query).questions[0].name]);
+			callback(null);
+			reply(query, port, ip).forEach(({ address, buffer }) => {
+				setImmediate(() => socket.emit('message', buffer, { address, port }));
+			});
+		};
+		return socket;
+	});
+	return state;
+}
+
+test('mdnsReverseLookup() asks the device on port 5353', async (t) => {
+	const state = stubSocket(t, (query, port, ip) => [{ address: ip, buffer: ptrResponse(query, 'macbook.local') }]);
+	assert.strictEqual(await LocalName.mdnsReverseLookup('192.168.1.30'), 'macbook.local');
+	assert.deepStrictEqual(state.queries, [[5353, '192.168.1.30', '30.1.168.192.in-addr.arpa']]);
+	assert.strictEqual(state.closed, 1);
+});
+
+test('llmnrReverseLookup() asks the device on port 5355 and ignores the other answers', async (t) => {
+	const state = stubSocket(t, (query, port, ip) => [
+		{ address: '192.168.1.99', buffer: ptrResponse(query, 'other') },
+		{ address: ip, buffer: ptrResponse(query, 'stale', query.readUInt16BE(0) ^ 1) },
+		{ address: ip, buffer: Buffer.from('garbage') },
+		{ address: ip, buffer: ptrResponse(query, 'DESKTOP-42') }
+	]);
+	assert.strictEqual(await LocalName.llmnrReverseLookup('192.168.1.20'), 'DESKTOP-42');
+	assert.strictEqual(state.queries[0][0], 5355);
+});
+
+test('the lookups resolve null without answer', async (t) => {
+	stubSocket(t, () => []);
+	assert.strictEqual(await LocalName.mdnsReverseLookup('192.168.1.30', { timeout: 10 }), null);
+	assert.strictEqual(await LocalName.llmnrReverseLookup('192.168.1.30', { timeout: 10 }), null);
+});
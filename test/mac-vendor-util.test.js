@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MacVendor = require('../utils/mac-vendor-util');
+
+test('lookup() finds the vendor of a MA-L prefix, whatever the MAC format', () => {
+	assert.strictEqual(MacVendor.lookup('00:15:5D:01:02:03'), 'Microsoft Corporation');
+	assert.strictEqual(MacVendor.lookup('00-15-5d-01-02-03'), 'Microsoft Corporation');
+	assert.strictEqual(MacVendor.lookup('00:00:00:12:34:56'), 'XEROX CORPORATION');
+});
+
+test('lookup() prefers the most specific assignment (MA-S, then MA-M)', () => {
+	// 00:1B:C5 and 00:55:DA are IEEE registration authority blocks, split in MA-S / MA-M assignments
+	assert.strictEqual(MacVendor.lookup('00:1B:C5:00:1F:FF'), 'OpenRB.com, Direct SIA');
+	assert.strictEqual(MacVendor.lookup('00:55:DA:2F:FF:FF'), 'Beijing Connected Information Technology Co.,Ltd.');
+});
+
+test('lookup() returns null for the unassigned prefixes', () => {
+	assert.strictEqual(MacVendor.lookup('16:E2:7F:58:60:22'), null);
+});
+
+test('isRandomizedMac() checks the locally administered bit', () => {
+	['02:00:00:00:00:01', '16:E2:7F:58:60:22', 'da-a1-19-00-00-01', 'FE:FF:FF:FF:FF:FF'].forEach(mac =>
+		assert.strictEqual(MacVendor.isRandomizedMac(mac), true, mac));
+	['00:15:5D:01:02:03', '5C:47:5E:8C:0A:C2', 'fd:00:00:00:00:00'].forEach(mac =>
+		assert.strictEqual(MacVendor.isRandomizedMac(mac), false, mac));
+});
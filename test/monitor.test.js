@@ -0,0 +1,135 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LanDiscovery = require('..');
+const DeviceMonitor = require('../monitor');
+
+/**
+ * Fake LanDiscovery : each scan() resolves the next scripted result (the last one is repeated)
+ * @param {Array} scans - device arrays, { devices, aborted } objects or errors
+ */
+function fakeDiscovery(scans) {
+	const discovery = { params: [] };
+	discovery.scan = async (params) => {
+		discovery.params.push(params);
+		const next = scans[Math.min(discovery.params.length, scans.length) - 1];
+		if (next instanceof Error) {
+			throw next;
+		}
+		const { devices, aborted = false } = Array.isArray(next) ? { devices: next } : next;
+		return { devices, summary: { scanCount: devices.length, aborted } };
+	};
+	return discovery;
+}
+
+/**
+ * Run a monitor for a number of scans and record its events
+ * @returns {Promise<Array>} [[eventName, ...args]]
+ */
+function monitorEvents(discovery, scanCount, options = {}) {
+	const monitor = new DeviceMonitor(discovery, { intervalMs: 0, ...options });
+	const events = [];
+	[DeviceMonitor.EVENT_DEVICE_JOINED, DeviceMonitor.EVENT_DEVICE_LEFT, DeviceMonitor.EVENT_IP_CHANGED,
+		DeviceMonitor.EVENT_NAME_CHANGED, DeviceMonitor.EVENT_MONITOR_ERROR].forEach((name) => {
+		monitor.on(name, (...args) => events.push([name, ...args]));
+	});
+	return new Promise((resolve) => {
+		let scans = 0;
+		const onScan = () => {
+			if (++scans === scanCount) {
+				monitor.stop();
+				resolve(events);
+			}
+		};
+		monitor.on(DeviceMonitor.EVENT_MONITOR_SCAN, onScan);
+		monitor.on(DeviceMonitor.EVENT_MONITOR_ERROR, onScan);
+		monitor.start();
+	});
+}
+
+const router = { ip: '192.168.1.1', mac: '04:A1:51:1B:12:92', name: 'router' };
+const laptop = { ip: '192.168.1.20', mac: 'AC:DE:48:00:11:22', name: 'laptop' };
+const self = { ip: '192.168.1.10', mac: null, name: 'me' };
+
+test('the monitor reports the devices that join and leave', async () => {
+	const events = await monitorEvents(fakeDiscovery([[router, laptop, self], [router], [router], [router, self]]), 4, { missThreshold: 2 });
+	assert.deepStrictEqual(events, [
+		['deviceJoined', router],
+		['deviceJoined', laptop],
+		['deviceJoined', self],
+		['deviceLeft', laptop],
+		['deviceLeft', self],
+		['deviceJoined', self]
+	]);
+});
+
+test('the monitor tracks the devices by MAC address', async () => {
+	const moved = { ...laptop, ip: '192.168.1.21', mac: 'ac-de-48-00-11-22' };
+	const renamed = { ...moved, name: 'laptop-2' };
+	const events = await monitorEvents(fakeDiscovery([[laptop], [moved], [renamed]]), 3);
+	assert.deepStrictEqual(events, [
+		['deviceJoined', laptop],
+		['ipChanged', moved, '192.168.1.20'],
+		['nameChanged', renamed, 'laptop']
+	]);
+});
+
+test('a failed name lookup keeps the last known name', async () => {
+	const discovery = fakeDiscovery([[laptop], [{ ...laptop, name: null }]]);
+	const monitor = new DeviceMonitor(discovery, { intervalMs: 0 });
+	const events = [];
+	monitor.on(DeviceMonitor.EVENT_NAME_CHANGED, (...args) => events.push(args));
+	await new Promise((resolve) => {
+		monitor.on(DeviceMonitor.EVENT_MONITOR_SCAN, ({ scanCount }) => scanCount === 2 && resolve());
+		monitor.start();
+	});
+	monitor.stop();
+	assert.deepStrictEqual(events, []);
+	assert.deepStrictEqual(monitor.devices, [laptop]);
+});
+
+test('the first name of a device is not a name change', async () => {
+	const discovery = fakeDiscovery([[{ ...laptop, name: null }], [laptop], [{ ...laptop, name: 'laptop.lan' }]]);
+	const monitor = new DeviceMonitor(discovery, { intervalMs: 0 });
+	const events = [];
+	monitor.on(DeviceMonitor.EVENT_NAME_CHANGED, (...args) => events.push(args));
+	await new Promise((resolve) => {
+		monitor.on(DeviceMonitor.EVENT_MONITOR_SCAN, ({ scanCount }) => scanCount === 3 && resolve());
+		monitor.start();
+	});
+	monitor.stop();
+	assert.deepStrictEqual(events, [[{ ...laptop, name: 'laptop.lan' }, 'laptop']]);
+	assert.deepStrictEqual(monitor.devices, [{ ...laptop, name: 'laptop.lan' }]);
+});
+
+test('aborted and failed scans do not count as misses', async () => {
+	const failure = new Error('ARP scan failed');
+	const events = await monitorEvents(fakeDiscovery([[laptop], { devices: [], aborted: true }, failure, [laptop]]), 4, { missThreshold: 1 });
+	assert.deepStrictEqual(events, [
+		['deviceJoined', laptop],
+		['monitorError', failure]
+	]);
+});
+
+test('the monitor passes its scan parameters and validates its options', async () => {
+	const discovery = fakeDiscovery([[]]);
+	await monitorEvents(discovery, 1, { mode: 'hybrid', networkInterface: 'eth0' });
+	assert.strictEqual(discovery.params[0].mode, 'hybrid');
+	assert.strictEqual(discovery.params[0].networkInterface, 'eth0');
+	assert.ok(discovery.params[0].signal instanceof AbortSignal);
+
+	assert.throws(() => new DeviceMonitor(discovery, { intervalMs: -1 }), /Invalid intervalMs: -1/);
+	assert.throws(() => new DeviceMonitor(discovery, { missThreshold: 0 }), /Invalid missThreshold: 0/);
+	assert.throws(() => new LanDiscovery().monitor({ mode: 'nmap' }), /Invalid scan mode: nmap/);
+});
+
+test('stop() aborts the running scan', async () => {
+	let signal = null;
+	const monitor = new DeviceMonitor({ scan: params => new Promise(() => { signal = params.signal; }) }, { intervalMs: 0 });
+	monitor.start();
+	await new Promise(resolve => setImmediate(resolve));
+	monitor.stop();
+	assert.strictEqual(signal.aborted, true);
+	assert.strictEqual(monitor.running, false);
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const NeighborTable = require('../utils/neighbor-table-util');
+
+test('parseIpNeigh() reads the ip neigh entries of a family', () => {
+	const stdout = [
+		'192.168.1.1 dev eth0 lladdr 04:a1:51:1b:12:92 router REACHABLE',
+		'192.168.1.7 dev eth0  INCOMPLETE',
+		'192.168.1.20 dev eth0 lladdr 0:11:22:3:44:55 DELAY',
+		'192.168.1.30 dev wlan0 lladdr 00:11:22:33:44:66 PERMANENT',
+		'fe80::6a1:51ff:fe1b:1292 dev eth0 lladdr 04:a1:51:1b:12:92 router STALE',
+		''
+	].join('\n');
+	assert.deepStrictEqual(NeighborTable.parseIpNeigh(stdout), [
+		{ ip: '192.168.1.1', mac: '04:A1:51:1B:12:92', interface: 'eth0', state: 'REACHABLE', type: 'dynamic' },
+		{ ip: '192.168.1.7', mac: null, interface: 'eth0', state: 'INCOMPLETE', type: 'dynamic' },
+		{ ip: '192.168.1.20', mac: '00:11:22:03:44:55', interface: 'eth0', state: 'STALE', type: 'dynamic' },
+		{ ip: '192.168.1.30', mac: '00:11:22:33:44:66', interface: 'wlan0', state: 'PERMANENT', type: 'static' }
+	]);
+	assert.deepStrictEqual(NeighborTable.parseIpNeigh(stdout, 6), [
+		{ ip: 'fe80::6a1:51ff:fe1b:1292', mac: '04:A1:51:1B:12:92', interface: 'eth0', state: 'STALE', type: 'dynamic' }
+	]);
+});
+
+test('parseProcArp() reads the flags of /proc/net/arp', () => {
+	const content = [
+		'IP address       HW type     Flags       HW address            Mask     Device',
+		'192.168.1.1      0x1         0x2         04:a1:51:1b:12:92     *        eth0',
+		'192.168.1.7      0x1         0x0         00:00:00:00:00:00     *        eth0',
+		'192.168.1.30     0x1         0x6         00:11:22:33:44:66     *        eth0',
+		''
+	].join('\n');
+	assert.deepStrictEqual(NeighborTable.parseProcArp(content), [
+		{ ip: '192.168.1.1', mac: '04:A1:51:1B:12:92', interface: 'eth0', state: null, type: 'dynamic' },
+		{ ip: '192.168.1.7', mac: null, interface: 'eth0', state: 'INCOMPLETE', type: 'dynamic' },
+		{ ip: '192.168.1.30', mac: '00:11:22:33:44:66', interface: 'eth0', state: 'PERMANENT', type: 'static' }
+	]);
+});
+
+test('parseArpBsd() reads the arp -an entries', () => {
+	const stdout = [
+		'? (192.168.1.1) at 4:a1:51:1b:12:92 on en0 ifscope [ethernet]',
+		'? (192.168.1.7) at (incomplete) on en0 ifscope [ethernet]',
+		'? (224.0.0.251) at 1:0:5e:0:0:fb on en0 ifscope permanent [ethernet]',
+		'router.lan (192.168.1.254) at 00:11:22:33:44:55 on en1 expires in 1199 seconds [ethernet]'
+	].join('\n');
+	assert.deepStrictEqual(NeighborTable.parseArpBsd(stdout), [
+		{ ip: '192.168.1.1', mac: '04:A1:51:1B:12:92', interface: 'en0', state: null, type: 'dynamic' },
+		{ ip: '192.168.1.7', mac: null, interface: 'en0', state: 'INCOMPLETE', type: 'dynamic' },
+		{ ip: '224.0.0.251', mac: '01:00:5E:00:00:FB', interface: 'en0', state: 'PERMANENT', type: 'static' },
+		{ ip: '192.168.1.254', mac: '00:11:22:33:44:55', interface: 'en1', state: null, type: 'dynamic' }
+	]);
+});
+
+test('parseArpWindows() reads the arp -a entries, translated or not', () => {
+	const stdout = [
+		'',
+		'Interface : 192.0.2.10 --- 0x2',
+		'  Adresse Internet      Adresse physique      Type',
+		'  192.168.1.1           04-a1-51-1b-12-92     dynamique',
+		'  192.168.1.255         ff-ff-ff-ff-ff-ff     statique',
+		'  192.168.1.7           00-00-00-00-00-00     invalide',
+		''
+	].join('\r\n');
+	assert.deepStrictEqual(NeighborTable.parseArpWindows(stdout), [
+		// the interface address isn't local : its name is the address
+		{ ip: '192.168.1.1', mac: '04:A1:51:1B:12:92', interface: '192.0.2.10', state: null, type: 'dynamic' },
+		{ ip: '192.168.1.255', mac: 'FF:FF:FF:FF:FF:FF', interface: '192.0.2.10', state: 'PERMANENT', type: 'static' },
+		{ ip: '192.168.1.7', mac: null, interface: '192.0.2.10', state: 'INCOMPLETE', type: 'dynamic' }
+	]);
+});
+
+test('parseNdp() reads the ndp -an entries', () => {
+	const stdout = [
+		'Neighbor                        Linklayer Address  Netif Expire    St Flgs Prbs',
+		'fe80::1%en0                     4:a1:51:1b:12:92     en0 23h59m58s S  R',
+		'fe80::aede:48ff:fe00:1122%en0   ac:de:48:0:11:22     en0 permanent R',
+		'2001:db8::7                     (incomplete)         en0 expired   I'
+	].join('\n');
+	assert.deepStrictEqual(NeighborTable.parseNdp(stdout), [
+		{ ip: 'fe80::1', mac: '04:A1:51:1B:12:92', interface: 'en0', state: 'STALE', type: 'dynamic' },
+		{ ip: 'fe80::aede:48ff:fe00:1122', mac: 'AC:DE:48:00:11:22', interface: 'en0', state: 'PERMANENT', type: 'static' },
+		{ ip: '2001:db8::7', mac: null, interface: 'en0', state: 'INCOMPLETE', type: 'dynamic' }
+	]);
+});
+
+test('parseNetshNeighbors() reads the netsh entries of each interface', () => {
+	const stdout = [
+		'',
+		'Interface 12: Ethernet',
+		'',
+		'Internet Address                              Physical Address   Type',
+		'--------------------------------------------  -----------------  -----------',
+		'fe80::6a1:51ff:fe1b:1292                      04-a1-51-1b-12-92  Reachable (Router)',
+		'ff02::1                                       33-33-00-00-00-01  Permanent',
+		'',
+		'Interface 1 : Loopback Pseudo-Interface 1',
+		'',
+		'2001:db8::7                                                      Unreachable',
+		''
+	].join('\r\n');
+	assert.deepStrictEqual(NeighborTable.parseNetshNeighbors(stdout), [
+		{ ip: 'fe80::6a1:51ff:fe1b:1292', mac: '04:A1:51:1B:12:92', interface: 'Ethernet', state: 'REACHABLE', type: 'dynamic' },
+		{ ip: 'ff02::1', mac: '33:33:00:00:00:01', interface: 'Ethernet', state: 'PERMANENT', type: 'static' },
+		{ ip: '2001:db8::7', mac: null, interface: 'Loopback Pseudo-Interface 1', state: 'INCOMPLETE', type: 'dynamic' }
+	]);
+});
+
+test('read() rejects invalid families and unknown platforms', async () => {
+	await assert.rejects(NeighborTable.read({ family: 5 }), /Invalid address family: 5/);
+	await assert.rejects(NeighborTable.read({ platform: 'aix' }), /Unsupported platform: aix/);
+});
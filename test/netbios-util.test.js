@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Dgram = require('dgram');
+const EventEmitter = require('events');
+const NetBios = require('../utils/netbios-util');
+
+/**
+ * Build a node status response to a request
+ * @param {Buffer} request
+ * @param {Array} names - [{ name, suffix, group }]
+ * @param {Buffer} mac
+ */
+function nodeStatusResponse(request, names, mac) {
+	const header = Buffer.from(request.slice(0, 12));
+	header.writeUInt16BE(0x8400, 2);
+	header.writeUInt16BE(0, 4);
+	header.writeUInt16BE(1, 6);
+	const fields = Buffer.alloc(10);
+	fields.writeUInt16BE(0x21, 0);
+	fields.writeUInt16BE(0x01, 2);
+	const entries = names.map(({ name, suffix, group }) => {
+		const entry = Buffer.alloc(18, 0x20);
+		entry.write(name, 0, 'latin1');
+		entry[15] = suffix;
+		entry.writeUInt16BE(group ? 0x8400 : 0x0400, 16);
+		return entry;
+	});
+	const data = Buffer.concat([Buffer.from([names.length]), ...entries, mac, Buffer.alloc(40)]);
+	fields.writeUInt16BE(data.length, 8);
+	return Buffer.concat([header, request.slice(12, 46), fields, data]);
+}
+
+test('encodeNodeStatusRequest() encodes the wildcard name', () => {
+	const request = NetBios.encodeNodeStatusRequest(0x4242);
+	assert.strictEqual(request.length, 50);
+	assert.strictEqual(request.readUInt16BE(0), 0x4242);
+	assert.strictEqual(request.readUInt16BE(4), 1);
+	assert.strictEqual(request.toString('latin1', 12, 46), ' CK' + 'A'.repeat(30) + '\0');
+	assert.strictEqual(request.readUInt16BE(46), 0x21);
+	assert.strictEqual(request.readUInt16BE(48), 0x01);
+});
+
+test('parseNodeStatusResponse() reads the names and the MAC address', () => {
+	const request = NetBios.encodeNodeStatusRequest(12);
+	const names = [
+		{ name: 'WORKGROUP', suffix: 0x00, group: true },
+		{ name: 'DESKTOP-42', suffix: 0x20, group: false },
+		{ name: 'DESKTOP-42', suffix: 0x00, group: false }
+	];
+	const status = NetBios.parseNodeStatusResponse(nodeStatusResponse(request, names, Buffer.from('00155d010203', 'hex')));
+	assert.deepStrictEqual(status, {
+		id: 12,
+		name: 'DESKTOP-42',
+		workgroup: 'WORKGROUP',
+		mac: '00:15:5D:01:02:03',
+		names
+	});
+});
+
+test('parseNodeStatusResponse() falls back to the server name and ignores a null MAC address', () => {
+	const request = NetBios.encodeNodeStatusRequest(1);
+	const status = NetBios.parseNodeStatusResponse(nodeStatusResponse(request, [{ name: 'SAMBA', suffix: 0x20, group: false }], Buffer.alloc(6)));
+	assert.strictEqual(status.name, 'SAMBA');
+	assert.strictEqual(status.workgroup, null);
+	assert.strictEqual(status.mac, null);
+});
+
+test('parseNodeStatusResponse() returns null for other packets', () => {
+	const request = NetBios.encodeNodeStatusRequest(1);
+	const response = nodeStatusResponse(request, [{ name: 'PC', suffix: 0, group: false }], Buffer.alloc(6));
+	assert.strictEqual(NetBios.parseNodeStatusResponse(request), null);
+	assert.strictEqual(NetBios.parseNodeStatusResponse(response.slice(0, 60)), null);
+	assert.strictEqual(NetBios.parseNodeStatusResponse(Buffer.alloc(4)), null);
+	assert.strictEqual(NetBios.parseNodeStatusResponse('not a buffer'), null);
+});
+
+test('nodeStatus() sends a request to port 137 and resolves the answer of the host', async (t) => {
+	const sent = [];
+	t.mock.method(Dgram, 'createSocket', () => {
+		const socket = new EventEmitter();
+		socket.close = () => sent.push('closed');
+		socket.send = (request, port, ip, callback) => {
+			sent.push([port, ip]);
+			callback(null);
+			const response = nodeStatusResponse(request, [{ name: 'DESKTOP-42', suffix: 0x00, group: false }], Buffer.from([0, 0x15, 0x5d, 1, 2, 3]));
+			// answers of other hosts are ignored
+			setImmediate(() => socket.emit('message', response, { address: '192.168.1.99', port }));
+			setImmediate(() => socket.emit('message', response, { address: ip, port }));
+		};
+		return socket;
+	});
+	const status = await NetBios.nodeStatus('192.168.1.20');
+	assert.strictEqual(status.name, 'DESKTOP-42');
+	assert.strictEqual(status.mac, '00:15:5D:01:02:03');
+	assert.deepStrictEqual(sent, [[137, '192.168.1.20'], 'closed']);
+});
+
+test('nodeStatus() resolves null without answer', async (t) => {
+	t.mock.method(Dgram, 'createSocket', () => {
+		const socket = new EventEmitter();
+		socket.close = () => {};
+		socket.send = (request, port, ip, callback) => callback(null);
+		return socket;
+	});
+	assert.strictEqual(await NetBios.nodeStatus('192.168.1.20', { timeout: 10 }), null);
+});
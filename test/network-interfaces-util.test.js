@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Os = require('os');
+const NetworkInterfaces = require('../utils/network-interfaces-util');
+
+const INTERFACES = {
+	lo: [
+		{ address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', mac: '00:00:00:00:00:00', internal: true, cidr: '127.0.0.1/8' }
+	],
+	eth0: [
+		{ address: '192.168.1.10', netmask: '255.255.255.0', family: 'IPv4', mac: '3c:22:fb:01:02:03', internal: false, cidr: '192.168.1.10/24' },
+		{ address: 'fe80::3e22:fbff:fe01:203', netmask: 'ffff:ffff:ffff:ffff::', family: 'IPv6', mac: '3c:22:fb:01:02:03', internal: false, cidr: 'fe80::3e22:fbff:fe01:203/64', scopeid: 2 }
+	],
+	docker0: [
+		{ address: '172.17.0.1', netmask: '255.255.0.0', family: 'IPv4', mac: '02:42:ac:11:00:01', internal: false, cidr: '172.17.0.1/16' }
+	]
+};
+
+test('interfaceType() classifies the interfaces by name', () => {
+	[
+		['lo', false, 'loopback'],
+		['eth0', true, 'loopback'],
+		['Loopback Pseudo-Interface 1', false, 'loopback'],
+		['docker0', false, 'docker'],
+		['br-0123456789ab', false, 'docker'],
+		['tun0', false, 'vpn'],
+		['wg0', false, 'vpn'],
+		['utun3', false, 'vpn'],
+		['tailscale0', false, 'vpn'],
+		['wlan0', false, 'wireless'],
+		['wlp2s0', false, 'wireless'],
+		['Wi-Fi', false, 'wireless'],
+		['veth1234abc', false, 'virtual'],
+		['virbr0', false, 'virtual'],
+		['vEthernet (WSL)', false, 'virtual'],
+		['VirtualBox Host-Only Network', false, 'virtual']
+	].forEach(([name, internal, type]) => assert.strictEqual(NetworkInterfaces.interfaceType(name, internal), type, name));
+});
+
+test('interfaceType() looks at /sys/class/net for the other Linux interfaces', () => {
+	const files = new Set([
+		'/sys/class/net/enp3s0', '/sys/class/net/enp3s0/device',
+		'/sys/class/net/mywifi', '/sys/class/net/mywifi/wireless', '/sys/class/net/mywifi/device',
+		'/sys/class/net/office', '/sys/class/net/office/tun_flags',
+		'/sys/class/net/bond0'
+	]);
+	const exists = path => files.has(path);
+	[
+		['enp3s0', 'linux', 'physical'],
+		['mywifi', 'linux', 'wireless'],
+		['office', 'linux', 'vpn'],
+		['bond0', 'linux', 'virtual'],
+		['unknown0', 'linux', 'physical'],
+		// /sys/class/net is only read on Linux
+		['bond0', 'darwin', 'physical']
+	].forEach(([name, platform, type]) => assert.strictEqual(NetworkInterfaces.interfaceType(name, false, { platform, exists }), type, name));
+});
+
+test('listInterfaces() lists the addresses and subnets of each interface', (t) => {
+	t.mock.method(Os, 'networkInterfaces', () => INTERFACES);
+	// eth0 has a hardware device
+	const interfaces = NetworkInterfaces.listInterfaces({ platform: 'linux', exists: path => ['/sys/class/net/eth0', '/sys/class/net/eth0/device'].includes(path) });
+	assert.deepStrictEqual(interfaces.map(item => [item.name, item.type, item.mac, item.internal]), [
+		['lo', 'loopback', null, true],
+		['eth0', 'physical', '3C:22:FB:01:02:03', false],
+		['docker0', 'docker', '02:42:AC:11:00:01', false]
+	]);
+	assert.deepStrictEqual(interfaces[1].addresses, [
+		{ address: '192.168.1.10', family: 'IPv4', netmask: '255.255.255.0', cidr: '192.168.1.10/24', subnet: '192.168.1.0/24' },
+		{ address: 'fe80::3e22:fbff:fe01:203', family: 'IPv6', netmask: 'ffff:ffff:ffff:ffff::', cidr: 'fe80::3e22:fbff:fe01:203/64', subnet: 'fe80::/64', scopeid: 2 }
+	]);
+});
+
+test('interfaceSubnets() accepts names, listInterfaces() and getDefaultInterface() objects', (t) => {
+	t.mock.method(Os, 'networkInterfaces', () => INTERFACES);
+	const docker = NetworkInterfaces.listInterfaces().find(item => item.name === 'docker0');
+	[
+		[['eth0'], ['192.168.1.0/24', 'fe80::/64']],
+		[[{ name: 'eth0' }], ['192.168.1.0/24', 'fe80::/64']],
+		[[{ name: 'eth0', cidr: '192.168.1.10/24' }], ['192.168.1.0/24']],
+		[[docker, 'lo'], ['172.17.0.0/16', '127.0.0.0/8']]
+	].forEach(([networkInterfaces, subnets]) => {
+		assert.deepStrictEqual(NetworkInterfaces.interfaceSubnets(networkInterfaces).map(item => item.subnet), subnets);
+	});
+	assert.deepStrictEqual(NetworkInterfaces.interfaceSubnets(['eth0'])[0],
+		{ interface: 'eth0', family: 'IPv4', address: '192.168.1.10', cidr: '192.168.1.10/24', subnet: '192.168.1.0/24' });
+
+	t.mock.method(console, 'error', () => {});
+	assert.throws(() => NetworkInterfaces.interfaceSubnets(['eth9']), /Unknown network interface: eth9/);
+});
+
+test('findSubnet() returns the most specific subnet of the address', () => {
+	const subnets = [
+		{ interface: 'eth0', family: 'IPv4', subnet: '192.168.0.0/16' },
+		{ interface: 'eth0', family: 'IPv4', subnet: '192.168.1.0/24' },
+		{ interface: 'tun0', family: 'IPv4', subnet: '10.8.0.0/24' },
+		{ interface: 'eth0', family: 'IPv6', subnet: 'fe80::/64' }
+	];
+	[
+		['192.168.1.20', null, '192.168.1.0/24'],
+		['192.168.2.20', null, '192.168.0.0/16'],
+		['10.8.0.5', null, '10.8.0.0/24'],
+		['10.8.0.5', 'eth0', null],
+		['fe80::1', null, 'fe80::/64'],
+		['172.16.0.1', null, null],
+		['not an ip', null, null]
+	].forEach(([ip, interfaceName, subnet]) => {
+		const item = NetworkInterfaces.findSubnet(subnets, ip, interfaceName);
+		assert.strictEqual(item ? item.subnet : null, subnet, ip);
+	});
+});
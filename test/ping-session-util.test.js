@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const NetPing = require('net-ping');
+const PingSession = require('../utils/ping-session-util');
+
+test('acquire() shares one session per timeout and retries', (t) => {
+	const created = [];
+	t.mock.method(NetPing, 'createSession', (options) => {
+		const session = { options, closed: false, close: () => { session.closed = true; } };
+		created.push(session);
+		return session;
+	});
+
+	const first = PingSession.acquire({ timeout: 1000 });
+	const second = PingSession.acquire({ timeout: 1000 });
+	const other = PingSession.acquire({ timeout: 2000, retries: 1 });
+	assert.strictEqual(created.length, 2);
+	assert.strictEqual(first.session, second.session);
+	assert.notStrictEqual(first.session.options.sessionId, other.session.options.sessionId);
+
+	first.release();
+	first.release(); // released once
+	assert.strictEqual(created[0].closed, false);
+	second.release();
+	assert.strictEqual(created[0].closed, true);
+	other.release();
+	assert.strictEqual(created[1].closed, true);
+
+	// a new session is created once the previous one is closed
+	PingSession.acquire({ timeout: 1000 }).release();
+	assert.strictEqual(created.length, 3);
+});
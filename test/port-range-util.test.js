@@ -0,0 +1,35 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const parsePorts = require('../utils/port-range-util');
+
+test('parsePorts() reads port numbers, lists and ranges', () => {
+	assert.deepStrictEqual(parsePorts(22), [22]);
+	assert.deepStrictEqual(parsePorts('443'), [443]);
+	assert.deepStrictEqual(parsePorts('8000-8003'), [8000, 8001, 8002, 8003]);
+	assert.deepStrictEqual(parsePorts('80, 22 ,8000 - 8001'), [22, 80, 8000, 8001]);
+	assert.deepStrictEqual(parsePorts([22, '80', '8000-8002']), [22, 80, 8000, 8001, 8002]);
+});
+
+test('parsePorts() sorts the ports and removes the duplicates', () => {
+	assert.deepStrictEqual(parsePorts('443,22,80,22,20-23'), [20, 21, 22, 23, 80, 443]);
+});
+
+test('parsePorts() expands the top100 preset', () => {
+	const ports = parsePorts('TOP100,65000');
+	assert.strictEqual(ports.length, 101);
+	assert.deepStrictEqual(ports.slice(0, 3), [7, 9, 13]);
+	assert.strictEqual(ports[ports.length - 1], 65000);
+	assert.deepStrictEqual(parsePorts('top100,80'), parsePorts.TOP_100_PORTS);
+});
+
+test('parsePorts() rejects invalid ports and ranges', () => {
+	assert.throws(() => parsePorts(''), /Ports must be/);
+	assert.throws(() => parsePorts(undefined), /Ports must be/);
+	assert.throws(() => parsePorts('0'), /Invalid port: 0/);
+	assert.throws(() => parsePorts('65536'), /Invalid port: 65536/);
+	assert.throws(() => parsePorts(80.5), /Invalid port: 80.5/);
+	assert.throws(() => parsePorts('http'), /Invalid port: http/);
+	assert.throws(() => parsePorts('100-90'), /Invalid port range: 100-90/);
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../utils/rate-limiter-util');
+
+// timers may fire a little early or late : the waits are checked with a margin
+const MARGIN_MS = 5;
+
+test('createRateLimiter() validates its options', () => {
+	assert.throws(() => createRateLimiter(), /Invalid packetsPerSecond: undefined/);
+	assert.throws(() => createRateLimiter({ packetsPerSecond: 0 }), /Invalid packetsPerSecond: 0/);
+	assert.throws(() => createRateLimiter({ packetsPerSecond: 100, burst: 1.5 }), /Invalid burst: 1.5/);
+	assert.strictEqual(createRateLimiter({ packetsPerSecond: 250 }).burst, 25);
+	assert.strictEqual(createRateLimiter({ packetsPerSecond: 2 }).burst, 1);
+});
+
+test('take() sends a burst at once, then at the sustained rate', async () => {
+	const limiter = createRateLimiter({ packetsPerSecond: 100, burst: 3 });
+	const start = Date.now();
+	assert.strictEqual(await limiter.take(), true);
+	assert.strictEqual(await limiter.take(2), true);
+	assert.ok(Date.now() - start < 10);
+
+	const times = [];
+	await Promise.all([1, 2, 3].map(() => limiter.take().then(() => times.push(Date.now() - start))));
+	// one token every 10 ms, in the order of the calls
+	times.forEach((time, index) => assert.ok(time >= (index + 1) * 10 - MARGIN_MS, `packet ${index} sent after ${time} ms`));
+});
+
+test('take() charges the whole count above burst', async () => {
+	const limiter = createRateLimiter({ packetsPerSecond: 100, burst: 2 });
+	const start = Date.now();
+	// full bucket : sent at once, 8 tokens of debt
+	assert.strictEqual(await limiter.take(10), true);
+	assert.ok(Date.now() - start < 20);
+	assert.strictEqual(await limiter.take(), true);
+	assert.ok(Date.now() - start >= 90 - MARGIN_MS, `sent after ${Date.now() - start} ms`);
+});
+
+test('take() returns false when the signal aborts', async () => {
+	const limiter = createRateLimiter({ packetsPerSecond: 10, burst: 1 });
+	const controller = new AbortController();
+	await limiter.take();
+	const first = limiter.take(1, controller.signal);
+	const second = limiter.take(1, controller.signal);
+	const unsignaled = limiter.take();
+	setTimeout(() => controller.abort(), 10);
+	assert.deepStrictEqual(await Promise.all([first, second]), [false, false]);
+	assert.strictEqual(await limiter.take(1, controller.signal), false);
+	// the aborted senders left the queue without taking tokens
+	const start = Date.now();
+	assert.strictEqual(await unsignaled, true);
+	assert.ok(Date.now() - start < 100, `sent after ${Date.now() - start} ms`);
+});
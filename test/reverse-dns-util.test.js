@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Dns = require('dns');
+const ReverseDns = require('../utils/reverse-dns-util');
+
+/**
+ * Resolver answering from tables
+ * @param {Object} ptr - { ip: [names] | error code }
+ * @param {Object} addresses - { name: [ips] }
+ */
+function fakeResolver(ptr, addresses = {}) {
+	const answer = async (table, key) => {
+		const value = table[key];
+		if (!Array.isArray(value)) {
+			throw Object.assign(new Error('lookup failed'), { code: value || Dns.NOTFOUND });
+		}
+		return value;
+	};
+	return {
+		reverse: ip => answer(ptr, ip),
+		resolve4: name => answer(addresses, name),
+		resolve6: name => answer(addresses, name)
+	};
+}
+
+test('reverseLookup() returns every PTR name without the final dot', async () => {
+	const resolver = fakeResolver({ '192.168.1.10': ['nas.home.', 'nas.lan'] });
+	assert.deepStrictEqual(await ReverseDns.reverseLookup(resolver, '192.168.1.10'), ['nas.home', 'nas.lan']);
+});
+
+test('reverseLookup() returns an empty array when the IP has no name', async (t) => {
+	const errors = t.mock.method(console, 'error', () => {});
+	const resolver = fakeResolver({ '192.168.1.11': Dns.NOTFOUND, '192.168.1.12': 'ECONNREFUSED' });
+	assert.deepStrictEqual(await ReverseDns.reverseLookup(resolver, '192.168.1.11', { verbose: true }), []);
+	assert.strictEqual(errors.mock.callCount(), 0);
+	// unexpected errors are logged in verbose mode only
+	assert.deepStrictEqual(await ReverseDns.reverseLookup(resolver, '192.168.1.12', { verbose: true }), []);
+	assert.strictEqual(errors.mock.callCount(), 1);
+});
+
+test('reverseLookup() keeps the forward-confirmed names with verify', async () => {
+	const resolver = fakeResolver(
+		{ '192.168.1.10': ['nas.home', 'spoofed.example'], 'fe80::1': ['router.lan'] },
+		{ 'nas.home': ['192.168.1.10'], 'spoofed.example': ['203.0.113.5'], 'router.lan': ['fe80::1'] }
+	);
+	assert.deepStrictEqual(await ReverseDns.reverseLookup(resolver, '192.168.1.10', { verify: true }), ['nas.home']);
+	assert.deepStrictEqual(await ReverseDns.reverseLookup(resolver, 'fe80::1', { verify: true }), ['router.lan']);
+	assert.strictEqual(await ReverseDns.forwardConfirmed(resolver, 'unknown.lan', '192.168.1.10'), false);
+});
+
+test('createResolver() uses the given DNS servers', () => {
+	assert.deepStrictEqual(ReverseDns.createResolver({ servers: ['192.168.1.1', '1.1.1.1:5353'] }).getServers(),
+		['192.168.1.1', '1.1.1.1:5353']);
+	assert.throws(() => ReverseDns.createResolver({ servers: ['not a server'] }), /Invalid DNS servers: not a server/);
+});
@@ -0,0 +1,200 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Dns = require('dns');
+const Net = require('net');
+const Os = require('os');
+const LanDiscovery = require('..');
+const F = require('../functions');
+const Scanner = require('../scanner');
+const ScannerICMP = require('../scanner-icmp');
+const ScannerTCP = require('../scanner-tcp');
+const PingSession = require('../utils/ping-session-util');
+
+/**
+ * Replace the ping scan : the responding IPs of the scanned list respond, then the scan completes
+ * (or waits for its signal with untilAbort)
+ * @param {Object} t - Test context
+ * @param {Array<string>} responding
+ * @param {Object} options - { untilAbort }
+ */
+function stubPingScan(t, responding, { untilAbort = false } = {}) {
+	t.mock.method(ScannerICMP.prototype, 'start', function ({ ipArrayToScan, signal }) {
+		this.ipArrayToScan = Array.from(ipArrayToScan);
+		this.ipArrayResults = [];
+		this.timerStart();
+		setImmediate(() => {
+			this.ipArrayToScan.filter(ip => responding.includes(ip)).forEach((ip) => {
+				this.ipArrayResults.push(ip);
+				this.emit(Scanner.EVENT_RESPONSE, { ip, replyFrom: ip, rttMS: 1.5, ttl: 64 });
+			});
+			const complete = () => this.emit(Scanner.EVENT_COMPLETE, this.buildScanResult());
+			if (!untilAbort) {
+				complete();
+			} else {
+				signal.addEventListener('abort', () => {
+					this.aborted = true;
+					complete();
+				});
+			}
+		});
+	});
+}
+
+function fakeDiscovery() {
+	const discovery = new LanDiscovery();
+	discovery.deviceInfos = async ip => ({ ip, name: null, mac: null, respondsToPing: true });
+	return discovery;
+}
+
+/**
+ * Discovery running the hybrid scan on eth0 (192.168.1.0/24), with administrator rights
+ */
+function hybridDiscovery(t) {
+	t.mock.method(Os, 'networkInterfaces', () => ({
+		eth0: [{ address: '192.168.1.10', netmask: '255.255.255.0', family: 'IPv4', mac: '3c:22:fb:01:02:03', internal: false, cidr: '192.168.1.10/24' }]
+	}));
+	const discovery = fakeDiscovery();
+	discovery._checkAdminPrivileges = async () => true;
+	return discovery;
+}
+
+test('concurrent sessions keep their own devices', async (t) => {
+	stubPingScan(t, ['192.168.1.1', '10.0.0.1', '10.0.0.2']);
+	const discovery = fakeDiscovery();
+	const forwarded = [];
+	discovery.on(LanDiscovery.EVENT_DEVICES_INFOS, devices => forwarded.push(devices.length));
+
+	const lan = discovery.startScan({ ipArrayToScan: ['192.168.1.1', '192.168.1.2'] });
+	const vpn = discovery.startScan({ ipArrayToScan: ['10.0.0.1', '10.0.0.2'] });
+	const [lanResult, vpnResult] = await Promise.all([lan.result(), vpn.result()]);
+
+	assert.deepStrictEqual(lanResult.devices.map(device => device.ip), ['192.168.1.1']);
+	assert.deepStrictEqual(vpnResult.devices.map(device => device.ip), ['10.0.0.1', '10.0.0.2']);
+	assert.deepStrictEqual([lanResult.devices[0].rttMS, lanResult.devices[0].ttl, lanResult.devices[0].replyFrom], [1.5, 64, '192.168.1.1']);
+	assert.deepStrictEqual(forwarded.sort(), [1, 2]);
+	// the result stays available once the scan is finished
+	assert.deepStrictEqual((await lan.result()).summary.ipArray, ['192.168.1.1']);
+});
+
+test('a session runs only one scan', async (t) => {
+	stubPingScan(t, []);
+	const session = fakeDiscovery().createSession();
+	session.startScan({ ipArrayToScan: ['192.168.1.1'] });
+	assert.throws(() => session.startScan({ ipArrayToScan: ['192.168.1.1'] }), /ScanSession already started/);
+	await session.result();
+});
+
+test('abort() ends the session with the partial results', async (t) => {
+	stubPingScan(t, ['192.168.1.1'], { untilAbort: true });
+	const session = fakeDiscovery().startScan({ ipArrayToScan: ['192.168.1.1', '192.168.1.2'] });
+	setTimeout(() => session.abort(), 10);
+	const { devices, summary } = await session.result();
+	assert.deepStrictEqual(devices.map(device => device.ip), ['192.168.1.1']);
+	assert.strictEqual(summary.aborted, true);
+});
+
+test('abort() does not wait for the pending device lookups', async (t) => {
+	stubPingScan(t, ['192.168.1.1', '192.168.1.2'], { untilAbort: true });
+	const discovery = fakeDiscovery();
+	// the lookup of 192.168.1.2 never ends
+	discovery.deviceInfos = ip => (ip === '192.168.1.1' ? Promise.resolve({ ip, name: 'router', mac: null, respondsToPing: true }) : new Promise(() => {}));
+	const session = discovery.startScan({ ipArrayToScan: ['192.168.1.1', '192.168.1.2'] });
+	setTimeout(() => session.abort(), 10);
+	const { devices, summary } = await session.result();
+	assert.deepStrictEqual(devices.map(({ ip, name, rttMS }) => ({ ip, name, rttMS })),
+		[{ ip: '192.168.1.1', name: 'router', rttMS: 1.5 }, { ip: '192.168.1.2', name: null, rttMS: 1.5 }]);
+	assert.strictEqual(summary.aborted, true);
+});
+
+test('startTcpScan() tags the devices that answered a TCP connection', async (t) => {
+	t.mock.method(ScannerTCP.prototype, 'scanHost', ({ ip }, callback) => {
+		setImmediate(() => callback(ip !== '192.168.1.1'));
+		return new Net.Socket();
+	});
+	const session = fakeDiscovery().startTcpScan({ ipArrayToScan: ['192.168.1.1', '192.168.1.2'] });
+	const { devices } = await session.result();
+	assert.deepStrictEqual(devices.map(({ ip, respondsToPing, respondsToTcp }) => ({ ip, respondsToPing, respondsToTcp })),
+		[{ ip: '192.168.1.1', respondsToPing: false, respondsToTcp: true }]);
+	assert.throws(() => fakeDiscovery().startTcpScan({ ipArrayToScan: ['192.168.1.1'], port: 70000 }), /Invalid port: 70000/);
+});
+
+test('banners skips the ports refused by the rate limiter and reads with the session signal', async (t) => {
+	t.mock.method(ScannerTCP.prototype, 'probePort', (params, callback) => {
+		setImmediate(() => callback(ScannerTCP.PORT_OPEN, 1));
+		return new Net.Socket();
+	});
+	const signals = [];
+	t.mock.method(ScannerTCP.prototype, 'grabBanner', async ({ port, signal }) => {
+		signals.push(signal);
+		return { port, service: 'ssh', banner: 'SSH-2.0-OpenSSH_9.2p1', product: 'OpenSSH_9.2p1' };
+	});
+	const discovery = fakeDiscovery();
+	// the two probes and the first banner get their packet, not the second banner
+	let taken = 0;
+	discovery.rateLimiter = { take: async () => ++taken <= 3 };
+	const session = discovery.startPortScan({ ipArrayToScan: ['192.168.1.1'], ports: [22, 80], banners: true });
+	const { devices } = await session.result();
+	assert.deepStrictEqual(devices[0].services.map(service => service.port), [22]);
+	assert.deepStrictEqual(signals, [session.scanAbort.signal]);
+});
+
+test('networkInterfaces scans the subnets of the interfaces and tags the devices', async (t) => {
+	t.mock.method(Os, 'networkInterfaces', () => ({
+		eth0: [{ address: '192.168.1.10', netmask: '255.255.255.252', family: 'IPv4', mac: '3c:22:fb:01:02:03', internal: false, cidr: '192.168.1.10/30' }],
+		lo: [{ address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', mac: '00:00:00:00:00:00', internal: true, cidr: '127.0.0.1/8' }]
+	}));
+	stubPingScan(t, ['192.168.1.9']);
+	const session = fakeDiscovery().startScan({ networkInterfaces: ['eth0', 'lo'] });
+	const { devices } = await session.result();
+
+	assert.deepStrictEqual(session.scannerICMP.ipArrayToScan, ['192.168.1.9', '192.168.1.10']);
+	assert.deepStrictEqual(devices.map(({ ip, interface: name, subnet }) => ({ ip, interface: name, subnet })),
+		[{ ip: '192.168.1.9', interface: 'eth0', subnet: '192.168.1.8/30' }]);
+	assert.throws(() => fakeDiscovery().startScan({ networkInterfaces: ['lo'] }), /No IPv4 subnet found/);
+});
+
+test('targets gives the addresses to scan, without the exclusions', async (t) => {
+	stubPingScan(t, ['192.168.1.2']);
+	const session = fakeDiscovery().startScan({ targets: '192.168.1.0/29', exclude: '192.168.1.3-5', excludeNetwork: true, excludeBroadcast: true });
+	const { devices } = await session.result();
+	assert.deepStrictEqual(session.scannerICMP.ipArrayToScan, ['192.168.1.1', '192.168.1.2', '192.168.1.6']);
+	assert.deepStrictEqual(devices.map(device => device.ip), ['192.168.1.2']);
+	assert.throws(() => fakeDiscovery().startScan({ targets: '192.168.1.1', exclude: '192.168.1.0/24' }), /No target left to scan/);
+});
+
+test('a failed lookup gives a minimal device and a failed scan rejects result()', async (t) => {
+	stubPingScan(t, ['192.168.1.1']);
+	t.mock.method(console, 'error', () => {});
+	const discovery = fakeDiscovery();
+	discovery.deviceInfos = async () => {
+		throw new Error('lookup failed');
+	};
+	const { devices } = await discovery.startScan({ ipArrayToScan: ['192.168.1.1'] }).result();
+	assert.deepStrictEqual(devices.map(({ ip, name, respondsToPing }) => ({ ip, name, respondsToPing })),
+		[{ ip: '192.168.1.1', name: null, respondsToPing: true }]);
+
+	t.mock.method(Dns.promises, 'lookup', async () => {
+		throw new Error('getaddrinfo ENOTFOUND');
+	});
+	// the unresolved hostname is skipped
+	await assert.rejects(fakeDiscovery().startScan({ targets: 'unknown.lan' }).result(), /No target left to scan/);
+});
+
+test('startHybridScan() stops the deadline and rejects result() when the ping session fails', async (t) => {
+	const discovery = hybridDiscovery(t);
+	t.mock.method(PingSession, 'acquire', () => {
+		throw new Error('Operation not permitted');
+	});
+	const scanAbortSignal = F.scanAbortSignal;
+	let disposed = 0;
+	t.mock.method(F, 'scanAbortSignal', (options) => {
+		const scanAbort = scanAbortSignal(options);
+		return { ...scanAbort, dispose: () => { disposed++; scanAbort.dispose(); } };
+	});
+	const session = discovery.createSession();
+	await assert.rejects(session.startHybridScan({ networkInterface: 'eth0', deadlineMs: 60000 }), /Operation not permitted/);
+	await assert.rejects(session.result(), /Operation not permitted/);
+	assert.strictEqual(disposed, 1);
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const NetPing = require('net-ping');
+const Scanner = require('../scanner');
+const ScannerICMP = require('../scanner-icmp');
+
+/**
+ * Replace the net-ping sessions : the IPs of replies get their answer at once (an echo reply with TTL 64, or an error),
+ * the other ones never reply
+ * @param {Object} t - Test context
+ * @param {Object} replies - { ip: null | Error }
+ * @returns {Object} { closed } : number of closed sessions
+ */
+function stubNetPing(t, replies) {
+	const state = { closed: 0 };
+	t.mock.method(NetPing, 'createSession', () => {
+		const socket = new EventEmitter();
+		const callbacks = new Map();
+		// net-ping calls the callback of the request while it handles the reply
+		socket.on('message', (buffer, source) => callbacks.get(source)(null, source));
+		return {
+			getSocket: () => socket,
+			pingHost: (ip, callback) => {
+				callbacks.set(ip, callback);
+				if (!(ip in replies)) return;
+				setImmediate(() => {
+					if (replies[ip]) {
+						callback(replies[ip], ip);
+					} else {
+						const packet = Buffer.alloc(28);
+						packet[0] = 0x45;
+						packet[8] = 64;
+						socket.emit('message', packet, ip);
+					}
+				});
+			},
+			close: () => state.closed++
+		};
+	});
+	return state;
+}
+
+function scanComplete(scanner) {
+	return new Promise(resolve => scanner.once(Scanner.EVENT_COMPLETE, resolve));
+}
+
+test('start() completes once every ping is answered', async (t) => {
+	const state = stubNetPing(t, { '192.168.1.1': null, '192.168.1.2': new Error('timeout'), '192.168.1.3': null });
+	const scanner = new ScannerICMP();
+	const responses = [];
+	scanner.on(Scanner.EVENT_RESPONSE, response => responses.push(response));
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: ['192.168.1.1', '192.168.1.2', '192.168.1.3'] });
+
+	const result = await complete;
+	assert.deepStrictEqual(responses.map(({ ip, replyFrom, ttl }) => ({ ip, replyFrom, ttl })), [
+		{ ip: '192.168.1.1', replyFrom: '192.168.1.1', ttl: 64 },
+		{ ip: '192.168.1.3', replyFrom: '192.168.1.3', ttl: 64 }
+	]);
+	responses.forEach(response => assert.ok(response.rttMS >= 0));
+	assert.deepStrictEqual(result.ipArray, ['192.168.1.1', '192.168.1.3']);
+	assert.strictEqual(result.aborted, false);
+	assert.strictEqual(state.closed, 1);
+});
+
+test('start() stops when the signal aborts', async (t) => {
+	const state = stubNetPing(t, { '192.168.1.1': null });
+	const scanner = new ScannerICMP();
+	const controller = new AbortController();
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: ['192.168.1.1', '192.168.1.2', '192.168.1.3'], interval: 10000, signal: controller.signal });
+	setTimeout(() => controller.abort(), 20);
+
+	const result = await complete;
+	assert.deepStrictEqual(result.ipArray, ['192.168.1.1']);
+	assert.strictEqual(result.aborted, true);
+	assert.strictEqual(state.closed, 1);
+});
+
+test('start() completes at once with an aborted signal', async (t) => {
+	stubNetPing(t, { '192.168.1.1': null });
+	const scanner = new ScannerICMP();
+	const controller = new AbortController();
+	controller.abort();
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: ['192.168.1.1'], signal: controller.signal });
+	assert.deepStrictEqual((await complete).ipArray, []);
+});
+
+test('start() keeps at most maxInFlight pings waiting and reads an iterator of targets', async (t) => {
+	const callbacks = [];
+	t.mock.method(NetPing, 'createSession', () => ({
+		getSocket: () => new EventEmitter(),
+		pingHost: (ip, callback) => callbacks.push(() => callback(null, ip)),
+		close: () => {}
+	}));
+	function* targets() {
+		for (let i = 1; i <= 5; i++) yield `10.0.0.${i}`;
+	}
+	const scanner = new ScannerICMP();
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: targets(), maxInFlight: 2 });
+
+	assert.strictEqual(callbacks.length, 2);
+	callbacks[0]();
+	assert.strictEqual(callbacks.length, 3);
+	callbacks.slice(1).forEach(callback => callback());
+	assert.strictEqual(callbacks.length, 5);
+	callbacks.slice(3).forEach(callback => callback());
+	assert.deepStrictEqual((await complete).ipArray, ['10.0.0.1', '10.0.0.2', '10.0.0.3', '10.0.0.4', '10.0.0.5']);
+	assert.throws(() => new ScannerICMP().start({ ipArrayToScan: ['10.0.0.1'], maxInFlight: 0 }), /Invalid maxInFlight: 0/);
+});
+
+test('start() releases the session and throws when no ping can be sent', (t) => {
+	let closed = 0;
+	t.mock.method(NetPing, 'createSession', () => ({
+		getSocket: () => new EventEmitter(),
+		pingHost: () => {
+			throw new Error('Operation not permitted');
+		},
+		close: () => closed++
+	}));
+	assert.throws(() => new ScannerICMP().start({ ipArrayToScan: ['192.168.1.1'] }), /Operation not permitted/);
+	assert.strictEqual(closed, 1);
+});
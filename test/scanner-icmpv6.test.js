@@ -0,0 +1,158 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const Os = require('os');
+const Raw = require('raw-socket');
+const Scanner = require('../scanner');
+const ScannerICMPv6 = require('../scanner-icmpv6');
+const NeighborTable = require('../utils/neighbor-table-util');
+
+const INTERFACES = {
+	eth0: [
+		{ address: '192.168.1.2', family: 'IPv4', scopeid: undefined },
+		{ address: 'fe80::2', family: 'IPv6', scopeid: 2 }
+	]
+};
+
+/**
+ * Replace the interfaces, the neighbor cache and the raw socket
+ * @param {Object} t - Test context
+ * @param {Object} options - { entries6, entries4, reply(request, socket) }
+ * @returns {Object} { requests: [[buffer, target]], closed }
+ */
+function stubNetwork(t, { entries6 = [], entries4 = [], reply = () => {} } = {}) {
+	const state = { requests: [], closed: 0 };
+	t.mock.method(Os, 'networkInterfaces', () => INTERFACES);
+	t.mock.method(NeighborTable, 'read', async ({ family }) => (family === 6 ? entries6 : entries4));
+	t.mock.method(Raw, 'createSocket', () => {
+		const socket = new EventEmitter();
+		socket.close = () => state.closed++;
+		socket.send = (buffer, offset, length, target, beforeCallback, afterCallback) => {
+			state.requests.push([Buffer.from(buffer), target]);
+			afterCallback(null);
+			reply(buffer, socket);
+		};
+		return socket;
+	});
+	return state;
+}
+
+/**
+ * Echo reply of a request (same identifier and sequence number)
+ */
+function echoReply(request) {
+	const reply = Buffer.from(request);
+	reply[0] = 129;
+	return reply;
+}
+
+function scanComplete(scanner) {
+	return new Promise(resolve => scanner.once(Scanner.EVENT_COMPLETE, resolve));
+}
+
+test('start() sends echo requests to the all-nodes address of the interface', async (t) => {
+	const state = stubNetwork(t);
+	const scanner = new ScannerICMPv6();
+	const complete = scanComplete(scanner);
+	scanner.start({ networkInterface: 'eth0', duration: 20 });
+	await complete;
+
+	assert.strictEqual(state.requests.length, 2);
+	const [[first, target], [second]] = state.requests;
+	assert.strictEqual(target, 'ff02::1%eth0');
+	assert.strictEqual(first.length, 8);
+	assert.strictEqual(first[0], 128);
+	assert.strictEqual(first.readUInt16BE(2), 0); // checksum computed by the system
+	assert.strictEqual(first.readUInt16BE(4), second.readUInt16BE(4));
+	assert.deepStrictEqual([first.readUInt16BE(6), second.readUInt16BE(6)], [1, 2]);
+	assert.strictEqual(state.closed, 1);
+});
+
+test('start() groups the responders and the neighbor cache by MAC address', async (t) => {
+	stubNetwork(t, {
+		entries6: [
+			{ ip: 'fe80::a', mac: 'AA:AA:AA:00:00:01', interface: 'eth0' },
+			{ ip: '2001:db8::a', mac: 'AA:AA:AA:00:00:01', interface: 'eth0' },
+			{ ip: 'fe80::b', mac: 'AA:AA:AA:00:00:02', interface: 'eth0' },
+			{ ip: 'fe80::c', mac: 'AA:AA:AA:00:00:03', interface: 'wlan0' },
+			{ ip: 'ff02::1', mac: '33:33:00:00:00:01', interface: 'eth0' },
+			{ ip: 'fe80::2', mac: 'AA:AA:AA:00:00:99', interface: 'eth0' }
+		],
+		entries4: [{ ip: '192.168.1.10', mac: 'AA:AA:AA:00:00:01', interface: 'eth0' }],
+		reply: (request, socket) => {
+			if (request.readUInt16BE(6) !== 1) return;
+			const reply = echoReply(request);
+			setImmediate(() => {
+				socket.emit('message', reply, 'fe80::a');
+				socket.emit('message', reply, 'fe80::d'); // not in the neighbor cache
+				socket.emit('message', reply, 'fe80::2'); // this host
+				// other ICMPv6 messages and replies to other identifiers are ignored
+				socket.emit('message', request, 'fe80::b');
+				const other = Buffer.from(reply);
+				other.writeUInt16BE(other.readUInt16BE(4) ^ 1, 4);
+				socket.emit('message', other, 'fe80::b');
+			});
+		}
+	});
+	const scanner = new ScannerICMPv6();
+	const responses = [];
+	scanner.on(Scanner.EVENT_RESPONSE, device => responses.push(device));
+	const complete = scanComplete(scanner);
+	scanner.start({ networkInterface: 'eth0', duration: 20 });
+
+	assert.deepStrictEqual((await complete).ipArray, ['192.168.1.10', 'fe80::b', 'fe80::d']);
+	assert.deepStrictEqual(responses, [
+		{ ip: '192.168.1.10', mac: 'AA:AA:AA:00:00:01', interface: 'eth0', ipv6: ['fe80::a', '2001:db8::a'], respondsToIcmpv6: true },
+		{ ip: 'fe80::b', mac: 'AA:AA:AA:00:00:02', interface: 'eth0', ipv6: ['fe80::b'], respondsToIcmpv6: false },
+		{ ip: 'fe80::d', mac: null, interface: 'eth0', ipv6: ['fe80::d'], respondsToIcmpv6: true }
+	]);
+});
+
+test('start() reads the neighbor cache only without raw socket', async (t) => {
+	stubNetwork(t, { entries6: [{ ip: 'fe80::b', mac: 'AA:AA:AA:00:00:02', interface: 'eth0' }] });
+	Raw.createSocket.mock.mockImplementation(() => {
+		throw new Error('Operation not permitted');
+	});
+	t.mock.method(console, 'error', () => {});
+	const scanner = new ScannerICMPv6();
+	const complete = scanComplete(scanner);
+	scanner.start({ networkInterface: 'eth0', duration: 20 });
+	assert.deepStrictEqual((await complete).ipArray, ['fe80::b']);
+});
+
+test('buildEchoRequest() and parseEchoReply() encode and decode the echo identifier and sequence', () => {
+	const request = ScannerICMPv6.buildEchoRequest(0xbeef, 2);
+	assert.deepStrictEqual([...request], [128, 0, 0, 0, 0xbe, 0xef, 0, 2]);
+	assert.deepStrictEqual(ScannerICMPv6.parseEchoReply(echoReply(request)), { identifier: 0xbeef, sequence: 2 });
+	// requests, other ICMPv6 messages and truncated messages are not replies
+	assert.strictEqual(ScannerICMPv6.parseEchoReply(request), null);
+	assert.strictEqual(ScannerICMPv6.parseEchoReply(Buffer.from([135, 0, 0, 0, 0, 0, 0, 0])), null);
+	assert.strictEqual(ScannerICMPv6.parseEchoReply(echoReply(request).slice(0, 6)), null);
+});
+
+test('start() records the interfaces where the echo request fails and reads the neighbor cache', async (t) => {
+	stubNetwork(t, { entries6: [{ ip: 'fe80::b', mac: 'AA:AA:AA:00:00:02', interface: 'eth0' }] });
+	const errors = t.mock.method(console, 'error', () => {});
+	const socket = new EventEmitter();
+	socket.close = () => {};
+	socket.send = () => {
+		throw new Error('Network is unreachable');
+	};
+	Raw.createSocket.mock.mockImplementation(() => socket);
+	const scanner = new ScannerICMPv6();
+	const complete = scanComplete(scanner);
+	scanner.start({ networkInterface: 'eth0', duration: 20 });
+
+	assert.deepStrictEqual((await complete).ipArray, ['fe80::b']);
+	assert.deepStrictEqual([...scanner.sendErrors.keys()], ['eth0']);
+	assert.strictEqual(scanner.sendErrors.get('eth0').message, 'Network is unreachable');
+	assert.strictEqual(errors.mock.callCount(), 2);
+});
+
+test('start() rejects an unknown interface', (t) => {
+	stubNetwork(t);
+	t.mock.method(console, 'error', () => {});
+	assert.throws(() => new ScannerICMPv6().start({ networkInterface: 'eth9' }), /Unknown network interface: eth9/);
+});
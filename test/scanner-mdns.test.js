@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Dgram = require('dgram');
+const EventEmitter = require('events');
+const LanDiscovery = require('..');
+const Scanner = require('../scanner');
+const ScannerMDNS = require('../scanner-mdns');
+const DnsPacket = require('../utils/dns-packet-util');
+
+/**
+ * Build an mDNS response packet (no name compression)
+ * @param {Array} records - [{ name, type, data: Buffer }]
+ */
+function mdnsResponse(records) {
+	const header = Buffer.alloc(12);
+	header.writeUInt16BE(0x8400, 2);
+	header.writeUInt16BE(records.length, 6);
+	const parts = [header];
+	records.forEach(({ name, type, data }) => {
+		const fields = Buffer.alloc(10);
+		fields.writeUInt16BE(type, 0);
+		fields.writeUInt16BE(DnsPacket.CLASS_IN, 2);
+		fields.writeUInt32BE(120, 4);
+		fields.writeUInt16BE(data.length, 8);
+		parts.push(DnsPacket.encodeName(name), fields, data);
+	});
+	return Buffer.concat(parts);
+}
+
+function txtData(strings) {
+	return Buffer.concat(strings.map(string => Buffer.concat([Buffer.from([string.length]), Buffer.from(string, 'latin1')])));
+}
+
+function srvData(port, target) {
+	const fields = Buffer.alloc(6);
+	fields.writeUInt16BE(port, 4);
+	return Buffer.concat([fields, DnsPacket.encodeName(target)]);
+}
+
+// a printer advertising an IPP service, with its TXT attributes
+const PRINTER_RECORDS = [
+	{ name: '_services._dns-sd._udp.local', type: DnsPacket.TYPE_PTR, data: DnsPacket.encodeName('_ipp._tcp.local') },
+	{ name: '_ipp._tcp.local', type: DnsPacket.TYPE_PTR, data: DnsPacket.encodeName('Office Printer._ipp._tcp.local') },
+	{ name: 'Office Printer._ipp._tcp.local', type: DnsPacket.TYPE_SRV, data: srvData(631, 'printer.local') },
+	{ name: 'Office Printer._ipp._tcp.local', type: DnsPacket.TYPE_TXT, data: txtData(['rp=ipp/print', 'note=a=b', 'duplex', '=ignored', '']) },
+	{ name: 'printer.local', type: DnsPacket.TYPE_A, data: Buffer.from([192, 168, 1, 30]) }
+];
+
+/**
+ * Replace the mDNS socket : the services query is answered by the given records, sent from the given IP
+ * @returns {Object} { questions: [name] }
+ */
+function stubMdnsSocket(t, records, source = '192.168.1.30') {
+	const state = { questions: [] };
+	t.mock.method(Dgram, 'createSocket', () => {
+		const socket = new EventEmitter();
+		socket.bind = (port, callback) => setImmediate(callback);
+		socket.addMembership = () => {};
+		socket.setMulticastTTL = () => {};
+		socket.close = () => {};
+		socket.send = (packet, port, address, callback) => {
+			callback();
+			const question = DnsPacket.decode(packet).questions[0].name;
+			state.questions.push(question);
+			if (question === '_services._dns-sd._udp.local') {
+				setImmediate(() => socket.emit('message', mdnsResponse(records), { address: source, port: 5353 }));
+			}
+		};
+		return socket;
+	});
+	return state;
+}
+
+function scanComplete(scanner) {
+	return new Promise(resolve => scanner.once(Scanner.EVENT_COMPLETE, resolve));
+}
+
+test('start() groups the services and hostnames by IP and parses the TXT attributes', async (t) => {
+	const state = stubMdnsSocket(t, PRINTER_RECORDS);
+	const scanner = new ScannerMDNS();
+	const responses = [];
+	scanner.on(Scanner.EVENT_RESPONSE, response => responses.push(response));
+	const complete = scanComplete(scanner);
+	scanner.start({ duration: 20 });
+
+	assert.deepStrictEqual((await complete).ipArray, ['192.168.1.30']);
+	assert.deepStrictEqual(responses, [{
+		ip: '192.168.1.30',
+		hostnames: ['printer.local'],
+		services: [{
+			name: 'Office Printer',
+			type: '_ipp._tcp',
+			port: 631,
+			host: 'printer.local',
+			txt: { rp: 'ipp/print', note: 'a=b', duplex: true }
+		}]
+	}]);
+	// browsing : service types, then the instances of each type, then the hostname of each instance
+	assert.deepStrictEqual(state.questions, ['_services._dns-sd._udp.local', '_ipp._tcp.local', 'Office Printer._ipp._tcp.local', 'printer.local']);
+});
+
+test('start() uses the sender address when the A record is missing, and applies the IP filter', async (t) => {
+	stubMdnsSocket(t, PRINTER_RECORDS.slice(0, 4), '192.168.1.31');
+	const scanner = new ScannerMDNS();
+	const responses = [];
+	scanner.on(Scanner.EVENT_RESPONSE, response => responses.push(response));
+	const complete = scanComplete(scanner);
+	scanner.start({ duration: 20 });
+	await complete;
+	assert.deepStrictEqual(responses.map(response => [response.ip, response.hostnames, response.services[0].host]),
+		[['192.168.1.31', [], 'printer.local']]);
+
+	const filtered = new ScannerMDNS();
+	const filteredComplete = scanComplete(filtered);
+	filtered.start({ ipArrayToScan: ['192.168.1.1'], duration: 20 });
+	assert.deepStrictEqual((await filteredComplete).ipArray, []);
+});
+
+test('passive mode sends no query', async (t) => {
+	const state = stubMdnsSocket(t, PRINTER_RECORDS);
+	const scanner = new ScannerMDNS();
+	const complete = scanComplete(scanner);
+	scanner.start({ duration: 20, passive: true });
+	assert.deepStrictEqual((await complete).ipArray, []);
+	assert.deepStrictEqual(state.questions, []);
+});
+
+test('startMdnsScan() merges the mDNS answers into the devices', async (t) => {
+	stubMdnsSocket(t, PRINTER_RECORDS);
+	const discovery = new LanDiscovery();
+	discovery.deviceInfos = async ip => ({ ip, name: null, mac: '00:11:22:33:44:55', respondsToPing: true });
+	const { devices } = await discovery.startMdnsScan({ duration: 20 }).result();
+
+	assert.strictEqual(devices.length, 1);
+	assert.strictEqual(devices[0].name, 'printer.local');
+	assert.strictEqual(devices[0].respondsToPing, false);
+	assert.deepStrictEqual(devices[0].hostnames, ['printer.local']);
+	assert.deepStrictEqual(devices[0].mdnsServices[0].txt, { rp: 'ipp/print', note: 'a=b', duplex: true });
+	assert.throws(() => discovery.startMdnsScan({ duration: -1 }), /Invalid duration: -1/);
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Dgram = require('dgram');
+const EventEmitter = require('events');
+const Http = require('http');
+const Scanner = require('../scanner');
+const ScannerSSDP = require('../scanner-ssdp');
+
+/**
+ * Replace the SSDP socket : the M-SEARCH request is answered by the given messages
+ * @param {Object} t - Test context
+ * @param {Array} messages - [{ address, text }]
+ * @returns {Object} { searches }
+ */
+function stubSsdpSocket(t, messages) {
+	const state = { searches: 0 };
+	t.mock.method(Dgram, 'createSocket', () => {
+		const socket = new EventEmitter();
+		socket.bind = (port, callback) => setImmediate(callback);
+		socket.addMembership = () => {};
+		socket.close = () => {};
+		socket.send = (packet, port, address, callback) => {
+			callback();
+			state.searches++;
+			messages.forEach(({ address: source, text }) => {
+				setImmediate(() => socket.emit('message', Buffer.from(text), { address: source, port: 1900 }));
+			});
+		};
+		return socket;
+	});
+	return state;
+}
+
+function scanComplete(scanner) {
+	return new Promise(resolve => scanner.once(Scanner.EVENT_COMPLETE, resolve));
+}
+
+test('start() collects the answers and reads the device descriptions', async (t) => {
+	const server = Http.createServer((request, response) => {
+		response.end('<root><device><friendlyName>Living room TV</friendlyName><manufacturer>ACME</manufacturer>' +
+			'<serviceList><service><serviceType>urn:schemas-upnp-org:service:RenderingControl:1</serviceType></service></serviceList>' +
+			'</device></root>');
+	});
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+	t.after(() => server.close());
+	const location = `http://127.0.0.1:${server.address().port}/desc.xml`;
+	const state = stubSsdpSocket(t, [
+		{ address: '127.0.0.1', text: `HTTP/1.1 200 OK\r\nSERVER: Linux UPnP/1.0\r\nLOCATION: ${location}\r\n\r\n` },
+		{ address: '127.0.0.1', text: `NOTIFY * HTTP/1.1\r\nNTS: ssdp:alive\r\nLOCATION: ${location}\r\n\r\n` },
+		{ address: '192.168.1.50', text: 'NOTIFY * HTTP/1.1\r\nNTS: ssdp:byebye\r\n\r\n' }
+	]);
+	const scanner = new ScannerSSDP();
+	const responses = [];
+	scanner.on(Scanner.EVENT_RESPONSE, response => responses.push(response));
+	const complete = scanComplete(scanner);
+	scanner.start({ duration: 20 });
+
+	assert.deepStrictEqual((await complete).ipArray, ['127.0.0.1']);
+	assert.strictEqual(state.searches, 1);
+	assert.deepStrictEqual(responses, [{
+		ip: '127.0.0.1',
+		upnp: {
+			friendlyName: 'Living room TV', manufacturer: 'ACME', modelName: null, modelNumber: null, deviceType: null, udn: null,
+			services: ['urn:schemas-upnp-org:service:RenderingControl:1'],
+			server: 'Linux UPnP/1.0',
+			locations: [location]
+		}
+	}]);
+});
+
+test('start() keeps the SSDP headers without description and applies the IP filter', async (t) => {
+	stubSsdpSocket(t, [
+		{ address: '192.168.1.1', text: 'HTTP/1.1 200 OK\r\nSERVER: router\r\nLOCATION: http://192.168.1.1:5000/desc.xml\r\n\r\n' },
+		{ address: '192.168.1.2', text: 'HTTP/1.1 200 OK\r\nSERVER: other\r\n\r\n' }
+	]);
+	const scanner = new ScannerSSDP();
+	const responses = [];
+	scanner.on(Scanner.EVENT_RESPONSE, response => responses.push(response));
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: ['192.168.1.1'], duration: 20, fetchDescription: false });
+
+	assert.deepStrictEqual((await complete).ipArray, ['192.168.1.1']);
+	assert.strictEqual(responses[0].upnp.server, 'router');
+	assert.strictEqual(responses[0].upnp.friendlyName, null);
+	assert.deepStrictEqual(responses[0].upnp.locations, ['http://192.168.1.1:5000/desc.xml']);
+});
+
+test('start() stops when the signal aborts, with the hosts collected so far', async (t) => {
+	stubSsdpSocket(t, [{ address: '192.168.1.1', text: 'HTTP/1.1 200 OK\r\nSERVER: router\r\n\r\n' }]);
+	const controller = new AbortController();
+	const scanner = new ScannerSSDP();
+	const complete = scanComplete(scanner);
+	scanner.start({ duration: 5000, signal: controller.signal });
+	setTimeout(() => controller.abort(), 10);
+	assert.deepStrictEqual((await complete).ipArray, ['192.168.1.1']);
+	assert.strictEqual(scanner.aborted, true);
+});
@@ -0,0 +1,214 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Net = require('net');
+const Scanner = require('../scanner');
+const ScannerTCP = require('../scanner-tcp');
+
+function listen(server) {
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function scanComplete(scanner) {
+	return new Promise(resolve => scanner.once(Scanner.EVENT_COMPLETE, resolve));
+}
+
+/**
+ * A port which refuses the connections (a server port, once closed)
+ */
+async function closedPort() {
+	const server = Net.createServer();
+	const port = await listen(server);
+	await new Promise(resolve => server.close(resolve));
+	return port;
+}
+
+test('scanHost() reports a host as up when the port accepts or refuses the connection', async (t) => {
+	const server = Net.createServer(socket => socket.destroy());
+	t.after(() => server.close());
+	const openPort = await listen(server);
+	const refusedPort = await closedPort();
+	const scanner = new ScannerTCP();
+
+	const probe = port => new Promise(resolve => scanner.scanHost({ ip: '127.0.0.1', port, timeout: 1000 }, resolve));
+	assert.strictEqual(await probe(openPort), false);
+	assert.strictEqual(await probe(refusedPort), false);
+});
+
+test('start() emits the hosts that answer, then completes', async (t) => {
+	// 192.168.1.2 is down : its connection never succeeds
+	t.mock.method(ScannerTCP.prototype, 'scanHost', ({ ip }, callback) => {
+		setImmediate(() => callback(ip === '192.168.1.2'));
+		return new Net.Socket();
+	});
+	const scanner = new ScannerTCP();
+	const responses = [];
+	scanner.on(Scanner.EVENT_RESPONSE, ip => responses.push(ip));
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: ['192.168.1.1', '192.168.1.2', '192.168.1.3'], interval: 1 });
+
+	const result = await complete;
+	assert.deepStrictEqual(responses, ['192.168.1.1', '192.168.1.3']);
+	assert.deepStrictEqual(result.ipArray, ['192.168.1.1', '192.168.1.3']);
+	assert.strictEqual(scanner.aborted, false);
+});
+
+test('start() stops when the signal aborts', async (t) => {
+	const destroyed = [];
+	t.mock.method(ScannerTCP.prototype, 'scanHost', ({ ip }, callback) => {
+		const socket = new Net.Socket();
+		t.mock.method(socket, 'destroy', () => destroyed.push(ip));
+		if (ip === '192.168.1.1') setImmediate(() => callback(false));
+		return socket;
+	});
+	const controller = new AbortController();
+	const scanner = new ScannerTCP();
+	scanner.once(Scanner.EVENT_RESPONSE, () => controller.abort());
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: ['192.168.1.1', '192.168.1.2'], signal: controller.signal });
+
+	const result = await complete;
+	assert.strictEqual(scanner.aborted, true);
+	assert.deepStrictEqual(result.ipArray, ['192.168.1.1']);
+	assert.deepStrictEqual(destroyed, ['192.168.1.2']);
+});
+
+test('start() completes at once with an aborted signal', async () => {
+	const scanner = new ScannerTCP();
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: ['192.168.1.1'], signal: AbortSignal.abort() });
+	assert.deepStrictEqual((await complete).ipArray, []);
+	assert.strictEqual(scanner.aborted, true);
+});
+
+test('startPortScan() reports the open and closed ports of each host', async (t) => {
+	const server = Net.createServer(socket => socket.destroy());
+	t.after(() => server.close());
+	const openPort = await listen(server);
+	const refusedPort = await closedPort();
+	const scanner = new ScannerTCP();
+	const responses = [];
+	scanner.on(Scanner.EVENT_RESPONSE, response => responses.push(response));
+	const complete = scanComplete(scanner);
+	scanner.startPortScan({ ipArrayToScan: ['127.0.0.1'], ports: [refusedPort, openPort].sort((a, b) => b - a), timeout: 1000 });
+
+	const result = await complete;
+	assert.deepStrictEqual(result.ipArray, ['127.0.0.1']);
+	assert.strictEqual(responses.length, 1);
+	const states = responses[0].ports.map(({ port, state }) => [port, state]);
+	assert.deepStrictEqual(states, [[openPort, ScannerTCP.PORT_OPEN], [refusedPort, ScannerTCP.PORT_CLOSED]].sort((a, b) => a[0] - b[0]));
+	responses[0].ports.forEach(({ latencyMS }) => assert.strictEqual(typeof latencyMS, 'number'));
+});
+
+test('start() keeps at most maxInFlight connections in progress and reads an iterator of targets', async (t) => {
+	const callbacks = [];
+	t.mock.method(ScannerTCP.prototype, 'scanHost', (params, callback) => {
+		callbacks.push(() => callback(false));
+		return new Net.Socket();
+	});
+	function* targets() {
+		for (let i = 1; i <= 4; i++) yield `10.0.0.${i}`;
+	}
+	const scanner = new ScannerTCP();
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: targets(), maxInFlight: 2 });
+
+	assert.strictEqual(callbacks.length, 2);
+	callbacks[0]();
+	assert.strictEqual(callbacks.length, 3);
+	callbacks.slice(1).forEach(callback => callback());
+	callbacks.slice(3).forEach(callback => callback());
+	assert.deepStrictEqual((await complete).ipArray, ['10.0.0.1', '10.0.0.2', '10.0.0.3', '10.0.0.4']);
+	assert.throws(() => new ScannerTCP().start({ ipArrayToScan: ['10.0.0.1'], maxInFlight: 0 }), /Invalid maxInFlight: 0/);
+});
+
+test('startPortScan() respects the connection limits and skips the hosts with filtered ports only', async (t) => {
+	let inFlight = 0;
+	let maxInFlight = 0;
+	const maxPerHost = {};
+	const perHost = {};
+	t.mock.method(ScannerTCP.prototype, 'probePort', ({ ip, port }, callback) => {
+		inFlight++;
+		perHost[ip] = (perHost[ip] || 0) + 1;
+		maxInFlight = Math.max(maxInFlight, inFlight);
+		maxPerHost[ip] = Math.max(maxPerHost[ip] || 0, perHost[ip]);
+		setImmediate(() => {
+			inFlight--;
+			perHost[ip]--;
+			const up = ip === '192.168.1.1' && port === 22;
+			callback(up ? ScannerTCP.PORT_OPEN : ScannerTCP.PORT_FILTERED, up ? 1 : null);
+		});
+		return new Net.Socket();
+	});
+	const scanner = new ScannerTCP();
+	const responses = [];
+	scanner.on(Scanner.EVENT_RESPONSE, response => responses.push(response));
+	const complete = scanComplete(scanner);
+	const ports = Array.from({ length: 20 }, (value, index) => 20 + index);
+	scanner.startPortScan({ ipArrayToScan: ['192.168.1.1', '192.168.1.2', '192.168.1.3'], ports, concurrency: 5, hostConcurrency: 2 });
+
+	assert.deepStrictEqual((await complete).ipArray, ['192.168.1.1']);
+	assert.strictEqual(maxInFlight, 5);
+	Object.values(maxPerHost).forEach(max => assert.ok(max <= 2));
+	assert.strictEqual(responses[0].ports.length, 20);
+	assert.deepStrictEqual(responses[0].ports.filter(result => result.state === ScannerTCP.PORT_OPEN), [{ port: 22, state: 'open', latencyMS: 1 }]);
+});
+
+test('grabBanner() reads the greeting of a server', async (t) => {
+	const server = Net.createServer(socket => socket.write('SSH-2.0-OpenSSH_9.2p1\r\n'));
+	t.after(() => server.close());
+	const port = await listen(server);
+	const result = await new ScannerTCP().grabBanner({ ip: '127.0.0.1', port, idleMs: 50 });
+	assert.deepStrictEqual(result, { port, service: 'ssh', banner: 'SSH-2.0-OpenSSH_9.2p1', product: 'OpenSSH_9.2p1' });
+});
+
+test('grabBanner() sends an HTTP request to the HTTP ports', async (t) => {
+	const server = Net.createServer(socket => socket.once('data', (request) => {
+		assert.match(request.toString(), /^GET \/ HTTP\/1\.0\r\nHost: 127\.0\.0\.1\r\n/);
+		socket.end('HTTP/1.1 200 OK\r\nServer: test\r\n\r\n<title>Home</title>');
+	}));
+	t.after(() => server.close());
+	const port = await listen(server);
+	const result = await new ScannerTCP().grabBanner({ ip: '127.0.0.1', port, http: true });
+	assert.deepStrictEqual(result.http, { status: 200, server: 'test', title: 'Home' });
+});
+
+test('grabBanner() destroys its socket when the signal aborts', async (t) => {
+	let closed = null;
+	const server = Net.createServer((socket) => {
+		closed = new Promise(resolve => socket.on('close', resolve));
+	});
+	t.after(() => server.close());
+	const port = await listen(server);
+	const controller = new AbortController();
+	setTimeout(() => controller.abort(), 20);
+	const start = Date.now();
+	const result = await new ScannerTCP().grabBanner({ ip: '127.0.0.1', port, http: false, signal: controller.signal });
+	assert.ok(Date.now() - start < 1000);
+	assert.deepStrictEqual(result, { port, service: null, banner: null, product: null });
+	await closed;
+	// nothing is read once aborted
+	assert.strictEqual((await new ScannerTCP().grabBanner({ ip: '127.0.0.1', port, signal: controller.signal })).banner, null);
+});
+
+test('startPortScan() takes the next host of an iterator when the hosts in progress are saturated', async (t) => {
+	const probed = [];
+	t.mock.method(ScannerTCP.prototype, 'probePort', ({ ip, port }, callback) => {
+		probed.push(`${ip}:${port}`);
+		setImmediate(() => callback(ScannerTCP.PORT_CLOSED, 1));
+		return new Net.Socket();
+	});
+	function* targets() {
+		for (let i = 1; i <= 3; i++) yield `10.0.0.${i}`;
+	}
+	const scanner = new ScannerTCP();
+	const complete = scanComplete(scanner);
+	scanner.startPortScan({ ipArrayToScan: targets(), ports: [22, 80], concurrency: 2, hostConcurrency: 1 });
+	await new Promise(resolve => setImmediate(resolve));
+
+	// one connection per host : the second host is taken at once, the third one when a connection ends
+	assert.deepStrictEqual(probed, ['10.0.0.1:22', '10.0.0.2:22']);
+	assert.deepStrictEqual((await complete).ipArray, ['10.0.0.1', '10.0.0.2', '10.0.0.3']);
+	assert.strictEqual(probed.length, 6);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Dgram = require('dgram');
+const EventEmitter = require('events');
+const Scanner = require('../scanner');
+const ScannerUDP = require('../scanner-udp');
+
+/**
+ * Replace the UDP sockets : the IPs of answers reply to the NTP probe with a stratum 2 server answer
+ * @param {Object} t - Test context
+ * @param {Array<string>} answers - responding IPs
+ * @returns {Object} { sent: [[ip, port]], closed }
+ */
+function stubUdpSocket(t, answers) {
+	const state = { sent: [], closed: 0 };
+	t.mock.method(Dgram, 'createSocket', () => {
+		const socket = new EventEmitter();
+		socket.bind = callback => setImmediate(callback);
+		socket.close = () => state.closed++;
+		socket.send = (packet, port, ip, callback) => {
+			state.sent.push([ip, port]);
+			callback();
+			if (port === 123 && answers.includes(ip)) {
+				const answer = Buffer.alloc(48);
+				answer[0] = 0x24;
+				answer[1] = 2;
+				answer.set([192, 168, 1, 1], 12);
+				setImmediate(() => socket.emit('message', answer, { address: ip, port }));
+			}
+		};
+		return socket;
+	});
+	return state;
+}
+
+function scanComplete(scanner) {
+	return new Promise(resolve => scanner.once(Scanner.EVENT_COMPLETE, resolve));
+}
+
+test('start() reports the hosts that answered a probe', async (t) => {
+	const state = stubUdpSocket(t, ['192.168.1.1']);
+	const scanner = new ScannerUDP();
+	const responses = [];
+	scanner.on(Scanner.EVENT_RESPONSE, response => responses.push(response));
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: ['192.168.1.1', '192.168.1.2'], probes: ['ntp', 'dns'], timeout: 20 });
+
+	assert.deepStrictEqual((await complete).ipArray, ['192.168.1.1']);
+	assert.deepStrictEqual(responses, [{ ip: '192.168.1.1', services: [{ port: 123, service: 'ntp', version: 4, stratum: 2, refid: '192.168.1.1' }] }]);
+	assert.deepStrictEqual(state.sent, [['192.168.1.1', 123], ['192.168.1.1', 53], ['192.168.1.2', 123], ['192.168.1.2', 53]]);
+	assert.strictEqual(state.closed, 1);
+});
+
+test('start() ends a host as soon as every probe is answered', async (t) => {
+	stubUdpSocket(t, ['192.168.1.1']);
+	const scanner = new ScannerUDP();
+	const complete = scanComplete(scanner);
+	const start = Date.now();
+	scanner.start({ ipArrayToScan: ['192.168.1.1'], probes: ['ntp'], timeout: 5000 });
+	assert.deepStrictEqual((await complete).ipArray, ['192.168.1.1']);
+	assert.ok(Date.now() - start < 1000);
+});
+
+test('start() stops when the signal aborts', async (t) => {
+	const state = stubUdpSocket(t, []);
+	const controller = new AbortController();
+	const scanner = new ScannerUDP();
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: ['192.168.1.1'], timeout: 5000, signal: controller.signal });
+	setTimeout(() => controller.abort(), 10);
+	assert.deepStrictEqual((await complete).ipArray, []);
+	assert.strictEqual(scanner.aborted, true);
+	assert.strictEqual(state.closed, 1);
+});
+
+test('start() waits for at most maxInFlight hosts', async (t) => {
+	const state = stubUdpSocket(t, ['192.168.1.1', '192.168.1.2']);
+	const scanner = new ScannerUDP();
+	const complete = scanComplete(scanner);
+	scanner.start({ ipArrayToScan: ['192.168.1.1', '192.168.1.2', '192.168.1.3'], probes: ['ntp'], timeout: 20, maxInFlight: 1 });
+	await new Promise(resolve => setImmediate(resolve));
+	// the second host is probed once the first one answered
+	assert.deepStrictEqual(state.sent, [['192.168.1.1', 123]]);
+	assert.deepStrictEqual((await complete).ipArray, ['192.168.1.1', '192.168.1.2']);
+	assert.deepStrictEqual(state.sent.map(([ip]) => ip), ['192.168.1.1', '192.168.1.2', '192.168.1.3']);
+});
+
+test('start() rejects unknown probes', () => {
+	assert.throws(() => new ScannerUDP().start({ ipArrayToScan: [], probes: ['ftp'] }), /Invalid UDP probe: ftp/);
+	assert.throws(() => new ScannerUDP().start({ ipArrayToScan: [], probes: [] }), /Invalid UDP probes/);
+	assert.throws(() => new ScannerUDP().start({ ipArrayToScan: ['192.168.1.1'], maxInFlight: -1 }), /Invalid maxInFlight: -1/);
+});
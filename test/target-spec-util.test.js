@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Dns = require('dns');
+const TargetSpec = require('../utils/target-spec-util');
+
+test('expandTargets() expands blocks, ranges and octet lists', () => {
+	assert.deepStrictEqual(TargetSpec.expandTargets('192.168.1.0/30 10.0.0.5'),
+		['192.168.1.0', '192.168.1.1', '192.168.1.2', '192.168.1.3', '10.0.0.5']);
+	assert.deepStrictEqual(TargetSpec.expandTargets('192.168.1.254-192.168.2.1'),
+		['192.168.1.254', '192.168.1.255', '192.168.2.0', '192.168.2.1']);
+	assert.strictEqual(TargetSpec.expandTargets(['10.0.0-1.1,5-6', ' 10.2.*.1 ']).length, 6 + 256);
+	assert.deepStrictEqual(TargetSpec.expandTargets('10.0.0.250-'), ['10.0.0.250', '10.0.0.251', '10.0.0.252', '10.0.0.253', '10.0.0.254', '10.0.0.255']);
+	assert.strictEqual(TargetSpec.expandTargets('192.168.1.77/28')[0], '192.168.1.64');
+	assert.deepStrictEqual(TargetSpec.expandTargets('FD00::20'), ['fd00::20']);
+	assert.deepStrictEqual(TargetSpec.expandTargets(undefined), []);
+});
+
+test('expandTargets() skips the duplicates and keeps the specification order', () => {
+	assert.deepStrictEqual(TargetSpec.expandTargets('192.168.1.3 192.168.1.0/30 192.168.1.2-4'),
+		['192.168.1.3', '192.168.1.0', '192.168.1.1', '192.168.1.2', '192.168.1.4']);
+});
+
+test('expandTargets() applies the exclusions', () => {
+	const addresses = TargetSpec.expandTargets('192.168.1.0/24', { exclude: '192.168.1.1,254', excludeNetwork: true, excludeBroadcast: true });
+	assert.strictEqual(addresses.length, 252);
+	assert.strictEqual(addresses[0], '192.168.1.2');
+	assert.strictEqual(addresses[addresses.length - 1], '192.168.1.253');
+
+	assert.deepStrictEqual(TargetSpec.expandTargets('10.0.0.0/29', { exclude: ['10.0.0.2-10.0.0.5'] }), ['10.0.0.0', '10.0.0.1', '10.0.0.6', '10.0.0.7']);
+	// /31 and /32 blocks have no network and broadcast addresses
+	assert.deepStrictEqual(TargetSpec.expandTargets('10.0.0.0/31 10.0.0.9/32', { excludeNetwork: true, excludeBroadcast: true }),
+		['10.0.0.0', '10.0.0.1', '10.0.0.9']);
+	// the edge of a block is still scanned when another target gives it
+	assert.deepStrictEqual(TargetSpec.expandTargets('10.0.0.0/30 10.0.0.3', { excludeBroadcast: true }), ['10.0.0.0', '10.0.0.1', '10.0.0.2', '10.0.0.3']);
+	assert.deepStrictEqual(TargetSpec.expandTargets('127.0.0.1 127.0.0.2', { excludeSelf: true }), ['127.0.0.2']);
+});
+
+test('expandTargets() rejects invalid targets', () => {
+	assert.throws(() => TargetSpec.expandTargets('192.168.1.0/33'), /Invalid target: 192\.168\.1\.0\/33\. The prefix length must be between 0 and 32/);
+	assert.throws(() => TargetSpec.expandTargets('192.168.1.300'), /Invalid target: 192\.168\.1\.300$/);
+	assert.throws(() => TargetSpec.expandTargets('192.168.1.50-10'), /Invalid target/);
+	assert.throws(() => TargetSpec.expandTargets('192.168.2.1-192.168.1.1'), /Invalid target/);
+	assert.throws(() => TargetSpec.expandTargets('10.0.0.1', { exclude: 'bad..target' }), /Invalid target: bad\.\.target/);
+	assert.throws(() => TargetSpec.expandTargets('router.lan'), /Hostname targets must be resolved/);
+	assert.throws(() => TargetSpec.expandTargets('10.0.0.1', { exclude: 'nas.lan/30' }), /Hostname targets must be resolved/);
+	assert.throws(() => TargetSpec.expandTargets('10.0.0.1 fd00::20', { ipv4Only: true }),
+		/Invalid target: fd00::20\. IPv6 targets are only supported by the IPv6 scan/);
+});
+
+test('generateTargets() enumerates large blocks lazily', () => {
+	const generator = TargetSpec.generateTargets('10.0.0.0/8', { exclude: '10.0.0.0/24', excludeNetwork: true });
+	assert.deepStrictEqual([generator.next().value, generator.next().value], ['10.0.1.0', '10.0.1.1']);
+	generator.return();
+});
+
+test('generateTargets() skips the targets covered by an exclusion without enumerating them', () => {
+	const start = Date.now();
+	assert.deepStrictEqual(TargetSpec.expandTargets('10.0.0.0/8', { exclude: '10.0.0.0/8' }), []);
+	assert.deepStrictEqual(TargetSpec.expandTargets('10.0.0.0/8 10.2.0.0/16 10.3.0.0-10.3.255.255 11.0.0.1', { exclude: '10.0.0.0-10.255.255.255' }), ['11.0.0.1']);
+	assert.deepStrictEqual(TargetSpec.expandTargets('10.0.*.1-3 fd00::20', { exclude: '10.0-1.*.* fd00::20' }), []);
+	assert.ok(Date.now() - start < 1000, `expanded in ${Date.now() - start} ms`);
+	// partially covered targets keep their other addresses
+	assert.deepStrictEqual(TargetSpec.expandTargets('10.0.0.1-10.0.0.9', { exclude: '10.0.0.0/29' }), ['10.0.0.8', '10.0.0.9']);
+	assert.deepStrictEqual(TargetSpec.expandTargets('10.0.1.1-10.0.1.3', { exclude: '10.0.0-1.1-2' }), ['10.0.1.3']);
+});
+
+test('targetMatcher() gives the addresses of generateTargets()', () => {
+	const spec = '192.168.1.0/28 10.0.0.1-3 fd00::20';
+	const options = { exclude: '192.168.1.5', excludeNetwork: true, excludeBroadcast: true };
+	const matches = TargetSpec.targetMatcher(spec, options);
+	const candidates = TargetSpec.expandTargets('192.168.1.0/27 10.0.0.0/29').concat(['fd00::20', 'FD00::21', 'not an ip']);
+	assert.deepStrictEqual(candidates.filter(matches), TargetSpec.expandTargets(spec, options));
+
+	const everyAddress = TargetSpec.targetMatcher(undefined, { exclude: '10.1.0.0/16' });
+	assert.strictEqual(everyAddress('10.0.0.1'), true);
+	assert.strictEqual(everyAddress('10.1.2.3'), false);
+	assert.throws(() => TargetSpec.targetMatcher('fd00::/64'), /Invalid target/);
+});
+
+test('hasHostnames() finds hostnames in the targets and the exclusions', () => {
+	assert.strictEqual(TargetSpec.hasHostnames('192.168.1.0/24'), false);
+	assert.strictEqual(TargetSpec.hasHostnames('192.168.1.0/24 router.lan'), true);
+	assert.strictEqual(TargetSpec.hasHostnames('192.168.1.0/24', { exclude: 'nas.lan/30' }), true);
+});
+
+test('resolveTargets() keeps the address targets', async () => {
+	assert.deepStrictEqual(await TargetSpec.resolveHostnames('10.0.0.1 10.0.1.0/30', { exclude: '10.0.1.1' }),
+		{ targets: ['10.0.0.1', '10.0.1.0/30'], exclude: ['10.0.1.1'] });
+	assert.deepStrictEqual(await TargetSpec.resolveTargets(['10.0.1.0/30'], { exclude: '10.0.1.1' }), ['10.0.1.0', '10.0.1.2', '10.0.1.3']);
+});
+
+test('resolveTargets() resolves the hostnames of the targets and the exclusions', async (t) => {
+	t.mock.method(Dns.promises, 'lookup', async (name) => {
+		const addresses = { 'servers.lan': ['10.0.2.1', '10.0.2.2'], 'nas.lan': ['10.0.2.2'] }[name];
+		if (!addresses) throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+		return addresses.map(address => ({ address, family: 4 }));
+	});
+	const errors = t.mock.method(console, 'error', () => {});
+	assert.deepStrictEqual(await TargetSpec.resolveTargets('servers.lan/31 unknown.lan 10.0.0.1', { exclude: 'nas.lan' }),
+		['10.0.2.0', '10.0.2.1', '10.0.2.3', '10.0.0.1']);
+	// unknown hostnames are skipped with an error message
+	assert.strictEqual(errors.mock.callCount(), 1);
+});
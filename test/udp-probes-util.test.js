@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PROBES, PROBE_NAMES } = require('../utils/udp-probes-util');
+const DnsPacket = require('../utils/dns-packet-util');
+
+function tlv(tag, content) {
+	return Buffer.concat([Buffer.from([tag, content.length]), content]);
+}
+
+test('PROBE_NAMES lists the probes', () => {
+	assert.deepStrictEqual(PROBE_NAMES, ['dns', 'ntp', 'snmp', 'netbios', 'ssdp']);
+	assert.deepStrictEqual(PROBE_NAMES.map(name => PROBES[name].port), [53, 123, 161, 137, 1900]);
+});
+
+test('dns probe reads the version.bind answer', () => {
+	const query = PROBES.dns.build({ id: 9 });
+	assert.deepStrictEqual(DnsPacket.decode(query).questions,
+		[{ name: 'version.bind', type: DnsPacket.TYPE_TXT, class: DnsPacket.CLASS_CH, unicastResponse: false }]);
+
+	const header = Buffer.from(query.slice(0, 12));
+	header.writeUInt16BE(0x8500, 2);
+	header.writeUInt16BE(1, 6);
+	const record = Buffer.from('c00c0010000300000000000d', 'hex'); // TXT CH, 13 bytes of data
+	const answer = Buffer.concat([header, query.slice(12), record, Buffer.from('\x0cdnsmasq-2.90', 'latin1')]);
+	assert.deepStrictEqual(PROBES.dns.parse(answer), { rcode: 0, version: 'dnsmasq-2.90' });
+
+	const refused = Buffer.from(query);
+	refused.writeUInt16BE(0x8505, 2);
+	assert.deepStrictEqual(PROBES.dns.parse(refused), { rcode: 5, version: null });
+	assert.strictEqual(PROBES.dns.parse(query), null);
+	assert.strictEqual(PROBES.dns.parse(Buffer.from('garbage')), null);
+});
+
+test('ntp probe reads the stratum and the reference id', () => {
+	const request = PROBES.ntp.build();
+	assert.strictEqual(request.length, 48);
+	assert.strictEqual(request[0], 0x1b);
+
+	const answer = Buffer.alloc(48);
+	answer[0] = 0x24; // version 4, mode 4 (server)
+	answer[1] = 2;
+	answer.set([192, 168, 1, 1], 12);
+	assert.deepStrictEqual(PROBES.ntp.parse(answer), { version: 4, stratum: 2, refid: '192.168.1.1' });
+
+	answer[1] = 1;
+	answer.write('GPS\0', 12, 'latin1');
+	assert.deepStrictEqual(PROBES.ntp.parse(answer), { version: 4, stratum: 1, refid: 'GPS' });
+	assert.strictEqual(PROBES.ntp.parse(request), null);
+	assert.strictEqual(PROBES.ntp.parse(Buffer.alloc(12)), null);
+});
+
+test('snmp probe reads sysDescr and sysName', () => {
+	const request = PROBES.snmp.build({ id: 300, snmpCommunity: 'private' });
+	assert.strictEqual(request[0], 0x30);
+	assert.ok(request.includes(Buffer.from('private')));
+
+	const oid = last => Buffer.from([0x2b, 6, 1, 2, 1, 1, last, 0]);
+	const varbind = (last, value) => tlv(0x30, Buffer.concat([tlv(0x06, oid(last)), value]));
+	const answer = tlv(0x30, Buffer.concat([
+		tlv(0x02, Buffer.from([1])),
+		tlv(0x04, Buffer.from('private')),
+		tlv(0xa2, Buffer.concat([
+			tlv(0x02, Buffer.from([1, 44])),
+			tlv(0x02, Buffer.from([0])),
+			tlv(0x02, Buffer.from([0])),
+			tlv(0x30, Buffer.concat([
+				varbind(1, tlv(0x04, Buffer.from('Linux nas 5.10 '))),
+				varbind(5, tlv(0x04, Buffer.from('nas\0')))
+			]))
+		]))
+	]));
+	assert.deepStrictEqual(PROBES.snmp.parse(answer), { description: 'Linux nas 5.10', name: 'nas', errorStatus: 0 });
+	assert.strictEqual(PROBES.snmp.parse(request), null);
+	assert.strictEqual(PROBES.snmp.parse(answer.slice(0, 20)), null);
+});
+
+test('netbios probe sends a node status request', () => {
+	const request = PROBES.netbios.build({ id: 5 });
+	assert.strictEqual(request.readUInt16BE(0), 5);
+	assert.strictEqual(PROBES.netbios.parse(request), null);
+});
+
+test('ssdp probe reads the M-SEARCH response headers', () => {
+	assert.match(PROBES.ssdp.build().toString(), /^M-SEARCH \* HTTP\/1\.1\r\n/);
+	const answer = Buffer.from('HTTP/1.1 200 OK\r\nServer: Linux UPnP/1.0 MiniUPnPd/2.2\r\n' +
+		'Location: http://192.168.1.1:5000/rootDesc.xml\r\nST: upnp:rootdevice\r\n\r\n');
+	assert.deepStrictEqual(PROBES.ssdp.parse(answer), {
+		server: 'Linux UPnP/1.0 MiniUPnPd/2.2',
+		location: 'http://192.168.1.1:5000/rootDesc.xml',
+		st: 'upnp:rootdevice',
+		usn: null
+	});
+	assert.strictEqual(PROBES.ssdp.parse(PROBES.ssdp.build()), null);
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Http = require('http');
+const Upnp = require('../utils/upnp-util');
+
+test('buildSearch() builds an M-SEARCH request', () => {
+	assert.strictEqual(Upnp.buildSearch({ st: 'upnp:rootdevice', mx: 2 }).toString(),
+		'M-SEARCH * HTTP/1.1\r\nHOST: 239.255.255.250:1900\r\nMAN: "ssdp:discover"\r\nMX: 2\r\nST: upnp:rootdevice\r\n\r\n');
+});
+
+test('parseSsdpMessage() reads responses, announcements and searches', () => {
+	assert.deepStrictEqual(Upnp.parseSsdpMessage(Buffer.from('HTTP/1.1 200 OK\r\nLOCATION: http://192.168.1.1:5000/rootDesc.xml\r\nUSN : uuid:42\r\n\r\n')), {
+		type: 'response',
+		headers: { location: 'http://192.168.1.1:5000/rootDesc.xml', usn: 'uuid:42' }
+	});
+	assert.deepStrictEqual(Upnp.parseSsdpMessage(Buffer.from('NOTIFY * HTTP/1.1\nNTS: ssdp:alive\n')),
+		{ type: 'notify', headers: { nts: 'ssdp:alive' } });
+	assert.strictEqual(Upnp.parseSsdpMessage(Upnp.buildSearch()).type, 'search');
+	assert.strictEqual(Upnp.parseSsdpMessage(Buffer.from('HTTP/1.1 404 Not Found\r\n\r\n')), null);
+	assert.strictEqual(Upnp.parseSsdpMessage(Buffer.from('hello')), null);
+});
+
+test('parseDescription() reads the root device and every service', () => {
+	const xml = `<?xml version="1.0"?>
+<root xmlns="urn:schemas-upnp-org:device-1-0">
+	<device>
+		<deviceType>urn:schemas-upnp-org:device:InternetGatewayDevice:1</deviceType>
+		<friendlyName>Box &amp; <![CDATA[Router]]></friendlyName>
+		<manufacturer>ACME</manufacturer>
+		<modelName>R&#49;</modelName>
+		<modelNumber></modelNumber>
+		<UDN>uuid:1234</UDN>
+		<serviceList><service><serviceType>urn:schemas-upnp-org:service:Layer3Forwarding:1</serviceType></service></serviceList>
+		<deviceList>
+			<device>
+				<friendlyName>WAN Device</friendlyName>
+				<serviceList>
+					<service><serviceType>urn:schemas-upnp-org:service:WANIPConnection:1</serviceType></service>
+					<service><serviceType>urn:schemas-upnp-org:service:Layer3Forwarding:1</serviceType></service>
+				</serviceList>
+			</device>
+		</deviceList>
+	</device>
+</root>`;
+	assert.deepStrictEqual(Upnp.parseDescription(xml), {
+		friendlyName: 'Box & Router',
+		manufacturer: 'ACME',
+		modelName: 'R1',
+		modelNumber: null,
+		deviceType: 'urn:schemas-upnp-org:device:InternetGatewayDevice:1',
+		udn: 'uuid:1234',
+		services: ['urn:schemas-upnp-org:service:Layer3Forwarding:1', 'urn:schemas-upnp-org:service:WANIPConnection:1']
+	});
+});
+
+test('isDeviceLocation() only accepts a location on the sender', () => {
+	assert.strictEqual(Upnp.isDeviceLocation('http://192.168.1.1:5000/rootDesc.xml', '192.168.1.1'), true);
+	assert.strictEqual(Upnp.isDeviceLocation('http://[fe80::1]:49152/desc.xml', 'fe80::1'), true);
+	assert.strictEqual(Upnp.isDeviceLocation('http://192.168.1.10/desc.xml', '192.168.1.1'), false);
+	assert.strictEqual(Upnp.isDeviceLocation('http://169.254.169.254/latest/meta-data', '192.168.1.1'), false);
+	assert.strictEqual(Upnp.isDeviceLocation('http://router.lan/desc.xml', '192.168.1.1'), false);
+	assert.strictEqual(Upnp.isDeviceLocation('not an url', '192.168.1.1'), false);
+});
+
+test('fetchDescription() rejects invalid locations', async () => {
+	await assert.rejects(Upnp.fetchDescription('not an url'), /Invalid UPnP location: not an url/);
+	await assert.rejects(Upnp.fetchDescription('file:///etc/passwd'), /Invalid UPnP location/);
+});
+
+test('fetchDescription() downloads and parses a description', async (t) => {
+	const server = Http.createServer((request, response) => {
+		if (request.url !== '/desc.xml') {
+			response.writeHead(404);
+			return response.end();
+		}
+		response.end('<root><device><friendlyName>NAS</friendlyName><UDN>uuid:42</UDN></device></root>');
+	});
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+	t.after(() => server.close());
+	const base = `http://127.0.0.1:${server.address().port}`;
+
+	const description = await Upnp.fetchDescription(base + '/desc.xml');
+	assert.strictEqual(description.friendlyName, 'NAS');
+	assert.strictEqual(description.udn, 'uuid:42');
+	await assert.rejects(Upnp.fetchDescription(base + '/missing.xml'), /HTTP 404/);
+});
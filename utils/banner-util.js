@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * Service banner parsing (SSH, FTP, SMTP, Telnet, MySQL greetings and HTTP responses)
+ * Used by ScannerTCP.grabBanner() : the buffer is the first bytes sent by the server.
+ *
+ * Example:
+ *   parseBanner(Buffer.from('SSH-2.0-OpenSSH_9.2p1 Debian-2\r\n'), 22)
+ *   => { service: 'ssh', banner: 'SSH-2.0-OpenSSH_9.2p1 Debian-2', product: 'OpenSSH_9.2p1 Debian-2' }
+ */
+
+// ports probed with an HTTP request (HTTP servers don't send a greeting)
+const HTTP_PORTS = [80, 81, 591, 3000, 5000, 7070, 8000, 8008, 8080, 8081, 8888, 9000];
+
+// Telnet commands (RFC 854)
+const IAC = 255;
+const SB = 250;
+const SE = 240;
+const WILL = 251;
+const DONT = 254;
+
+/**
+ * Build the minimal HTTP request sent to an HTTP port
+ * @param {string} host - Host header value
+ * @returns {string}
+ */
+function httpProbe(host) {
+	return `GET / HTTP/1.0\r\nHost: ${host}\r\nUser-Agent: lan-discovery\r\nAccept: */*\r\nConnection: close\r\n\r\n`;
+}
+
+/**
+ * Remove Telnet option negotiations (IAC sequences) from a buffer
+ * @param {Buffer} buffer
+ * @returns {{data: Buffer, negotiated: boolean}} negotiated is true when IAC sequences were found
+ */
+function stripTelnet(buffer) {
+	const bytes = [];
+	let negotiated = false;
+	for (let i = 0; i < buffer.length; i++) {
+		if (buffer[i] !== IAC) {
+			bytes.push(buffer[i]);
+			continue;
+		}
+		const command = buffer[i + 1];
+		if (command === IAC) {
+			bytes.push(IAC); // escaped 255 byte
+			i++;
+			continue;
+		}
+		negotiated = true;
+		if (command === SB) {
+			// sub-negotiation : skip up to IAC SE
+			const end = buffer.indexOf(Buffer.from([IAC, SE]), i + 2);
+			i = end === -1 ? buffer.length : end + 1;
+		} else if (command >= WILL && command <= DONT) {
+			i += 2; // IAC WILL/WONT/DO/DONT option
+		} else {
+			i += 1; // IAC command
+		}
+	}
+	return { data: Buffer.from(bytes), negotiated };
+}
+
+/**
+ * Printable text of a banner : control characters removed, lines trimmed, empty lines dropped
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function bannerText(buffer) {
+	const text = buffer.toString('latin1')
+		.replace(/[^\x20-\x7e\r\n\t]/g, '')
+		.split(/\r?\n/)
+		.map(line => line.trim())
+		.filter(line => line.length)
+		.join('\n');
+	return text.length ? text : null;
+}
+
+/**
+ * Parse a MySQL / MariaDB greeting packet (protocol 10 handshake or error packet)
+ * @param {Buffer} buffer
+ * @returns {Object|null} { service, banner, product } or null if the buffer is not a MySQL packet
+ */
+function parseMysql(buffer) {
+	if (buffer.length < 5) {
+		return null;
+	}
+	const length = buffer[0] | (buffer[1] << 8) | (buffer[2] << 16);
+	if (buffer[3] !== 0 || length + 4 < buffer.length || length < 1) {
+		return null;
+	}
+	if (buffer[4] === 10) {
+		// handshake : protocol version, then the null terminated server version
+		const end = buffer.indexOf(0, 5);
+		if (end === -1) {
+			return null;
+		}
+		const version = buffer.toString('latin1', 5, end);
+		return { service: 'mysql', banner: version, product: version };
+	}
+	if (buffer[4] === 0xff && buffer.length > 7) {
+		// error packet (ex: host not allowed to connect) : error code, optional #SQL state, message
+		let start = 7;
+		if (buffer[start] === 0x23) start += 6;
+		return { service: 'mysql', banner: bannerText(buffer.slice(start)), product: null };
+	}
+	return null;
+}
+
+/**
+ * Parse an HTTP response : status, Server header and page title
+ * @param {Buffer} buffer
+ * @returns {Object|null} { service: 'http', banner, product, http: { status, server, title } } or null if not HTTP
+ */
+function parseHttpResponse(buffer) {
+	const text = buffer.toString('latin1');
+	const statusLine = text.match(/^HTTP\/\d(?:\.\d)?\s+(\d{3})[^\r\n]*/);
+	if (!statusLine) {
+		return null;
+	}
+	const headerEnd = text.indexOf('\r\n\r\n');
+	const headers = headerEnd === -1 ? text : text.slice(0, headerEnd);
+	const serverHeader = headers.match(/^server:[ \t]*([^\r\n]*)/im);
+	const title = text.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+	const server = serverHeader ? serverHeader[1].trim() || null : null;
+	return {
+		service: 'http',
+		banner: statusLine[0].trim(),
+		product: server,
+		http: {
+			status: Number(statusLine[1]),
+			server: server,
+			title: title ? title[1].replace(/\s+/g, ' ').trim() || null : null
+		}
+	};
+}
+
+/**
+ * Identify the service from the first bytes sent by the server
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} port - Probed port (used when the banner is ambiguous, ex: "220" greetings)
+ * @returns {Object} { service, banner, product } (service and product are null when unknown)
+ */
+function parseBanner(buffer, port) {
+	if (!buffer || !buffer.length) {
+		return { service: null, banner: null, product: null };
+	}
+
+	const http = parseHttpResponse(buffer);
+	if (http) {
+		return http;
+	}
+
+	const mysql = parseMysql(buffer);
+	if (mysql) {
+		return mysql;
+	}
+
+	const telnet = stripTelnet(buffer);
+	const banner = bannerText(telnet.data);
+	if (telnet.negotiated) {
+		return { service: 'telnet', banner, product: null };
+	}
+	if (!banner) {
+		return { service: null, banner: null, product: null };
+	}
+
+	const ssh = banner.match(/^SSH-[\d.]+-([^\n]+)/);
+	if (ssh) {
+		return { service: 'ssh', banner: banner.split('\n')[0], product: ssh[1].trim() };
+	}
+
+	if (/^220[ -]/.test(banner)) {
+		// FTP and SMTP servers both greet with 220
+		const greeting = banner.split('\n')[0].replace(/^220[ -]/, '').trim();
+		let service = null;
+		if (/\bE?SMTP\b|\bmail\b/i.test(banner) || [25, 465, 587].includes(port)) {
+			service = 'smtp';
+		} else if (/\bFTP\b/i.test(banner) || [21, 2121].includes(port)) {
+			service = 'ftp';
+		}
+		return { service, banner, product: greeting || null };
+	}
+
+	return { service: port === 23 ? 'telnet' : null, banner, product: null };
+}
+
+module.exports = parseBanner;
+module.exports.parseHttpResponse = parseHttpResponse;
+module.exports.stripTelnet = stripTelnet;
+module.exports.httpProbe = httpProbe;
+module.exports.HTTP_PORTS = HTTP_PORTS;
@@ -0,0 +1,79 @@
+'use strict';
+
+const F = require('../functions');
+
+const COMPARED_FIELDS = ['ip', 'mac', 'name', 'respondsToPing'];
+
+/**
+ * Compare two device arrays (EVENT_DEVICES_INFOS results, ex: yesterday's scan and today's scan)
+ * Devices are matched by MAC address, then by IP address for devices without MAC (ex: self device).
+ *
+ * Example:
+ *   diff(before, after) => {
+ *     added: [device, ...],
+ *     removed: [device, ...],
+ *     changed: [{ before, after, changes: { ip: { from: '192.168.1.10', to: '192.168.1.12' } } }, ...]
+ *   }
+ * @param {Array} before - Devices of the first scan
+ * @param {Array} after - Devices of the second scan
+ * @returns {{added: Array, removed: Array, changed: Array}}
+ */
+function diff(before, after) {
+	if (!Array.isArray(before) || !Array.isArray(after)) {
+		throw new Error('diff() requires two arrays of devices');
+	}
+
+	const pairs = [];
+	const unmatchedBefore = new Set(before);
+	const unmatchedAfter = new Set(after);
+
+	// 1) match by MAC address
+	const beforeByMac = new Map();
+	before.forEach((device) => {
+		if (device.mac) beforeByMac.set(F.deviceKey(device), device);
+	});
+	after.forEach((device) => {
+		if (!device.mac) return;
+		const match = beforeByMac.get(F.deviceKey(device));
+		if (match && unmatchedBefore.has(match)) {
+			pairs.push([match, device]);
+			unmatchedBefore.delete(match);
+			unmatchedAfter.delete(device);
+		}
+	});
+
+	// 2) IP fallback when one of the devices has no MAC address
+	unmatchedAfter.forEach((device) => {
+		const match = Array.from(unmatchedBefore).find(candidate => candidate.ip === device.ip && (!candidate.mac || !device.mac));
+		if (match) {
+			pairs.push([match, device]);
+			unmatchedBefore.delete(match);
+			unmatchedAfter.delete(device);
+		}
+	});
+
+	const changed = [];
+	pairs.forEach(([previous, current]) => {
+		const changes = {};
+		COMPARED_FIELDS.forEach((field) => {
+			const from = previous[field] === undefined ? null : previous[field];
+			const to = current[field] === undefined ? null : current[field];
+			// MAC addresses are compared as they are matched : '04-a1-...' and '04:A1:...' are the same address
+			const same = field === 'mac' && from && to ? F.normalizeMAC(from) === F.normalizeMAC(to) : from === to;
+			if (!same) {
+				changes[field] = { from, to };
+			}
+		});
+		if (Object.keys(changes).length) {
+			changed.push({ before: previous, after: current, changes });
+		}
+	});
+
+	return {
+		added: Array.from(unmatchedAfter),
+		removed: Array.from(unmatchedBefore),
+		changed
+	};
+}
+
+module.exports = diff;
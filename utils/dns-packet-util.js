@@ -0,0 +1,276 @@
+'use strict';
+
+/**
+ * Minimal DNS packet encoder / decoder (RFC 1035), shared by the UDP DNS probe, mDNS (RFC 6762) and LLMNR (RFC 4795)
+ * Only queries are encoded, every section of a response is decoded.
+ *
+ * Example:
+ *   const query = encodeQuery({ id: 1, questions: [{ name: 'example.local', type: TYPE_A }] });
+ *   const response = decode(buffer); // { id, qr, opcode, rcode, questions, answers, authorities, additionals }
+ */
+
+const TYPE_A = 1;
+const TYPE_NS = 2;
+const TYPE_CNAME = 5;
+const TYPE_PTR = 12;
+const TYPE_TXT = 16;
+const TYPE_AAAA = 28;
+const TYPE_SRV = 33;
+const TYPE_ANY = 255;
+
+const CLASS_IN = 1;
+const CLASS_CH = 3;
+
+// mDNS uses the top bit of the class : unicast-response in questions, cache-flush in answers
+const CLASS_MASK = 0x7fff;
+const CLASS_FLAG = 0x8000;
+
+const FLAG_RECURSION_DESIRED = 0x0100;
+
+/**
+ * Encode a domain name as DNS labels
+ * @param {string} name - Domain name (ex: 'printer.local')
+ * @returns {Buffer}
+ */
+function encodeName(name) {
+	const labels = String(name).replace(/\.$/, '').split('.').filter(label => label.length);
+	const parts = [];
+	labels.forEach((label) => {
+		const bytes = Buffer.from(label, 'utf8');
+		if (bytes.length > 63) {
+			throw new Error(`Invalid DNS name: ${name}. Labels are limited to 63 bytes`);
+		}
+		parts.push(Buffer.from([bytes.length]), bytes);
+	});
+	parts.push(Buffer.from([0]));
+	return Buffer.concat(parts);
+}
+
+/**
+ * Encode a DNS query
+ * @param {Object} params - { id, flags, questions }
+ * @param {number} params.id - Transaction id (default: 0, as used by mDNS)
+ * @param {number} params.flags - Header flags (default: recursion desired)
+ * @param {Array} params.questions - [{ name, type, class, unicastResponse }] (class default: IN)
+ * @returns {Buffer}
+ */
+function encodeQuery({ id = 0, flags = FLAG_RECURSION_DESIRED, questions = [] } = {}) {
+	const header = Buffer.alloc(12);
+	header.writeUInt16BE(id & 0xffff, 0);
+	header.writeUInt16BE(flags & 0xffff, 2);
+	header.writeUInt16BE(questions.length, 4);
+
+	const parts = [header];
+	questions.forEach((question) => {
+		const footer = Buffer.alloc(4);
+		footer.writeUInt16BE(question.type, 0);
+		footer.writeUInt16BE((question.class || CLASS_IN) | (question.unicastResponse ? CLASS_FLAG : 0), 2);
+		parts.push(encodeName(question.name), footer);
+	});
+	return Buffer.concat(parts);
+}
+
+/**
+ * Format the 16 bytes of an IPv6 address (longest run of zero groups compressed)
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function formatIPv6(bytes) {
+	const groups = [];
+	for (let i = 0; i < 16; i += 2) {
+		groups.push(bytes.readUInt16BE(i).toString(16));
+	}
+	let bestStart = -1;
+	let bestLength = 1;
+	for (let i = 0; i < 8; i++) {
+		let length = 0;
+		while (i + length < 8 && groups[i + length] === '0') length++;
+		if (length > bestLength) {
+			bestStart = i;
+			bestLength = length;
+		}
+	}
+	if (bestStart === -1) {
+		return groups.join(':');
+	}
+	return groups.slice(0, bestStart).join(':') + '::' + groups.slice(bestStart + bestLength).join(':');
+}
+
+/**
+ * Decode a domain name, following compression pointers
+ * @param {Buffer} buffer - Whole packet
+ * @param {number} offset - Name position
+ * @returns {{name: string, length: number}} length is the number of bytes used at offset
+ */
+function decodeName(buffer, offset) {
+	const labels = [];
+	let position = offset;
+	let length = null;
+	let jumps = 0;
+
+	for (;;) {
+		if (position >= buffer.length) {
+			throw new Error('Invalid DNS packet: name out of bounds');
+		}
+		const size = buffer[position];
+		if (size === 0) {
+			position++;
+			break;
+		}
+		if ((size & 0xc0) === 0xc0) {
+			if (position + 1 >= buffer.length || ++jumps > 32) {
+				throw new Error('Invalid DNS packet: bad name pointer');
+			}
+			if (length === null) length = position + 2 - offset;
+			position = ((size & 0x3f) << 8) | buffer[position + 1];
+			continue;
+		}
+		if (position + 1 + size > buffer.length) {
+			throw new Error('Invalid DNS packet: label out of bounds');
+		}
+		labels.push(buffer.toString('utf8', position + 1, position + 1 + size));
+		position += 1 + size;
+	}
+
+	return { name: labels.join('.'), length: length === null ? position - offset : length };
+}
+
+/**
+ * Decode the data of a resource record
+ * @returns {*} string for A/AAAA/PTR/CNAME/NS, array of strings for TXT, object for SRV, Buffer otherwise
+ */
+function decodeRecordData(buffer, type, offset, length) {
+	const end = offset + length;
+	switch (type) {
+		case TYPE_A:
+			return Array.from(buffer.slice(offset, offset + 4)).join('.');
+		case TYPE_AAAA:
+			return formatIPv6(buffer.slice(offset, offset + 16));
+		case TYPE_PTR:
+		case TYPE_CNAME:
+		case TYPE_NS:
+			return decodeName(buffer, offset).name;
+		case TYPE_SRV:
+			return {
+				priority: buffer.readUInt16BE(offset),
+				weight: buffer.readUInt16BE(offset + 2),
+				port: buffer.readUInt16BE(offset + 4),
+				target: decodeName(buffer, offset + 6).name
+			};
+		case TYPE_TXT: {
+			const strings = [];
+			let position = offset;
+			while (position < end) {
+				const size = buffer[position];
+				strings.push(buffer.toString('utf8', position + 1, Math.min(position + 1 + size, end)));
+				position += 1 + size;
+			}
+			return strings;
+		}
+		default:
+			return buffer.slice(offset, end);
+	}
+}
+
+/**
+ * Decode a DNS packet
+ * @param {Buffer} buffer
+ * @returns {Object} { id, flags, qr, opcode, aa, rcode, questions, answers, authorities, additionals },
+ *   records are { name, type, class, cacheFlush, ttl, data }
+ */
+function decode(buffer) {
+	if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+		throw new Error('Invalid DNS packet: too short');
+	}
+	const flags = buffer.readUInt16BE(2);
+	const counts = [4, 6, 8, 10].map(position => buffer.readUInt16BE(position));
+	let offset = 12;
+
+	const questions = [];
+	for (let i = 0; i < counts[0]; i++) {
+		const { name, length } = decodeName(buffer, offset);
+		offset += length;
+		if (offset + 4 > buffer.length) {
+			throw new Error('Invalid DNS packet: question out of bounds');
+		}
+		const qclass = buffer.readUInt16BE(offset + 2);
+		questions.push({
+			name,
+			type: buffer.readUInt16BE(offset),
+			class: qclass & CLASS_MASK,
+			unicastResponse: (qclass & CLASS_FLAG) !== 0
+		});
+		offset += 4;
+	}
+
+	const readRecords = (count) => {
+		const records = [];
+		for (let i = 0; i < count; i++) {
+			const { name, length } = decodeName(buffer, offset);
+			offset += length;
+			if (offset + 10 > buffer.length) {
+				throw new Error('Invalid DNS packet: record out of bounds');
+			}
+			const type = buffer.readUInt16BE(offset);
+			const rclass = buffer.readUInt16BE(offset + 2);
+			const ttl = buffer.readUInt32BE(offset + 4);
+			const dataLength = buffer.readUInt16BE(offset + 8);
+			offset += 10;
+			if (offset + dataLength > buffer.length) {
+				throw new Error('Invalid DNS packet: record data out of bounds');
+			}
+			records.push({
+				name,
+				type,
+				class: rclass & CLASS_MASK,
+				cacheFlush: (rclass & CLASS_FLAG) !== 0,
+				ttl,
+				data: decodeRecordData(buffer, type, offset, dataLength)
+			});
+			offset += dataLength;
+		}
+		return records;
+	};
+
+	const answers = readRecords(counts[1]);
+	const authorities = readRecords(counts[2]);
+	const additionals = readRecords(counts[3]);
+
+	return {
+		id: buffer.readUInt16BE(0),
+		flags,
+		qr: (flags & 0x8000) !== 0,
+		opcode: (flags >> 11) & 0xf,
+		aa: (flags & 0x0400) !== 0,
+		rcode: flags & 0xf,
+		questions,
+		answers,
+		authorities,
+		additionals
+	};
+}
+
+/**
+ * Reverse lookup name of an IP address (ex: '192.168.1.10' => '10.1.168.192.in-addr.arpa')
+ * @param {string} ip - IPv4 address
+ * @returns {string}
+ */
+function reverseName(ip) {
+	return ip.split('.').reverse().join('.') + '.in-addr.arpa';
+}
+
+module.exports.encodeQuery = encodeQuery;
+module.exports.encodeName = encodeName;
+module.exports.decode = decode;
+module.exports.decodeName = decodeName;
+module.exports.reverseName = reverseName;
+module.exports.TYPE_A = TYPE_A;
+module.exports.TYPE_NS = TYPE_NS;
+module.exports.TYPE_CNAME = TYPE_CNAME;
+module.exports.TYPE_PTR = TYPE_PTR;
+module.exports.TYPE_TXT = TYPE_TXT;
+module.exports.TYPE_AAAA = TYPE_AAAA;
+module.exports.TYPE_SRV = TYPE_SRV;
+module.exports.TYPE_ANY = TYPE_ANY;
+module.exports.CLASS_IN = CLASS_IN;
+module.exports.CLASS_CH = CLASS_CH;
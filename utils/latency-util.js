@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Latency and packet loss measurement with the shared net-ping sessions
+ * The probes go round-robin over the hosts (first probe of every host, then the second one...),
+ * two probes are spaced by interval whatever their host, as the pings of startScan() :
+ * the probes of one host are hosts.length * interval apart.
+ *
+ * Example:
+ *   await measure(['192.168.1.20'], { count: 4, interval: 1000 })
+ *   => [{ ip: '192.168.1.20', sent: 4, received: 3, lossPercent: 25, minMS: 1.8, avgMS: 12.4, maxMS: 31.2, jitterMS: 14.7,
+ *         probes: [{ seq: 1, rttMS: 1.8, ttl: 64, replyFrom: '192.168.1.20', error: null }, ...] }]
+ */
+const PingSession = require('./ping-session-util');
+
+/**
+ * Round a duration to the microsecond
+ * @param {number} ms
+ * @returns {number}
+ */
+function roundMS(ms) {
+	return Math.round(ms * 1000) / 1000;
+}
+
+/**
+ * Compute the statistics of a host
+ * jitterMS is the mean difference between the round-trip times of two consecutive replies (null under 2 replies)
+ * @param {string} ip
+ * @param {Array} probes - [{ seq, rttMS, ttl, replyFrom, error }]
+ * @returns {Object} { ip, sent, received, lossPercent, minMS, avgMS, maxMS, jitterMS, probes }, the times are null without reply
+ */
+function hostStats(ip, probes) {
+	const rtts = probes.filter(probe => !probe.error).map(probe => probe.rttMS);
+	let jitterMS = null;
+	if (rtts.length > 1) {
+		let total = 0;
+		for (let i = 1; i < rtts.length; i++) {
+			total += Math.abs(rtts[i] - rtts[i - 1]);
+		}
+		jitterMS = roundMS(total / (rtts.length - 1));
+	}
+	return {
+		ip,
+		sent: probes.length,
+		received: rtts.length,
+		lossPercent: probes.length ? Math.round((probes.length - rtts.length) / probes.length * 10000) / 100 : 0,
+		minMS: rtts.length ? Math.min(...rtts) : null,
+		avgMS: rtts.length ? roundMS(rtts.reduce((sum, rtt) => sum + rtt, 0) / rtts.length) : null,
+		maxMS: rtts.length ? Math.max(...rtts) : null,
+		jitterMS,
+		probes
+	};
+}
+
+/**
+ * Measure the latency and the packet loss of hosts
+ * @param {Array<string>} ips - Valid IPv4 addresses
+ * @param {Object} options - { count, interval, timeout, rateLimiter }
+ * @param {number} options.count - Probes per host (default: 4)
+ * @param {number} options.interval - Delay between two probes in milliseconds, whatever their host (default: 1000)
+ * @param {number} options.timeout - Reply timeout of a probe in milliseconds (default: 1000)
+ * @param {Object} options.rateLimiter - Optional rate limiter shared by the scans, one token per probe
+ * @returns {Promise<Array>} hostStats() of each host, in the ips order
+ */
+async function measure(ips, { count = 4, interval = 1000, timeout = 1000, rateLimiter = null } = {}) {
+	if (!(Number.isInteger(count) && count > 0)) {
+		throw new Error(`Invalid count: ${count}. Please choose an integer greater than 0`);
+	}
+	if (!(typeof interval === 'number' && interval >= 0)) {
+		throw new Error(`Invalid interval: ${interval}. Please choose a number of milliseconds`);
+	}
+	if (!(Number.isInteger(timeout) && timeout > 0)) {
+		throw new Error(`Invalid timeout: ${timeout}. Please choose an integer greater than 0`);
+	}
+
+	const ping = PingSession.acquire({ timeout, retries: 0 });
+	const probes = ips.map(() => []);
+	const replies = [];
+	let lastSent = 0;
+	try {
+		for (let seq = 1; seq <= count; seq++) {
+			for (let i = 0; i < ips.length; i++) {
+				const delay = lastSent + interval - Date.now();
+				if (lastSent && delay > 0) {
+					await new Promise(resolve => setTimeout(resolve, delay));
+				}
+				if (rateLimiter) {
+					await rateLimiter.take();
+				}
+				lastSent = Date.now();
+				let replied;
+				replies.push(new Promise(resolve => { replied = resolve; }));
+				// called out of the promise : a ping error (raw socket rights) stops the measure
+				ping.ping(ips[i], (error, reply) => {
+					probes[i][seq - 1] = { seq, rttMS: reply.rttMS, ttl: reply.ttl, replyFrom: reply.replyFrom, error: error ? error.message : null };
+					replied();
+				});
+			}
+		}
+		await Promise.all(replies);
+	} finally {
+		ping.release();
+	}
+	return ips.map((ip, i) => hostStats(ip, probes[i]));
+}
+
+module.exports.hostStats = hostStats;
+module.exports.measure = measure;
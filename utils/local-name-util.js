@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Reverse name lookups answered by the device itself, without DNS server :
+ * - mDNS (RFC 6762) : unicast query to UDP 5353, answered by Bonjour / Avahi (Apple devices, Linux, printers...)
+ * - LLMNR (RFC 4795) : unicast query to UDP 5355, answered by Windows and systemd-resolved hosts
+ *
+ * Example:
+ *   await mdnsReverseLookup('192.168.1.30') => 'macbook.local'
+ *   await llmnrReverseLookup('192.168.1.20') => 'DESKTOP-42'
+ */
+const Dgram = require('dgram');
+const DnsPacket = require('./dns-packet-util');
+
+const MDNS_PORT = 5353;
+const LLMNR_PORT = 5355;
+
+/**
+ * Send a PTR query for the reverse name of ip to ip:port and wait for the first answer
+ * @param {string} ip - IPv4 address
+ * @param {number} port - Destination port
+ * @param {number} timeout - Answer timeout in milliseconds
+ * @returns {Promise<string|null>} first PTR name, null without answer
+ */
+function unicastReverseLookup(ip, port, timeout) {
+	return new Promise((resolve) => {
+		const socket = Dgram.createSocket('udp4');
+		const id = Math.floor(Math.random() * 0xffff);
+		const reverseName = DnsPacket.reverseName(ip);
+		let done = false;
+		const finish = (name) => {
+			if (done) return;
+			done = true;
+			clearTimeout(timer);
+			socket.close();
+			resolve(name);
+		};
+		const timer = setTimeout(() => finish(null), timeout);
+
+		socket.on('message', (buffer, rinfo) => {
+			if (rinfo.address !== ip) return;
+			let packet;
+			try {
+				packet = DnsPacket.decode(buffer);
+			} catch (error) {
+				return;
+			}
+			if (!packet.qr || packet.id !== id) return;
+			const ptr = packet.answers.find(record =>
+				record.type === DnsPacket.TYPE_PTR && record.name.toLowerCase() === reverseName);
+			finish(ptr ? ptr.data : null);
+		});
+		socket.on('error', () => finish(null));
+
+		const query = DnsPacket.encodeQuery({ id, flags: 0, questions: [{ name: reverseName, type: DnsPacket.TYPE_PTR }] });
+		socket.send(query, port, ip, (error) => {
+			if (error) finish(null);
+		});
+	});
+}
+
+/**
+ * Get the mDNS hostname of a device (ex: 'macbook.local')
+ * @param {string} ip - IPv4 address
+ * @param {Object} options - { timeout }
+ * @param {number} options.timeout - Answer timeout in milliseconds (default: 1000)
+ * @returns {Promise<string|null>}
+ */
+function mdnsReverseLookup(ip, { timeout = 1000 } = {}) {
+	return unicastReverseLookup(ip, MDNS_PORT, timeout);
+}
+
+/**
+ * Get the LLMNR hostname of a device (ex: 'DESKTOP-42')
+ * @param {string} ip - IPv4 address
+ * @param {Object} options - { timeout }
+ * @param {number} options.timeout - Answer timeout in milliseconds (default: 1000)
+ * @returns {Promise<string|null>}
+ */
+function llmnrReverseLookup(ip, { timeout = 1000 } = {}) {
+	return unicastReverseLookup(ip, LLMNR_PORT, timeout);
+}
+
+module.exports.mdnsReverseLookup = mdnsReverseLookup;
+module.exports.llmnrReverseLookup = llmnrReverseLookup;
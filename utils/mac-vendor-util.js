@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * MAC address vendor lookup with the bundled IEEE database (data/oui.txt, see scripts/update-oui.js)
+ * The most specific assignment wins : MA-S (36 bits), MA-M (28 bits), then MA-L (24 bits).
+ *
+ * Example:
+ *   lookup('5C:47:5E:8C:0A:C2') => 'Ring LLC'
+ *   isRandomizedMac('16:E2:7F:58:60:22') => true (locally administered address)
+ */
+const Fs = require('fs');
+const Path = require('path');
+
+const DATABASE_FILE = Path.join(__dirname, '..', 'data', 'oui.txt');
+const PREFIX_LENGTHS = [9, 7, 6];
+
+let vendors = null;
+
+/**
+ * Load the database (once, on first lookup)
+ * @returns {Map} prefix (hexadecimal, upper case) => vendor name
+ */
+function loadDatabase() {
+	if (vendors === null) {
+		vendors = new Map();
+		Fs.readFileSync(DATABASE_FILE, 'utf8').split('\n').forEach((line) => {
+			const separator = line.indexOf('\t');
+			if (separator > 0 && line[0] !== '#') {
+				vendors.set(line.slice(0, separator), line.slice(separator + 1).trim());
+			}
+		});
+	}
+	return vendors;
+}
+
+/**
+ * Get the hexadecimal digits of a MAC address
+ * @param {string} mac - '5C:47:5E:8C:0A:C2', '5c-47-5e-8c-0a-c2'...
+ * @returns {string} 12 upper case digits
+ */
+function macDigits(mac) {
+	return mac.replace(/[:-]/g, '').toUpperCase();
+}
+
+/**
+ * Get the vendor of a MAC address
+ * @param {string} mac - Valid MAC address
+ * @returns {string|null} organization name, null when the prefix is not assigned (randomized MACs for example)
+ */
+function lookup(mac) {
+	const digits = macDigits(mac);
+	const database = loadDatabase();
+	for (const length of PREFIX_LENGTHS) {
+		const vendor = database.get(digits.slice(0, length));
+		if (vendor) return vendor;
+	}
+	return null;
+}
+
+/**
+ * Check if a MAC address is locally administered (U/L bit of the first octet)
+ * Phones and computers use such random addresses for privacy (per network or rotating), virtual machines and containers too.
+ * @param {string} mac - Valid MAC address
+ * @returns {boolean}
+ */
+function isRandomizedMac(mac) {
+	return (parseInt(macDigits(mac).slice(0, 2), 16) & 0x02) !== 0;
+}
+
+module.exports.lookup = lookup;
+module.exports.isRandomizedMac = isRandomizedMac;
@@ -0,0 +1,353 @@
+'use strict';
+
+/**
+ * Neighbor table of the operating system : ARP cache (IPv4) or NDP cache (IPv6)
+ * - Linux : `ip -4 neigh show` (/proc/net/arp when iproute2 is not installed), `ip -6 neigh show`
+ * - macOS : `arp -an`, `ndp -an`
+ * - Windows : `arp -a`, `netsh interface ipv6 show neighbors`
+ *
+ * Each entry is { ip, mac, interface, state, type } :
+ * - mac is null for the unresolved entries (state INCOMPLETE)
+ * - state is REACHABLE, STALE, INCOMPLETE, PERMANENT or null when the system doesn't report it
+ *   (/proc/net/arp, macOS and Windows IPv4 tables only tell the incomplete and permanent entries)
+ * - type is 'static' (added by hand or by the system, never expires) or 'dynamic' (learned with ARP)
+ *
+ * Example:
+ *   await read() => [{ ip: '192.168.1.1', mac: '04:A1:51:1B:12:92', interface: 'eth0', state: 'REACHABLE', type: 'dynamic' }, ...]
+ *   await read({ family: 6 }) => [{ ip: 'fe80::6a1:51ff:fe1b:1292', mac: '04:A1:51:1B:12:92', interface: 'eth0', state: 'STALE', type: 'dynamic' }, ...]
+ */
+const Os = require('os');
+const Fs = require('fs');
+const Net = require('net');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+const execAsync = promisify(exec);
+
+const STATE_REACHABLE = 'REACHABLE';
+const STATE_STALE = 'STALE';
+const STATE_INCOMPLETE = 'INCOMPLETE';
+const STATE_PERMANENT = 'PERMANENT';
+
+const TYPE_STATIC = 'static';
+const TYPE_DYNAMIC = 'dynamic';
+
+// `ip neigh` states (NUD_*) => entry state
+const IP_NEIGH_STATES = {
+	REACHABLE: STATE_REACHABLE,
+	STALE: STATE_STALE,
+	DELAY: STATE_STALE, // stale entry being confirmed
+	PROBE: STATE_STALE,
+	INCOMPLETE: STATE_INCOMPLETE,
+	FAILED: STATE_INCOMPLETE,
+	PERMANENT: STATE_PERMANENT,
+	NOARP: STATE_PERMANENT
+};
+
+// `ndp -an` states (macOS / BSD "St" column) => entry state
+const NDP_STATES = {
+	R: STATE_REACHABLE,
+	S: STATE_STALE,
+	D: STATE_STALE,
+	P: STATE_STALE,
+	I: STATE_INCOMPLETE
+};
+
+// `netsh interface ipv6 show neighbors` types => entry state
+const NETSH_STATES = {
+	reachable: STATE_REACHABLE,
+	stale: STATE_STALE,
+	delay: STATE_STALE,
+	probe: STATE_STALE,
+	incomplete: STATE_INCOMPLETE,
+	unreachable: STATE_INCOMPLETE,
+	permanent: STATE_PERMANENT
+};
+
+// /proc/net/arp flags
+const ATF_COM = 0x02;
+const ATF_PERM = 0x04;
+
+/**
+ * Normalize a MAC address ('0:11:22:3:44:55', '00-11-22-03-44-55'...) to upper case colon notation
+ * @param {string} mac
+ * @returns {string|null} null for an invalid or null address (00:00:00:00:00:00)
+ */
+function normalizeMac(mac) {
+	const octets = String(mac).split(/[:-]/);
+	if (octets.length !== 6 || !octets.every(octet => /^[0-9A-Fa-f]{1,2}$/.test(octet))) {
+		return null;
+	}
+	const normalized = octets.map(octet => octet.padStart(2, '0').toUpperCase()).join(':');
+	return normalized === '00:00:00:00:00:00' ? null : normalized;
+}
+
+function isIPv4(ip) {
+	return Net.isIPv4(ip);
+}
+
+/**
+ * Parse the output of `ip neigh show`
+ * Example: "192.168.1.1 dev eth0 lladdr 04:a1:51:1b:12:92 router REACHABLE"
+ *          "fe80::6a1:51ff:fe1b:1292 dev eth0 lladdr 04:a1:51:1b:12:92 router STALE"
+ * @param {string} stdout
+ * @param {number} family - 4 or 6 : entries of the other family are ignored (default: 4)
+ * @returns {Array} entries
+ */
+function parseIpNeigh(stdout, family = 4) {
+	const entries = [];
+	stdout.split('\n').forEach((line) => {
+		const words = line.trim().split(/\s+/);
+		if (Net.isIP(words[0]) !== family) return;
+		const device = words.indexOf('dev');
+		const lladdr = words.indexOf('lladdr');
+		const states = words.filter(word => IP_NEIGH_STATES[word]);
+		const state = states.length ? IP_NEIGH_STATES[states[states.length - 1]] : null;
+		entries.push({
+			ip: words[0],
+			mac: lladdr >= 0 ? normalizeMac(words[lladdr + 1]) : null,
+			interface: device >= 0 ? words[device + 1] : null,
+			state,
+			type: state === STATE_PERMANENT ? TYPE_STATIC : TYPE_DYNAMIC
+		});
+	});
+	return entries;
+}
+
+/**
+ * Parse /proc/net/arp
+ * Example: "192.168.1.1      0x1         0x2         04:a1:51:1b:12:92     *        eth0"
+ * @param {string} content
+ * @returns {Array} entries
+ */
+function parseProcArp(content) {
+	const entries = [];
+	content.split('\n').slice(1).forEach((line) => {
+		const [ip, , flags, mac, , device] = line.trim().split(/\s+/);
+		if (!isIPv4(ip)) return;
+		const value = parseInt(flags, 16) || 0;
+		let state = null;
+		if (value & ATF_PERM) {
+			state = STATE_PERMANENT;
+		} else if (!(value & ATF_COM)) {
+			state = STATE_INCOMPLETE;
+		}
+		entries.push({
+			ip,
+			mac: state === STATE_INCOMPLETE ? null : normalizeMac(mac),
+			interface: device || null,
+			state,
+			type: state === STATE_PERMANENT ? TYPE_STATIC : TYPE_DYNAMIC
+		});
+	});
+	return entries;
+}
+
+/**
+ * Parse the output of `arp -an` (macOS, BSD)
+ * Example: "? (192.168.1.1) at 4:a1:51:1b:12:92 on en0 ifscope [ethernet]"
+ *          "? (192.168.1.7) at (incomplete) on en0 ifscope [ethernet]"
+ *          "? (224.0.0.251) at 1:0:5e:0:0:fb on en0 ifscope permanent [ethernet]"
+ * @param {string} stdout
+ * @returns {Array} entries
+ */
+function parseArpBsd(stdout) {
+	const entries = [];
+	stdout.split('\n').forEach((line) => {
+		const match = line.match(/\((\d{1,3}(?:\.\d{1,3}){3})\) at (\S+)(?: on (\S+))?(.*)$/);
+		if (!match) return;
+		const mac = normalizeMac(match[2]);
+		const permanent = /\bpermanent\b/.test(match[4]);
+		let state = null;
+		if (permanent) {
+			state = STATE_PERMANENT;
+		} else if (mac === null) {
+			state = STATE_INCOMPLETE;
+		}
+		entries.push({
+			ip: match[1],
+			mac,
+			interface: match[3] || null,
+			state,
+			type: permanent ? TYPE_STATIC : TYPE_DYNAMIC
+		});
+	});
+	return entries;
+}
+
+/**
+ * Parse the output of `arp -a` (Windows)
+ * The entries are grouped by interface, identified by its IP address : the interface name is taken from os.networkInterfaces().
+ * Example:
+ *   Interface: 192.168.1.10 --- 0x2
+ *     Internet Address      Physical Address      Type
+ *     192.168.1.1           04-a1-51-1b-12-92     dynamic
+ *     192.168.1.255         ff-ff-ff-ff-ff-ff     static
+ * @param {string} stdout
+ * @returns {Array} entries
+ */
+function parseArpWindows(stdout) {
+	const entries = [];
+	let device = null;
+	stdout.split('\n').forEach((line) => {
+		// interface header, translated : "Interface: 192.168.1.10 --- 0x2", "Interface : 192.168.1.10 --- 0x2"...
+		const header = line.match(/(\d{1,3}(?:\.\d{1,3}){3})\s+---\s+0x[0-9a-f]+/i);
+		if (header) {
+			device = interfaceName(header[1]);
+			return;
+		}
+		const words = line.trim().split(/\s+/);
+		if (!isIPv4(words[0]) || words.length < 3) return;
+		const mac = normalizeMac(words[1]);
+		// the type column is translated ('static', 'statique', 'statisch'...)
+		const type = /^stat/i.test(words[2]) ? TYPE_STATIC : TYPE_DYNAMIC;
+		let state = null;
+		if (type === TYPE_STATIC) {
+			state = STATE_PERMANENT;
+		} else if (mac === null) {
+			state = STATE_INCOMPLETE;
+		}
+		entries.push({ ip: words[0], mac, interface: device, state, type });
+	});
+	return entries;
+}
+
+/**
+ * Parse the output of `ndp -an` (macOS, BSD)
+ * Example:
+ *   Neighbor                        Linklayer Address  Netif Expire    St Flgs Prbs
+ *   fe80::1%en0                     4:a1:51:1b:12:92     en0 23h59m58s S  R
+ *   fe80::aede:48ff:fe00:1122%en0   ac:de:48:0:11:22     en0 permanent R
+ * @param {string} stdout
+ * @returns {Array} entries
+ */
+function parseNdp(stdout) {
+	const entries = [];
+	stdout.split('\n').forEach((line) => {
+		const words = line.trim().split(/\s+/);
+		const ip = (words[0] || '').split('%')[0];
+		if (!Net.isIPv6(ip) || words.length < 5) return;
+		const permanent = words[3] === 'permanent';
+		const mac = normalizeMac(words[1]);
+		let state = NDP_STATES[words[4]] || null;
+		if (permanent) {
+			state = STATE_PERMANENT;
+		} else if (mac === null) {
+			state = STATE_INCOMPLETE;
+		}
+		entries.push({
+			ip,
+			mac,
+			interface: words[2],
+			state,
+			type: permanent ? TYPE_STATIC : TYPE_DYNAMIC
+		});
+	});
+	return entries;
+}
+
+/**
+ * Parse the output of `netsh interface ipv6 show neighbors` (Windows)
+ * Example:
+ *   Interface 12: Ethernet
+ *
+ *   Internet Address                              Physical Address   Type
+ *   --------------------------------------------  -----------------  -----------
+ *   fe80::6a1:51ff:fe1b:1292                      04-a1-51-1b-12-92  Reachable (Router)
+ *   ff02::1                                       33-33-00-00-00-01  Permanent
+ * @param {string} stdout
+ * @returns {Array} entries
+ */
+function parseNetshNeighbors(stdout) {
+	const entries = [];
+	let device = null;
+	stdout.split('\n').forEach((line) => {
+		const words = line.trim().split(/\s+/);
+		if (!Net.isIPv6(words[0])) {
+			// interface header, translated : "Interface 12: Ethernet", "Interface 12 : Ethernet"...
+			const header = line.match(/^\s*\S+\s+\d+\s*:\s*(.+?)\s*$/);
+			if (header) device = header[1];
+			return;
+		}
+		// the physical address column can be empty
+		const hasMac = /^[0-9a-f]{2}(-[0-9a-f]{2}){5}$/i.test(words[1]);
+		const mac = hasMac ? normalizeMac(words[1]) : null;
+		const typeWord = (hasMac ? words[2] : words[1]) || '';
+		let state = NETSH_STATES[typeWord.toLowerCase()] || null;
+		if (state === null && mac === null) {
+			state = STATE_INCOMPLETE;
+		}
+		entries.push({
+			ip: words[0],
+			mac: state === STATE_INCOMPLETE ? null : mac,
+			interface: device,
+			state,
+			type: state === STATE_PERMANENT ? TYPE_STATIC : TYPE_DYNAMIC
+		});
+	});
+	return entries;
+}
+
+/**
+ * Get the name of the interface having this IP address
+ * @param {string} address
+ * @returns {string} interface name, the address itself if not found
+ */
+function interfaceName(address) {
+	const interfaces = Os.networkInterfaces();
+	const name = Object.keys(interfaces).find(key => interfaces[key].some(info => info.address === address));
+	return name || address;
+}
+
+/**
+ * Read the neighbor table of the system
+ * @param {Object} options - { family, platform }
+ * @param {number} options.family - 4 (ARP cache) or 6 (NDP cache), default: 4
+ * @param {string} options.platform - Operating system (default: os.platform())
+ * @returns {Promise<Array>} entries { ip, mac, interface, state, type }
+ */
+async function read({ family = 4, platform = Os.platform() } = {}) {
+	if (family !== 4 && family !== 6) {
+		throw new Error(`Invalid address family: ${family}. Please choose 4 or 6`);
+	}
+	if (platform === 'win32') {
+		if (family === 6) {
+			const { stdout } = await execAsync('netsh interface ipv6 show neighbors');
+			return parseNetshNeighbors(stdout);
+		}
+		const { stdout } = await execAsync('arp -a');
+		return parseArpWindows(stdout);
+	}
+	if (platform === 'darwin' || platform === 'freebsd' || platform === 'openbsd') {
+		const { stdout } = await execAsync(family === 6 ? 'ndp -an' : 'arp -an');
+		return family === 6 ? parseNdp(stdout) : parseArpBsd(stdout);
+	}
+	if (platform === 'linux') {
+		if (family === 6) {
+			const { stdout } = await execAsync('ip -6 neigh show');
+			return parseIpNeigh(stdout, 6);
+		}
+		try {
+			const { stdout } = await execAsync('ip -4 neigh show');
+			return parseIpNeigh(stdout);
+		} catch (error) {
+			// iproute2 not installed
+			return parseProcArp(await Fs.promises.readFile('/proc/net/arp', 'utf8'));
+		}
+	}
+	throw new Error(`Unsupported platform: ${platform}`);
+}
+
+module.exports.read = read;
+module.exports.parseIpNeigh = parseIpNeigh;
+module.exports.parseProcArp = parseProcArp;
+module.exports.parseArpBsd = parseArpBsd;
+module.exports.parseArpWindows = parseArpWindows;
+module.exports.parseNdp = parseNdp;
+module.exports.parseNetshNeighbors = parseNetshNeighbors;
+module.exports.STATE_REACHABLE = STATE_REACHABLE;
+module.exports.STATE_STALE = STATE_STALE;
+module.exports.STATE_INCOMPLETE = STATE_INCOMPLETE;
+module.exports.STATE_PERMANENT = STATE_PERMANENT;
+module.exports.TYPE_STATIC = TYPE_STATIC;
+module.exports.TYPE_DYNAMIC = TYPE_DYNAMIC;
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * NetBIOS name service packets (RFC 1002) : node status request (NBSTAT) on UDP port 137
+ * A node status response lists the NetBIOS names registered by the host and its MAC address.
+ *
+ * Example:
+ *   await nodeStatus('192.168.1.20') => { name: 'DESKTOP-42', workgroup: 'WORKGROUP', mac: '00:15:5D:01:02:03', names: [...] }
+ */
+const Dgram = require('dgram');
+
+const NETBIOS_PORT = 137;
+
+const TYPE_NBSTAT = 0x21;
+const CLASS_IN = 0x01;
+
+// name suffixes (16th byte of the name)
+const SUFFIX_WORKSTATION = 0x00;
+const SUFFIX_SERVER = 0x20;
+
+const GROUP_FLAG = 0x8000;
+
+/**
+ * First-level encoding of a NetBIOS name (RFC 1001 14.1) : each half-byte becomes a letter 'A' + value
+ * @param {string} name - NetBIOS name ('*' for a node status request)
+ * @returns {Buffer} 34 bytes : length, 32 encoded bytes, end of name
+ */
+function encodeName(name) {
+	const raw = Buffer.alloc(16, name === '*' ? 0 : 0x20);
+	raw.write(name.toUpperCase().slice(0, 15), 0, 'latin1');
+	const encoded = Buffer.alloc(34);
+	encoded[0] = 32;
+	for (let i = 0; i < 16; i++) {
+		encoded[1 + i * 2] = 0x41 + (raw[i] >> 4);
+		encoded[2 + i * 2] = 0x41 + (raw[i] & 0x0f);
+	}
+	encoded[33] = 0;
+	return encoded;
+}
+
+/**
+ * Build a node status request (wildcard name '*')
+ * @param {number} id - Transaction id
+ * @returns {Buffer}
+ */
+function encodeNodeStatusRequest(id = 0) {
+	const header = Buffer.alloc(12);
+	header.writeUInt16BE(id & 0xffff, 0);
+	header.writeUInt16BE(1, 4); // one question
+	const footer = Buffer.alloc(4);
+	footer.writeUInt16BE(TYPE_NBSTAT, 0);
+	footer.writeUInt16BE(CLASS_IN, 2);
+	return Buffer.concat([header, encodeName('*'), footer]);
+}
+
+/**
+ * Parse a node status response
+ * @param {Buffer} buffer
+ * @returns {Object|null} { id, name, workgroup, mac, names: [{ name, suffix, group }] }, null if not a node status response.
+ *   name is the computer name (unique name, suffix 0x00), workgroup the domain / workgroup (group name, suffix 0x00),
+ *   mac is null when the host doesn't send it (Samba sends 00:00:00:00:00:00)
+ */
+function parseNodeStatusResponse(buffer) {
+	if (!Buffer.isBuffer(buffer) || buffer.length < 12 || !(buffer[2] & 0x80)) {
+		return null;
+	}
+	let offset = 12;
+	// skip the answer name : labels or compression pointer
+	while (offset < buffer.length && buffer[offset] !== 0) {
+		if ((buffer[offset] & 0xc0) === 0xc0) {
+			offset++;
+			break;
+		}
+		offset += 1 + buffer[offset];
+	}
+	offset++;
+	if (offset + 11 > buffer.length || buffer.readUInt16BE(offset) !== TYPE_NBSTAT) {
+		return null;
+	}
+	offset += 10; // type, class, ttl, rdlength
+	const count = buffer[offset++];
+	if (offset + count * 18 > buffer.length) {
+		return null;
+	}
+
+	const names = [];
+	for (let i = 0; i < count; i++) {
+		const position = offset + i * 18;
+		names.push({
+			name: buffer.toString('latin1', position, position + 15).replace(/[\s\0]+$/, ''),
+			suffix: buffer[position + 15],
+			group: (buffer.readUInt16BE(position + 16) & GROUP_FLAG) !== 0
+		});
+	}
+	offset += count * 18;
+
+	let mac = null;
+	if (offset + 6 <= buffer.length) {
+		const bytes = buffer.slice(offset, offset + 6);
+		if (bytes.some(byte => byte !== 0)) {
+			mac = Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join(':').toUpperCase();
+		}
+	}
+
+	const computer = names.find(entry => !entry.group && entry.suffix === SUFFIX_WORKSTATION)
+		|| names.find(entry => !entry.group && entry.suffix === SUFFIX_SERVER);
+	const workgroup = names.find(entry => entry.group && entry.suffix === SUFFIX_WORKSTATION);
+
+	return {
+		id: buffer.readUInt16BE(0),
+		name: computer ? computer.name : null,
+		workgroup: workgroup ? workgroup.name : null,
+		mac,
+		names
+	};
+}
+
+/**
+ * Query the NetBIOS node status of a host (Windows computers, Samba servers)
+ * @param {string} ip - IPv4 address
+ * @param {Object} options - { timeout }
+ * @param {number} options.timeout - Answer timeout in milliseconds (default: 1000)
+ * @returns {Promise<Object|null>} { name, workgroup, mac, names } (see parseNodeStatusResponse), null without answer
+ */
+function nodeStatus(ip, { timeout = 1000 } = {}) {
+	return new Promise((resolve) => {
+		const socket = Dgram.createSocket('udp4');
+		const id = Math.floor(Math.random() * 0xffff);
+		let done = false;
+		const finish = (result) => {
+			if (done) return;
+			done = true;
+			clearTimeout(timer);
+			socket.close();
+			resolve(result);
+		};
+		const timer = setTimeout(() => finish(null), timeout);
+
+		socket.on('message', (buffer, rinfo) => {
+			if (rinfo.address !== ip) return;
+			const status = parseNodeStatusResponse(buffer);
+			if (status && status.id === id) {
+				finish(status);
+			}
+		});
+		socket.on('error', () => finish(null));
+		socket.send(encodeNodeStatusRequest(id), NETBIOS_PORT, ip, (error) => {
+			if (error) finish(null);
+		});
+	});
+}
+
+module.exports.nodeStatus = nodeStatus;
+module.exports.encodeNodeStatusRequest = encodeNodeStatusRequest;
+module.exports.parseNodeStatusResponse = parseNodeStatusResponse;
+module.exports.NETBIOS_PORT = NETBIOS_PORT;
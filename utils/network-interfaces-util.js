@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Network interfaces of this host, classified by type, with all their addresses and subnets
+ * Types : physical, wireless, virtual, docker, vpn, loopback
+ * (interface names first, then on Linux /sys/class/net : wireless directory, tun device, missing hardware device)
+ *
+ * Example:
+ *   listInterfaces() => [{ name: 'wlan0', type: 'wireless', mac: '3C:22:FB:01:02:03', internal: false,
+ *     addresses: [{ address: '192.168.1.10', family: 'IPv4', netmask: '255.255.255.0', cidr: '192.168.1.10/24', subnet: '192.168.1.0/24' }, ...] }, ...]
+ *   interfaceSubnets(['eth0', 'wlan0']) => [{ interface: 'eth0', family: 'IPv4', address: '192.168.1.10', cidr: '192.168.1.10/24', subnet: '192.168.1.0/24' }, ...]
+ */
+const Os = require('os');
+const Fs = require('fs');
+const IpAddr = require('ipaddr.js');
+
+const INTERFACE_TYPE_PHYSICAL = 'physical';
+const INTERFACE_TYPE_WIRELESS = 'wireless';
+const INTERFACE_TYPE_VIRTUAL = 'virtual';
+const INTERFACE_TYPE_DOCKER = 'docker';
+const INTERFACE_TYPE_VPN = 'vpn';
+const INTERFACE_TYPE_LOOPBACK = 'loopback';
+
+// interface names (Linux, macOS and Windows friendly names), tested in this order
+const NAME_PATTERNS = [
+	[INTERFACE_TYPE_LOOPBACK, /^lo\d*$|loopback/i],
+	[INTERFACE_TYPE_DOCKER, /docker|^br-[0-9a-f]{12}$/i],
+	[INTERFACE_TYPE_VPN, /^(tun|tap|wg|utun|ipsec|ppp|tailscale|zt|nordlynx)\d*|vpn|wireguard|tap-windows/i],
+	[INTERFACE_TYPE_WIRELESS, /^(wl|ath|ra\d|awdl|llw)|wi-?fi|wireless/i],
+	[INTERFACE_TYPE_VIRTUAL, /^(veth|virbr|vmnet|vboxnet|vnet|lxc|lxd|cni|flannel|cali|kube|podman|dummy|ifb|bridge|gif|stf|anpi)|vethernet|virtualbox|vmware|hyper-v/i]
+];
+
+/**
+ * Classify an interface
+ * @param {string} name - Interface name
+ * @param {boolean} internal - Loopback interface (os.networkInterfaces() internal flag)
+ * @param {Object} options - { platform, exists }
+ * @param {string} options.platform - Operating system (default: os.platform())
+ * @param {Function} options.exists - exists(path) tells whether a /sys/class/net path exists (default: fs.existsSync)
+ * @returns {string} INTERFACE_TYPE_*
+ */
+function interfaceType(name, internal = false, { platform = Os.platform(), exists = Fs.existsSync } = {}) {
+	if (internal) {
+		return INTERFACE_TYPE_LOOPBACK;
+	}
+	const pattern = NAME_PATTERNS.find(([, regExp]) => regExp.test(name));
+	if (pattern) {
+		return pattern[0];
+	}
+	if (platform === 'linux') {
+		const sysPath = `/sys/class/net/${name}`;
+		if (exists(`${sysPath}/wireless`) || exists(`${sysPath}/phy80211`)) {
+			return INTERFACE_TYPE_WIRELESS;
+		}
+		if (exists(`${sysPath}/tun_flags`)) {
+			return INTERFACE_TYPE_VPN;
+		}
+		if (exists(sysPath) && !exists(`${sysPath}/device`)) {
+			return INTERFACE_TYPE_VIRTUAL; // no hardware device (bridge, bond, vlan...)
+		}
+	}
+	return INTERFACE_TYPE_PHYSICAL;
+}
+
+/**
+ * Get the subnet of an address ('192.168.1.10/24' => '192.168.1.0/24')
+ * @param {string} cidr
+ * @returns {string|null}
+ */
+function subnetOf(cidr) {
+	try {
+		const [address, prefix] = IpAddr.parseCIDR(cidr);
+		const network = address.kind() === 'ipv6'
+			? IpAddr.IPv6.networkAddressFromCIDR(cidr)
+			: IpAddr.IPv4.networkAddressFromCIDR(cidr);
+		return `${network.toString()}/${prefix}`;
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * List the network interfaces of this host
+ * @param {Object} options - interfaceType() options { platform, exists }
+ * @returns {Array} [{ name, type, mac, internal, addresses: [{ address, family, netmask, cidr, subnet, scopeid }] }]
+ *   mac is null when the interface has no hardware address, scopeid is only set on IPv6 addresses
+ */
+function listInterfaces(options = {}) {
+	const interfaces = Os.networkInterfaces();
+	return Object.keys(interfaces).map((name) => {
+		const infos = interfaces[name];
+		const internal = infos.some(info => info.internal);
+		const mac = infos.length && infos[0].mac !== '00:00:00:00:00:00' ? infos[0].mac.toUpperCase() : null;
+		return {
+			name,
+			type: interfaceType(name, internal, options),
+			mac,
+			internal,
+			addresses: infos.map((info) => {
+				const cidr = info.cidr || null;
+				const address = { address: info.address, family: info.family, netmask: info.netmask, cidr, subnet: cidr ? subnetOf(cidr) : null };
+				if (info.family === 'IPv6') address.scopeid = info.scopeid;
+				return address;
+			})
+		};
+	});
+}
+
+/**
+ * Get the subnets of network interfaces
+ * @param {Array} networkInterfaces - Interface names, listInterfaces() objects or getDefaultInterface() objects ({ name, cidr })
+ * @returns {Array} [{ interface, family, address, cidr, subnet }]
+ */
+function interfaceSubnets(networkInterfaces) {
+	let interfaces = null;
+	const subnets = [];
+	networkInterfaces.forEach((networkInterface) => {
+		if (networkInterface && typeof networkInterface === 'object' && !networkInterface.addresses && networkInterface.cidr) {
+			// getDefaultInterface() object : only its address
+			const [address] = networkInterface.cidr.split('/');
+			subnets.push({ interface: networkInterface.name, family: address.includes(':') ? 'IPv6' : 'IPv4', address, cidr: networkInterface.cidr, subnet: subnetOf(networkInterface.cidr) });
+			return;
+		}
+		let entry = networkInterface;
+		const name = networkInterface && typeof networkInterface === 'object' && !networkInterface.addresses
+			? networkInterface.name // { name } object : all the addresses of the interface
+			: networkInterface;
+		if (typeof name === 'string') {
+			interfaces = interfaces || listInterfaces();
+			entry = interfaces.find(item => item.name === name);
+		}
+		if (!entry || !Array.isArray(entry.addresses)) {
+			console.error('ERROR: unknown network interface:', name);
+			throw new Error(`Unknown network interface: ${name}`);
+		}
+		entry.addresses.filter(address => address.subnet).forEach((address) => {
+			subnets.push({ interface: entry.name, family: address.family, address: address.address, cidr: address.cidr, subnet: address.subnet });
+		});
+	});
+	return subnets;
+}
+
+/**
+ * Find the subnet containing an IP address (the most specific one)
+ * @param {Array} subnets - interfaceSubnets() result
+ * @param {string} ip
+ * @param {string} interfaceName - Optional : only the subnets of this interface
+ * @returns {Object|null} interfaceSubnets() item
+ */
+function findSubnet(subnets, ip, interfaceName = null) {
+	let parsed;
+	try {
+		parsed = IpAddr.parse(ip);
+	} catch (error) {
+		return null;
+	}
+	let best = null;
+	subnets.forEach((item) => {
+		if (interfaceName && item.interface !== interfaceName) return;
+		const range = IpAddr.parseCIDR(item.subnet);
+		if (range[0].kind() === parsed.kind() && parsed.match(range) && (!best || range[1] > best.prefix)) {
+			best = { item, prefix: range[1] };
+		}
+	});
+	return best ? best.item : null;
+}
+
+module.exports.listInterfaces = listInterfaces;
+module.exports.interfaceType = interfaceType;
+module.exports.interfaceSubnets = interfaceSubnets;
+module.exports.findSubnet = findSubnet;
+module.exports.INTERFACE_TYPE_PHYSICAL = INTERFACE_TYPE_PHYSICAL;
+module.exports.INTERFACE_TYPE_WIRELESS = INTERFACE_TYPE_WIRELESS;
+module.exports.INTERFACE_TYPE_VIRTUAL = INTERFACE_TYPE_VIRTUAL;
+module.exports.INTERFACE_TYPE_DOCKER = INTERFACE_TYPE_DOCKER;
+module.exports.INTERFACE_TYPE_VPN = INTERFACE_TYPE_VPN;
+module.exports.INTERFACE_TYPE_LOOPBACK = INTERFACE_TYPE_LOOPBACK;
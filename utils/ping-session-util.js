@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Shared net-ping sessions
+ * Concurrent scans of the same process share one net-ping session (one raw socket) per timeout/retries pair :
+ * several raw sockets opened side by side don't always receive their replies,
+ * and net-ping matches replies with the sessionId, so each session gets its own sessionId.
+ *
+ * ping() also reports the reply details : round-trip time (high resolution, from the request to the reply,
+ * retries included) and TTL of the reply, read in the IPv4 header before net-ping handles the packet.
+ *
+ * Example:
+ *   const ping = PingSession.acquire({ timeout: 3000, retries: 0 });
+ *   ping.ping(ip, (error, reply) => { ... }); // reply : { ip, replyFrom: '192.168.1.20', rttMS: 1.234, ttl: 64 }
+ *   ping.release(); // the session is closed when its last user releases it
+ */
+const NetPing = require('net-ping');
+const F = require('../functions');
+
+const sessions = new Map();
+
+/**
+ * Read the reply details of the packets received by a session
+ * The message listener is prepended to the net-ping one, which calls the ping callbacks synchronously :
+ * entry.lastReply is the packet being handled by net-ping, it is cleared by a listener appended after net-ping's.
+ * @param {Object} entry - sessions entry
+ */
+function watchReplies(entry) {
+	const socket = entry.session.getSocket();
+	socket.prependListener('message', (buffer, source) => {
+		// IPv4 header : TTL is its 9th byte (IPv6 raw sockets don't give the header)
+		const ttl = buffer.length >= 20 && (buffer[0] & 0xf0) === 0x40 ? buffer[8] : null;
+		entry.lastReply = { source, ttl, time: process.hrtime.bigint() };
+	});
+	socket.on('message', () => {
+		entry.lastReply = null;
+	});
+}
+
+/**
+ * Get the shared session for these options
+ * @param {Object} options - { timeout, retries }
+ * @param {number} options.timeout - Timeout in milliseconds (default: 3000)
+ * @param {number} options.retries - Number of retries (default: 0)
+ * @returns {{session: Object, ping: Function, release: Function}} call release() once the pings are finished
+ */
+function acquire({ timeout = 3000, retries = 0 } = {}) {
+	const key = `${timeout}:${retries}`;
+	let entry = sessions.get(key);
+	if (!entry) {
+		entry = {
+			session: NetPing.createSession({ timeout, retries, sessionId: F.nextPingSessionId() }),
+			users: 0,
+			watching: false,
+			lastReply: null
+		};
+		sessions.set(key, entry);
+	}
+	entry.users++;
+
+	/**
+	 * Ping a host
+	 * @param {string} ip
+	 * @param {Function} callback - (error, reply) : reply is { ip, replyFrom, rttMS, ttl },
+	 *   replyFrom is the address of the reply (the router for an unreachable destination error), all null on timeout
+	 */
+	const ping = (ip, callback) => {
+		const start = process.hrtime.bigint();
+		entry.session.pingHost(ip, (error) => {
+			const reply = entry.lastReply;
+			callback(error, {
+				ip,
+				replyFrom: reply ? reply.source : null,
+				rttMS: reply && !error ? Math.round(Number(reply.time - start) / 1000) / 1000 : null,
+				ttl: reply && !error ? reply.ttl : null
+			});
+		});
+		if (!entry.watching) {
+			// the socket is created by the first ping
+			entry.watching = true;
+			watchReplies(entry);
+		}
+	};
+
+	let released = false;
+	return {
+		session: entry.session,
+		ping,
+		release: () => {
+			if (released) return;
+			released = true;
+			entry.users--;
+			if (entry.users === 0) {
+				sessions.delete(key);
+				entry.session.close();
+			}
+		}
+	};
+}
+
+module.exports.acquire = acquire;
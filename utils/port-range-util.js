@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Most common TCP ports (nmap --top-ports 100)
+ */
+const TOP_100_PORTS = [
+	7, 9, 13, 21, 22, 23, 25, 26, 37, 53, 79, 80, 81, 88, 106, 110, 111, 113, 119, 135,
+	139, 143, 144, 179, 199, 389, 427, 443, 444, 445, 465, 513, 514, 515, 543, 544, 548, 554, 587, 631,
+	646, 873, 990, 993, 995, 1025, 1026, 1027, 1028, 1029, 1110, 1433, 1720, 1723, 1755, 1900, 2000, 2001, 2049, 2121,
+	2717, 3000, 3128, 3306, 3389, 3986, 4899, 5000, 5009, 5051, 5060, 5101, 5190, 5357, 5432, 5631, 5666, 5800, 5900, 6000,
+	6001, 6646, 7070, 8000, 8008, 8009, 8080, 8081, 8443, 8888, 9100, 9999, 10000, 32768, 49152, 49153, 49154, 49155, 49156, 49157
+];
+
+const PRESETS = {
+	top100: TOP_100_PORTS
+};
+
+/**
+ * Parse one port number
+ * @param {string|number} value
+ * @returns {number}
+ */
+function parsePort(value) {
+	const port = typeof value === 'number' ? value : (/^\d+$/.test(value) ? Number(value) : NaN);
+	if (!Number.isInteger(port) || port < 1 || port > 65535) {
+		throw new Error(`Invalid port: ${value}. Please choose an integer between 1 and 65535`);
+	}
+	return port;
+}
+
+/**
+ * Parse a port specification into a sorted array of unique port numbers
+ *
+ * Example:
+ *   parsePorts('22,80,443,8000-8100') => [22, 80, 443, 8000, 8001, ..., 8100]
+ *   parsePorts('top100,8443') => the 100 most common ports plus 8443
+ *   parsePorts([22, '80', '8000-8002']) => [22, 80, 8000, 8001, 8002]
+ * @param {string|number|Array} spec - Port number, list, range ("start-end") or preset name ("top100")
+ * @returns {Array<number>} Array of port numbers
+ */
+function parsePorts(spec) {
+	if (spec === undefined || spec === null || spec === '') {
+		throw new Error('Ports must be a port number, a port list (ex: "22,80,8000-8100") or a preset (ex: "top100")');
+	}
+
+	const items = Array.isArray(spec) ? spec : String(spec).split(',');
+	const ports = new Set();
+
+	items.forEach((item) => {
+		const value = typeof item === 'string' ? item.trim() : item;
+		if (typeof value === 'string' && PRESETS[value.toLowerCase()]) {
+			PRESETS[value.toLowerCase()].forEach(port => ports.add(port));
+			return;
+		}
+		const range = typeof value === 'string' ? value.match(/^(\d+)\s*-\s*(\d+)$/) : null;
+		if (range) {
+			const start = parsePort(range[1]);
+			const end = parsePort(range[2]);
+			if (start > end) {
+				throw new Error(`Invalid port range: ${value}. The first port must be lower than the last port`);
+			}
+			for (let port = start; port <= end; port++) {
+				ports.add(port);
+			}
+			return;
+		}
+		ports.add(parsePort(value));
+	});
+
+	return Array.from(ports).sort((a, b) => a - b);
+}
+
+module.exports = parsePorts;
+module.exports.TOP_100_PORTS = TOP_100_PORTS;
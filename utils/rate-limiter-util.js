@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Token bucket limiting the packets sent by the scans and the device information lookups
+ * The bucket holds up to burst tokens and is refilled with packetsPerSecond tokens per second,
+ * each packet takes one token. The waiting senders are served in turn, so several scans sharing
+ * one limiter stay under the same network budget.
+ * A sender taking more than burst tokens waits for a full bucket, which then goes into debt :
+ * the next senders wait until the whole count is refilled, the rate still holds.
+ *
+ * Example:
+ *   const limiter = createRateLimiter({ packetsPerSecond: 100, burst: 20 });
+ *   if (await limiter.take(1, signal)) socket.send(packet, port, ip);
+ */
+
+/**
+ * Create a rate limiter
+ * @param {Object} options - { packetsPerSecond, burst }
+ * @param {number} options.packetsPerSecond - Sustained rate in packets per second
+ * @param {number} options.burst - Packets that can be sent at once after an idle period (default: a tenth of packetsPerSecond, at least 1)
+ * @returns {{packetsPerSecond: number, burst: number, take: Function}}
+ */
+function createRateLimiter({ packetsPerSecond, burst = Math.max(1, Math.ceil(packetsPerSecond / 10)) } = {}) {
+	if (!(typeof packetsPerSecond === 'number' && packetsPerSecond > 0)) {
+		throw new Error(`Invalid packetsPerSecond: ${packetsPerSecond}. Please choose a positive number`);
+	}
+	if (!(Number.isInteger(burst) && burst > 0)) {
+		throw new Error(`Invalid burst: ${burst}. Please choose an integer greater than 0`);
+	}
+
+	let tokens = burst;
+	let lastRefill = Date.now();
+	let timer = null;
+	const waiters = []; // { count, done }
+	const signalWaiters = new WeakMap(); // AbortSignal => Set of its waiters
+
+	const refill = () => {
+		const now = Date.now();
+		tokens = Math.min(burst, tokens + (now - lastRefill) * packetsPerSecond / 1000);
+		lastRefill = now;
+	};
+
+	// tokens needed before count packets are sent (at most a full bucket, the rest is a debt)
+	const needed = count => Math.min(count, burst);
+
+	// serve the waiting senders in turn, then wait for the tokens of the next one
+	const serve = () => {
+		timer = null;
+		refill();
+		while (waiters.length && tokens >= needed(waiters[0].count)) {
+			const waiter = waiters.shift();
+			tokens -= waiter.count;
+			waiter.done(true);
+		}
+		if (waiters.length) {
+			timer = setTimeout(serve, Math.ceil((needed(waiters[0].count) - tokens) * 1000 / packetsPerSecond));
+		}
+	};
+
+	// one abort listener per signal, whatever the number of its waiters : an aborted signal takes them out of the queue
+	const watch = (signal, waiter) => {
+		if (!signalWaiters.has(signal)) {
+			signalWaiters.set(signal, new Set());
+			signal.addEventListener('abort', () => {
+				const aborted = signalWaiters.get(signal) || [];
+				signalWaiters.delete(signal);
+				aborted.forEach((item) => {
+					waiters.splice(waiters.indexOf(item), 1);
+					item.done(false);
+				});
+			}, { once: true });
+		}
+		signalWaiters.get(signal).add(waiter);
+	};
+
+	const unwatch = (signal, waiter) => {
+		const set = signalWaiters.get(signal);
+		if (set) set.delete(waiter);
+	};
+
+	/**
+	 * Wait for the tokens of count packets
+	 * @param {number} count - Number of packets (default: 1), all of them are charged even above burst
+	 * @param {AbortSignal} signal - Optional signal : the sender stops waiting when it aborts
+	 * @returns {Promise<boolean>} true when the packets can be sent, false when the signal aborted
+	 */
+	const take = (count = 1, signal = null) => {
+		count = Math.max(1, count);
+		if (signal && signal.aborted) {
+			return Promise.resolve(false);
+		}
+		refill();
+		if (!waiters.length && tokens >= needed(count)) {
+			tokens -= count;
+			return Promise.resolve(true);
+		}
+		return new Promise((resolve) => {
+			const waiter = {
+				count,
+				done: (granted) => {
+					if (signal) unwatch(signal, waiter);
+					resolve(granted);
+				}
+			};
+			if (signal) watch(signal, waiter);
+			waiters.push(waiter);
+			if (!timer) serve();
+		});
+	};
+
+	return { packetsPerSecond, burst, take };
+}
+
+module.exports.createRateLimiter = createRateLimiter;
@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * Reverse DNS resolution with Node's resolver (no host / nslookup child process)
+ *
+ * Example:
+ *   const resolver = createResolver({ servers: ['192.168.1.1'], timeout: 2000 });
+ *   await reverseLookup(resolver, '192.168.1.10') => ['nas.home', 'nas.lan']
+ *   await reverseLookup(resolver, '192.168.1.10', { verify: true }) => ['nas.home'] (forward-confirmed names only)
+ */
+const Dns = require('dns');
+
+// errors meaning "no name" : not logged
+const NO_NAME_ERRORS = [Dns.NOTFOUND, Dns.NODATA, Dns.NONAME, Dns.SERVFAIL, Dns.REFUSED, Dns.TIMEOUT];
+
+/**
+ * Create a resolver
+ * @param {Object} options - { servers, timeout }
+ * @param {Array} options.servers - DNS servers ('192.168.1.1', '1.1.1.1:53', '[2001:db8::1]:53'), default: system servers
+ * @param {number} options.timeout - Lookup timeout in milliseconds (default: 10000)
+ * @returns {Resolver}
+ */
+function createResolver({ servers = [], timeout = 10000 } = {}) {
+	const resolver = new Dns.promises.Resolver({ timeout, tries: 1 });
+	if (servers.length) {
+		try {
+			resolver.setServers(servers);
+		} catch (error) {
+			throw new Error(`Invalid DNS servers: ${servers.join(', ')}. ${error.message}`);
+		}
+	}
+	return resolver;
+}
+
+/**
+ * Check a name resolves back to the IP address (forward-confirmed reverse DNS)
+ * @param {Resolver} resolver
+ * @param {string} name
+ * @param {string} ip
+ * @returns {Promise<boolean>}
+ */
+async function forwardConfirmed(resolver, name, ip) {
+	try {
+		const addresses = ip.includes(':') ? await resolver.resolve6(name) : await resolver.resolve4(name);
+		return addresses.includes(ip);
+	} catch (error) {
+		return false;
+	}
+}
+
+/**
+ * Get all the PTR names of an IP address
+ * @param {Resolver} resolver - see createResolver()
+ * @param {string} ip
+ * @param {Object} options - { verify, verbose }
+ * @param {boolean} options.verify - Keep only the forward-confirmed names (default: false)
+ * @param {boolean} options.verbose - Log the unexpected lookup errors (default: false)
+ * @returns {Promise<Array<string>>} empty array when the IP has no name
+ */
+async function reverseLookup(resolver, ip, { verify = false, verbose = false } = {}) {
+	let names;
+	try {
+		names = await resolver.reverse(ip);
+	} catch (error) {
+		if (verbose && !NO_NAME_ERRORS.includes(error.code)) console.error('ERROR: reverse DNS lookup failed for ' + ip, error);
+		return [];
+	}
+	names = names.map(name => name.replace(/\.$/, ''));
+	if (!verify) {
+		return names;
+	}
+	const confirmed = await Promise.all(names.map(name => forwardConfirmed(resolver, name, ip)));
+	return names.filter((name, index) => confirmed[index]);
+}
+
+module.exports.createResolver = createResolver;
+module.exports.reverseLookup = reverseLookup;
+module.exports.forwardConfirmed = forwardConfirmed;
@@ -0,0 +1,413 @@
+'use strict';
+
+/**
+ * Target specification parser (nmap syntax), the targets are separated by spaces or given as an array :
+ * - CIDR blocks : '192.168.1.0/24'
+ * - octet ranges and lists : '192.168.1.10-50', '10.0.0-3.1', '192.168.1.1,5,10-20', '10.0.*.1'
+ * - address ranges : '192.168.1.10-192.168.2.20'
+ * - single hosts : '192.168.1.1', 'fd00::20'
+ * - hostnames : 'router.lan', 'nas.lan/30' (resolved with the system resolver, IPv4 only)
+ *
+ * Example:
+ *   expandTargets('192.168.1.0/30 10.0.0.5') => ['192.168.1.0', '192.168.1.1', '192.168.1.2', '192.168.1.3', '10.0.0.5']
+ *   expandTargets('192.168.1.0/24', { exclude: '192.168.1.1,254', excludeNetwork: true, excludeBroadcast: true }) => 252 addresses
+ *   await resolveTargets(['router.lan', '192.168.1.10-20']) => ['192.168.1.1', '192.168.1.10', ..., '192.168.1.20']
+ *   for (const ip of generateTargets('10.0.0.0/8')) { ... } => addresses enumerated lazily, in constant memory
+ *   targetMatcher('10.0.0.0/8', { exclude: '10.1.0.0/16' })('10.1.2.3') => false
+ */
+const Os = require('os');
+const Net = require('net');
+const Dns = require('dns');
+
+const ITEM_OCTETS = 'octets';
+const ITEM_RANGE = 'range';
+const ITEM_IPV6 = 'ipv6';
+const ITEM_HOSTNAME = 'hostname';
+
+const HOSTNAME_REGEXP = /^(?=.{1,253}$)[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?)*\.?$/i;
+
+/**
+ * Convert an IPv4 address to an integer
+ * @param {string} ip
+ * @returns {number}
+ */
+function ipToInt(ip) {
+	return ip.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+/**
+ * Convert an integer to an IPv4 address
+ * @param {number} value
+ * @returns {string}
+ */
+function intToIp(value) {
+	return [value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join('.');
+}
+
+/**
+ * Parse one octet of an octet range ('1', '10-50', '1,5,10-20', '-20', '200-', '*')
+ * @param {string} text
+ * @param {string} target - Target for the error messages
+ * @returns {Array} [[lo, hi], ...]
+ */
+function parseOctet(text, target) {
+	return text.split(',').map((part) => {
+		const match = part === '*' ? ['*', '0', '255'] : part.match(/^(\d{0,3})-(\d{0,3})$|^(\d{1,3})$/);
+		if (!match) {
+			throw new Error(`Invalid target: ${target}`);
+		}
+		const lo = Number(match[3] !== undefined ? match[3] : (match[1] || 0));
+		const hi = Number(match[3] !== undefined ? match[3] : (match[2] || 255));
+		if (lo > 255 || hi > 255 || lo > hi) {
+			throw new Error(`Invalid target: ${target}`);
+		}
+		return [lo, hi];
+	});
+}
+
+/**
+ * Build the octet ranges of a CIDR block
+ * @param {number} address - Integer address
+ * @param {number} prefix
+ * @returns {Object} octets item, with the network and broadcast addresses of the block
+ */
+function cidrItem(address, prefix) {
+	const size = 2 ** (32 - prefix);
+	const network = Math.floor(address / size) * size;
+	const broadcast = network + size - 1;
+	const octets = [0, 1, 2, 3].map((index) => {
+		const shift = 8 * (3 - index);
+		return [[Math.floor(network / 2 ** shift) & 255, Math.floor(broadcast / 2 ** shift) & 255]];
+	});
+	// /31 and /32 blocks have no network and broadcast addresses
+	return { type: ITEM_OCTETS, octets, network: prefix <= 30 ? network : null, broadcast: prefix <= 30 ? broadcast : null };
+}
+
+/**
+ * Parse one target
+ * @param {string} target
+ * @returns {Object} { type, ... }
+ */
+function parseTarget(target) {
+	if (Net.isIPv6(target)) {
+		return { type: ITEM_IPV6, address: target.toLowerCase() };
+	}
+	const cidr = target.match(/^(.+)\/(\d{1,2})$/);
+	if (cidr) {
+		const prefix = Number(cidr[2]);
+		if (prefix > 32) {
+			throw new Error(`Invalid target: ${target}. The prefix length must be between 0 and 32`);
+		}
+		if (Net.isIPv4(cidr[1])) {
+			return cidrItem(ipToInt(cidr[1]), prefix);
+		}
+		if (HOSTNAME_REGEXP.test(cidr[1]) && /[a-z_]/i.test(cidr[1])) {
+			return { type: ITEM_HOSTNAME, name: cidr[1], prefix };
+		}
+		throw new Error(`Invalid target: ${target}`);
+	}
+	const range = target.match(/^(\d+\.\d+\.\d+\.\d+)-(\d+\.\d+\.\d+\.\d+)$/);
+	if (range) {
+		if (!Net.isIPv4(range[1]) || !Net.isIPv4(range[2]) || ipToInt(range[1]) > ipToInt(range[2])) {
+			throw new Error(`Invalid target: ${target}`);
+		}
+		return { type: ITEM_RANGE, start: ipToInt(range[1]), end: ipToInt(range[2]) };
+	}
+	const parts = target.split('.');
+	if (parts.length === 4 && parts.every(part => /^[\d,*-]+$/.test(part))) {
+		return { type: ITEM_OCTETS, octets: parts.map(part => parseOctet(part, target)), network: null, broadcast: null };
+	}
+	if (HOSTNAME_REGEXP.test(target) && /[a-z_]/i.test(target)) {
+		return { type: ITEM_HOSTNAME, name: target, prefix: null };
+	}
+	throw new Error(`Invalid target: ${target}`);
+}
+
+/**
+ * Split a target specification into targets
+ * @param {string|Array} spec - Targets separated by spaces, or array of targets
+ * @returns {Array}
+ */
+function splitSpec(spec) {
+	if (spec === undefined || spec === null) {
+		return [];
+	}
+	return (Array.isArray(spec) ? spec : [spec])
+		.map(target => (typeof target === 'string' ? target.trim() : target))
+		.reduce((list, target) => list.concat(typeof target === 'string' ? target.split(/\s+/).filter(Boolean) : [target]), []);
+}
+
+/**
+ * Parse a target specification
+ * @param {string|Array} spec - Targets separated by spaces, or array of targets
+ * @returns {Array} parsed targets
+ */
+function parseSpec(spec) {
+	return splitSpec(spec).map((target) => {
+		if (typeof target !== 'string') {
+			console.error('ERROR: invalid target:', target);
+			throw new Error('Targets must be IP addresses, CIDR blocks, ranges or hostnames');
+		}
+		return parseTarget(target);
+	});
+}
+
+/**
+ * Enumerate the addresses of a parsed target
+ * @param {Object} item
+ * @returns {Iterator<number|string>} integer IPv4 addresses, IPv6 addresses as strings
+ */
+function* itemAddresses(item) {
+	if (item.type === ITEM_IPV6) {
+		yield item.address;
+	} else if (item.type === ITEM_RANGE) {
+		for (let value = item.start; value <= item.end; value++) {
+			yield value;
+		}
+	} else if (item.type === ITEM_OCTETS) {
+		const [o1, o2, o3, o4] = item.octets;
+		for (const [lo1, hi1] of o1) for (let a = lo1; a <= hi1; a++)
+			for (const [lo2, hi2] of o2) for (let b = lo2; b <= hi2; b++)
+				for (const [lo3, hi3] of o3) for (let c = lo3; c <= hi3; c++)
+					for (const [lo4, hi4] of o4) for (let d = lo4; d <= hi4; d++)
+						yield ((a * 256 + b) * 256 + c) * 256 + d;
+	}
+}
+
+/**
+ * Check if a parsed target contains an address
+ * @param {Object} item
+ * @param {number|string} address - Integer IPv4 address or IPv6 address
+ * @returns {boolean}
+ */
+function itemContains(item, address) {
+	if (typeof address === 'string') {
+		return item.type === ITEM_IPV6 && item.address === address;
+	}
+	if (item.type === ITEM_RANGE) {
+		return address >= item.start && address <= item.end;
+	}
+	if (item.type === ITEM_OCTETS) {
+		const octets = [address >>> 24, (address >>> 16) & 255, (address >>> 8) & 255, address & 255];
+		return item.octets.every((ranges, index) => ranges.some(([lo, hi]) => octets[index] >= lo && octets[index] <= hi));
+	}
+	return false;
+}
+
+/**
+ * Get the lowest and highest addresses of an IPv4 parsed target
+ * @param {Object} item - Octets or range item
+ * @returns {Array<number>} [first, last] integer addresses
+ */
+function itemBounds(item) {
+	if (item.type === ITEM_RANGE) {
+		return [item.start, item.end];
+	}
+	const bound = pick => item.octets.reduce((value, ranges) => value * 256 + pick(ranges), 0);
+	return [bound(ranges => Math.min(...ranges.map(([lo]) => lo))), bound(ranges => Math.max(...ranges.map(([, hi]) => hi)))];
+}
+
+/**
+ * Check if every address between the bounds of a parsed target is in the target (range, CIDR block, '10.0.*.*')
+ * @param {Object} item
+ * @returns {boolean}
+ */
+function isContiguous(item) {
+	if (item.type === ITEM_RANGE) {
+		return true;
+	}
+	if (item.type !== ITEM_OCTETS || item.octets.some(ranges => ranges.length !== 1)) {
+		return false;
+	}
+	// fixed octets, then one octet range, then full octets
+	const varying = item.octets.findIndex(([[lo, hi]]) => lo !== hi);
+	return varying === -1 || item.octets.slice(varying + 1).every(([[lo, hi]]) => lo === 0 && hi === 255);
+}
+
+/**
+ * Check if every address of a parsed target is in an excluded target, without enumerating them
+ * (a target covered by the union of several exclusions is still enumerated)
+ * @param {Object} item
+ * @param {Object} excluded
+ * @returns {boolean}
+ */
+function itemCovered(item, excluded) {
+	if (item.type === ITEM_IPV6) {
+		return itemContains(excluded, item.address);
+	}
+	if (excluded.type === ITEM_IPV6) {
+		return false;
+	}
+	if (item.type === ITEM_OCTETS && excluded.type === ITEM_OCTETS) {
+		// each octet of the target is in the octet ranges of the exclusion
+		return item.octets.every((ranges, index) => ranges.every(([lo, hi]) => {
+			for (let value = lo; value <= hi; value++) {
+				if (!excluded.octets[index].some(([excludedLo, excludedHi]) => value >= excludedLo && value <= excludedHi)) return false;
+			}
+			return true;
+		}));
+	}
+	// the addresses of the target are between its bounds
+	const [first, last] = itemBounds(item);
+	const [excludedFirst, excludedLast] = itemBounds(excluded);
+	return isContiguous(excluded) && first >= excludedFirst && last <= excludedLast;
+}
+
+/**
+ * Check if an address of a parsed target is skipped as the network or broadcast address of its CIDR block
+ * @param {Object} item
+ * @param {number|string} address
+ * @param {Object} options - { excludeNetwork, excludeBroadcast }
+ * @returns {boolean}
+ */
+function isBlockEdge(item, address, { excludeNetwork = false, excludeBroadcast = false }) {
+	return (excludeNetwork && address === item.network) || (excludeBroadcast && address === item.broadcast);
+}
+
+/**
+ * Get the addresses of this host
+ * @returns {Set} integer IPv4 addresses and IPv6 addresses
+ */
+function localAddresses() {
+	const addresses = new Set();
+	Object.values(Os.networkInterfaces()).forEach(infos => infos.forEach((info) => {
+		addresses.add(Net.isIPv4(info.address) ? ipToInt(info.address) : info.address.toLowerCase());
+	}));
+	return addresses;
+}
+
+/**
+ * Parse a target specification without hostnames and its exclusions
+ * @param {string|Array} spec - Targets separated by spaces, or array of targets
+ * @param {Object} options - expandTargets() options
+ * @returns {Object} { items, excludedItems, selfAddresses }
+ */
+function parseTargets(spec, options) {
+	const items = parseSpec(spec);
+	const excludedItems = parseSpec(options.exclude);
+	const ipv6Item = options.ipv4Only && items.find(item => item.type === ITEM_IPV6);
+	if (ipv6Item) {
+		throw new Error(`Invalid target: ${ipv6Item.address}. IPv6 targets are only supported by the IPv6 scan`);
+	}
+	if (items.concat(excludedItems).some(item => item.type === ITEM_HOSTNAME)) {
+		throw new Error('Hostname targets must be resolved, please use resolveTargets()');
+	}
+	return { items, excludedItems, selfAddresses: options.excludeSelf ? localAddresses() : new Set() };
+}
+
+/**
+ * Enumerate the addresses of a target specification without hostnames, in the order of the specification and without duplicates.
+ * Nothing is stored but the parsed specification : duplicates are detected by testing the previous targets,
+ * so large blocks (/16, /8) are enumerated in constant memory.
+ * @param {string|Array} spec - Targets separated by spaces, or array of targets
+ * @param {Object} options - expandTargets() options
+ * @returns {Iterator<string>}
+ */
+function* generateTargets(spec, options = {}) {
+	const { items, excludedItems, selfAddresses } = parseTargets(spec, options);
+	for (let index = 0; index < items.length; index++) {
+		const item = items[index];
+		// an excluded block is skipped without being enumerated (ex: 10.0.0.0/8 excluding 10.0.0.0/8)
+		if (excludedItems.some(excluded => itemCovered(item, excluded))) continue;
+		const previousItems = items.slice(0, index);
+		for (const address of itemAddresses(item)) {
+			if (isBlockEdge(item, address, options)) continue;
+			if (selfAddresses.has(address)) continue;
+			if (excludedItems.some(excluded => itemContains(excluded, address))) continue;
+			// already given by a previous target
+			if (previousItems.some(previous => itemContains(previous, address) && !isBlockEdge(previous, address, options))) continue;
+			yield typeof address === 'number' ? intToIp(address) : address;
+		}
+	}
+}
+
+/**
+ * Build a filter of the addresses of a target specification without hostnames
+ * The addresses are tested against the parsed specification, nothing is expanded (constant memory for any block size).
+ * @param {string|Array} spec - Targets separated by spaces, or array of targets (undefined : every address)
+ * @param {Object} options - expandTargets() options
+ * @returns {Function} (ip) => true when generateTargets(spec, options) gives ip
+ */
+function targetMatcher(spec, options = {}) {
+	const { items, excludedItems, selfAddresses } = parseTargets(spec, options);
+	const allAddresses = spec === undefined;
+	return (ip) => {
+		if (!Net.isIP(ip)) return false;
+		const address = Net.isIPv4(ip) ? ipToInt(ip) : ip.toLowerCase();
+		if (selfAddresses.has(address)) return false;
+		if (excludedItems.some(excluded => itemContains(excluded, address))) return false;
+		return allAddresses || items.some(item => itemContains(item, address) && !isBlockEdge(item, address, options));
+	};
+}
+
+/**
+ * Check if a target specification (or its exclusions) contains hostnames, which must be resolved with resolveTargets()
+ * @param {string|Array} spec
+ * @param {Object} options - { exclude }
+ * @returns {boolean}
+ */
+function hasHostnames(spec, { exclude = null } = {}) {
+	return parseSpec(spec).concat(parseSpec(exclude)).some(item => item.type === ITEM_HOSTNAME);
+}
+
+/**
+ * Expand a target specification without hostnames into an address list (in the order of the specification, without duplicates)
+ * @param {string|Array} spec - Targets separated by spaces, or array of targets
+ * @param {Object} options - { exclude, excludeNetwork, excludeBroadcast, excludeSelf, ipv4Only }
+ * @param {string|Array} options.exclude - Targets to skip (same syntax)
+ * @param {boolean} options.excludeNetwork - Skip the network address of the CIDR blocks (default: false)
+ * @param {boolean} options.excludeBroadcast - Skip the broadcast address of the CIDR blocks (default: false)
+ * @param {boolean} options.excludeSelf - Skip the addresses of this host (default: false)
+ * @param {boolean} options.ipv4Only - Throw an error for the IPv6 targets, for the IPv4 scans (default: false)
+ * @returns {Array<string>}
+ */
+function expandTargets(spec, options = {}) {
+	return Array.from(generateTargets(spec, options));
+}
+
+/**
+ * Resolve the hostnames of a target specification and of its exclusions
+ * (hostnames that cannot be resolved are skipped with an error message, like nmap does)
+ * @param {string|Array} spec - Targets separated by spaces, or array of targets
+ * @param {Object} options - { exclude }
+ * @returns {Promise<Object>} { targets, exclude } : target arrays with IPv4 addresses instead of hostnames
+ */
+async function resolveHostnames(spec, { exclude = null } = {}) {
+	const items = parseSpec(spec);
+	const excludedItems = parseSpec(exclude);
+	const hostnames = new Set(items.concat(excludedItems).filter(item => item.type === ITEM_HOSTNAME).map(item => item.name));
+	const resolved = new Map();
+	await Promise.all(Array.from(hostnames).map(async (name) => {
+		try {
+			const results = await Dns.promises.lookup(name, { family: 4, all: true });
+			resolved.set(name, Array.from(new Set(results.map(result => result.address))));
+		} catch (error) {
+			console.error(`ERROR: failed to resolve "${name}":`, error.code || error.message);
+		}
+	}));
+	const targetList = (parsedItems, texts) => parsedItems.reduce((list, item, index) => {
+		if (item.type !== ITEM_HOSTNAME) {
+			return list.concat([texts[index]]);
+		}
+		return list.concat((resolved.get(item.name) || []).map(ip => (item.prefix === null ? ip : `${ip}/${item.prefix}`)));
+	}, []);
+	return { targets: targetList(items, splitSpec(spec)), exclude: targetList(excludedItems, splitSpec(exclude)) };
+}
+
+/**
+ * Resolve the hostnames of a target specification and expand it into an address list
+ * @param {string|Array} spec - Targets separated by spaces, or array of targets
+ * @param {Object} options - expandTargets() options
+ * @returns {Promise<Array<string>>}
+ */
+async function resolveTargets(spec, options = {}) {
+	const resolved = await resolveHostnames(spec, options);
+	return expandTargets(resolved.targets, { ...options, exclude: resolved.exclude });
+}
+
+module.exports.generateTargets = generateTargets;
+module.exports.expandTargets = expandTargets;
+module.exports.targetMatcher = targetMatcher;
+module.exports.resolveHostnames = resolveHostnames;
+module.exports.resolveTargets = resolveTargets;
+module.exports.hasHostnames = hasHostnames;
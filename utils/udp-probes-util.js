@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * UDP probes used by ScannerUDP : one protocol-correct request per service, and the parser of its answer
+ * PROBES.<name> is { port, build(options), parse(buffer) } :
+ * - build(options) returns the request Buffer (options: { id, snmpCommunity })
+ * - parse(buffer) returns the informations read in the answer, or null if the buffer is not an answer of this protocol
+ */
+const DnsPacket = require('./dns-packet-util');
+const NetBios = require('./netbios-util');
+const Upnp = require('./upnp-util');
+
+// SNMP (BER encoding, RFC 3416)
+const BER_INTEGER = 0x02;
+const BER_OCTET_STRING = 0x04;
+const BER_NULL = 0x05;
+const BER_OID = 0x06;
+const BER_SEQUENCE = 0x30;
+const SNMP_GET_REQUEST = 0xa0;
+const SNMP_GET_RESPONSE = 0xa2;
+const SNMP_VERSION_2C = 1;
+const SNMP_OIDS = {
+	description: '1.3.6.1.2.1.1.1.0', // sysDescr
+	name: '1.3.6.1.2.1.1.5.0' // sysName
+};
+
+function berTlv(tag, content) {
+	let length;
+	if (content.length < 0x80) {
+		length = Buffer.from([content.length]);
+	} else if (content.length < 0x100) {
+		length = Buffer.from([0x81, content.length]);
+	} else {
+		length = Buffer.from([0x82, content.length >> 8, content.length & 0xff]);
+	}
+	return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+function berInteger(value) {
+	const bytes = [];
+	do {
+		bytes.unshift(value & 0xff);
+		value = Math.floor(value / 256);
+	} while (value > 0);
+	if (bytes[0] & 0x80) bytes.unshift(0); // keep the integer positive
+	return berTlv(BER_INTEGER, Buffer.from(bytes));
+}
+
+function berOid(oid) {
+	const parts = oid.split('.').map(Number);
+	const bytes = [parts[0] * 40 + parts[1]];
+	parts.slice(2).forEach((part) => {
+		const encoded = [part & 0x7f];
+		while (part > 0x7f) {
+			part = Math.floor(part / 128);
+			encoded.unshift((part & 0x7f) | 0x80);
+		}
+		bytes.push(...encoded);
+	});
+	return berTlv(BER_OID, Buffer.from(bytes));
+}
+
+/**
+ * Read the BER elements of a buffer
+ * @returns {Array} [{ tag, value: Buffer }]
+ */
+function berRead(buffer) {
+	const elements = [];
+	let offset = 0;
+	while (offset + 2 <= buffer.length) {
+		const tag = buffer[offset];
+		let length = buffer[offset + 1];
+		offset += 2;
+		if (length & 0x80) {
+			const size = length & 0x7f;
+			if (size < 1 || size > 3 || offset + size > buffer.length) {
+				throw new Error('Invalid BER length');
+			}
+			length = buffer.readUIntBE(offset, size);
+			offset += size;
+		}
+		if (offset + length > buffer.length) {
+			throw new Error('Invalid BER element');
+		}
+		elements.push({ tag, value: buffer.slice(offset, offset + length) });
+		offset += length;
+	}
+	return elements;
+}
+
+const PROBES = {
+
+	// DNS server : version.bind CHAOS TXT query (answered by bind / dnsmasq, other servers reply with an error code)
+	dns: {
+		port: 53,
+		build: ({ id = 0 } = {}) => DnsPacket.encodeQuery({
+			id,
+			questions: [{ name: 'version.bind', type: DnsPacket.TYPE_TXT, class: DnsPacket.CLASS_CH }]
+		}),
+		parse: (buffer) => {
+			let packet;
+			try {
+				packet = DnsPacket.decode(buffer);
+			} catch (error) {
+				return null;
+			}
+			if (!packet.qr) {
+				return null;
+			}
+			const txt = packet.answers.find(record => record.type === DnsPacket.TYPE_TXT);
+			return { rcode: packet.rcode, version: txt ? txt.data.join('') : null };
+		}
+	},
+
+	// NTP server : client request, version 3 (RFC 5905)
+	ntp: {
+		port: 123,
+		build: () => {
+			const request = Buffer.alloc(48);
+			request[0] = 0x1b; // LI 0, version 3, mode 3 (client)
+			return request;
+		},
+		parse: (buffer) => {
+			const mode = buffer.length >= 48 ? buffer[0] & 0x07 : 0;
+			if (mode !== 4 && mode !== 5) {
+				return null; // not a server / broadcast answer
+			}
+			const stratum = buffer[1];
+			const refid = stratum <= 1
+				? buffer.toString('latin1', 12, 16).replace(/\0+$/, '')
+				: Array.from(buffer.slice(12, 16)).join('.');
+			return { version: (buffer[0] >> 3) & 0x07, stratum, refid };
+		}
+	},
+
+	// SNMP agent : v2c GetRequest of sysDescr.0 and sysName.0
+	snmp: {
+		port: 161,
+		build: ({ id = 0, snmpCommunity = 'public' } = {}) => {
+			const varbinds = Object.values(SNMP_OIDS).map(oid =>
+				berTlv(BER_SEQUENCE, Buffer.concat([berOid(oid), berTlv(BER_NULL, Buffer.alloc(0))])));
+			const pdu = berTlv(SNMP_GET_REQUEST, Buffer.concat([
+				berInteger(id),
+				berInteger(0), // error status
+				berInteger(0), // error index
+				berTlv(BER_SEQUENCE, Buffer.concat(varbinds))
+			]));
+			return berTlv(BER_SEQUENCE, Buffer.concat([
+				berInteger(SNMP_VERSION_2C),
+				berTlv(BER_OCTET_STRING, Buffer.from(snmpCommunity, 'latin1')),
+				pdu
+			]));
+		},
+		parse: (buffer) => {
+			try {
+				const [message] = berRead(buffer);
+				if (!message || message.tag !== BER_SEQUENCE) return null;
+				const pdu = berRead(message.value).find(element => element.tag === SNMP_GET_RESPONSE);
+				if (!pdu) return null;
+				const [, errorStatus, , varbindList] = berRead(pdu.value);
+				const info = { description: null, name: null, errorStatus: errorStatus.value.readUIntBE(0, errorStatus.value.length) };
+				berRead(varbindList.value).forEach((varbind) => {
+					const [oid, value] = berRead(varbind.value);
+					const field = Object.keys(SNMP_OIDS).find(key => berOid(SNMP_OIDS[key]).slice(2).equals(oid.value));
+					if (field && value.tag === BER_OCTET_STRING) {
+						info[field] = value.value.toString('utf8').replace(/\0+$/, '').trim() || null;
+					}
+				});
+				return info;
+			} catch (error) {
+				return null;
+			}
+		}
+	},
+
+	// NetBIOS name service : node status request (computer name, workgroup and MAC address)
+	netbios: {
+		port: NetBios.NETBIOS_PORT,
+		build: ({ id = 0 } = {}) => NetBios.encodeNodeStatusRequest(id),
+		parse: (buffer) => {
+			const status = NetBios.parseNodeStatusResponse(buffer);
+			return status ? { name: status.name, workgroup: status.workgroup, mac: status.mac } : null;
+		}
+	},
+
+	// SSDP (UPnP) : unicast M-SEARCH
+	ssdp: {
+		port: Upnp.SSDP_PORT,
+		build: () => Upnp.buildSearch(),
+		parse: (buffer) => {
+			const message = Upnp.parseSsdpMessage(buffer);
+			if (!message || message.type !== 'response') {
+				return null;
+			}
+			return {
+				server: message.headers.server || null,
+				location: message.headers.location || null,
+				st: message.headers.st || null,
+				usn: message.headers.usn || null
+			};
+		}
+	}
+
+};
+
+module.exports.PROBES = PROBES;
+module.exports.PROBE_NAMES = Object.keys(PROBES);
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * SSDP messages and UPnP device descriptions
+ * - parseSsdpMessage() reads an M-SEARCH response or a NOTIFY announcement
+ * - fetchDescription() downloads and parses the device description XML of the LOCATION header
+ *   (isDeviceLocation() checks that the LOCATION is on the answering device before it is downloaded)
+ *
+ * Example:
+ *   const message = parseSsdpMessage(buffer); // { type: 'response', headers: { location: 'http://192.168.1.1:5000/rootDesc.xml', ... } }
+ *   const description = await fetchDescription(message.headers.location);
+ *   // { friendlyName: 'Router', manufacturer: 'ACME', modelName: 'R1', modelNumber: '1.0', deviceType, udn, services: [...] }
+ */
+const Http = require('http');
+const Https = require('https');
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+
+/**
+ * Build an M-SEARCH request
+ * @param {Object} params - { st, mx }
+ * @param {string} params.st - Search target (default: 'ssdp:all')
+ * @param {number} params.mx - Maximum answer delay in seconds (default: 1)
+ * @returns {Buffer}
+ */
+function buildSearch({ st = 'ssdp:all', mx = 1 } = {}) {
+	return Buffer.from(
+		'M-SEARCH * HTTP/1.1\r\n' +
+		`HOST: ${SSDP_ADDRESS}:${SSDP_PORT}\r\n` +
+		'MAN: "ssdp:discover"\r\n' +
+		`MX: ${mx}\r\n` +
+		`ST: ${st}\r\n\r\n`);
+}
+
+/**
+ * Parse an SSDP message
+ * @param {Buffer} buffer
+ * @returns {Object|null} { type: 'response' | 'notify' | 'search', headers } (header names in lower case),
+ *   null if the buffer is not an SSDP message
+ */
+function parseSsdpMessage(buffer) {
+	const lines = buffer.toString('latin1').split(/\r?\n/);
+	let type;
+	if (/^HTTP\/1\.\d 200/.test(lines[0])) {
+		type = 'response';
+	} else if (/^NOTIFY \* HTTP\/1\.\d/i.test(lines[0])) {
+		type = 'notify';
+	} else if (/^M-SEARCH \* HTTP\/1\.\d/i.test(lines[0])) {
+		type = 'search';
+	} else {
+		return null;
+	}
+	const headers = {};
+	lines.slice(1).forEach((line) => {
+		const separator = line.indexOf(':');
+		if (separator > 0) {
+			headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+		}
+	});
+	return { type, headers };
+}
+
+function decodeXml(text) {
+	return text
+		.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, '\'')
+		.replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+		.replace(/&amp;/g, '&')
+		.trim();
+}
+
+/**
+ * Parse a UPnP device description
+ * The fields are read on the root device, the services of the embedded devices are included.
+ * @param {string} xml
+ * @returns {Object} { friendlyName, manufacturer, modelName, modelNumber, deviceType, udn, services: [serviceType, ...] }
+ */
+function parseDescription(xml) {
+	// the root device fields are before its embedded device list
+	const rootDevice = xml.split(/<deviceList[\s>]/i)[0];
+	const field = (name) => {
+		const match = rootDevice.match(new RegExp(`<${name}[^>]*>([\\s\\S]*?)</${name}>`, 'i'));
+		return match ? decodeXml(match[1]) || null : null;
+	};
+	const services = [];
+	const serviceRegExp = /<serviceType[^>]*>([\s\S]*?)<\/serviceType>/gi;
+	let match;
+	while ((match = serviceRegExp.exec(xml)) !== null) {
+		const serviceType = decodeXml(match[1]);
+		if (serviceType && !services.includes(serviceType)) services.push(serviceType);
+	}
+	return {
+		friendlyName: field('friendlyName'),
+		manufacturer: field('manufacturer'),
+		modelName: field('modelName'),
+		modelNumber: field('modelNumber'),
+		deviceType: field('deviceType'),
+		udn: field('UDN'),
+		services
+	};
+}
+
+/**
+ * Check that a LOCATION header points to the device that sent it
+ * Only these descriptions are downloaded : any host of the LAN could otherwise make the scanner request arbitrary URLs.
+ * @param {string} location - Description URL (LOCATION header)
+ * @param {string} address - IP address of the SSDP message sender
+ * @returns {boolean}
+ */
+function isDeviceLocation(location, address) {
+	let url;
+	try {
+		url = new URL(location);
+	} catch (error) {
+		return false;
+	}
+	return url.hostname.replace(/^\[(.*)\]$/, '$1') === address;
+}
+
+/**
+ * Download and parse a UPnP device description
+ * @param {string} location - Description URL (LOCATION header)
+ * @param {Object} options - { timeout, maxBytes, signal }
+ * @param {number} options.timeout - Request timeout in milliseconds (default: 3000)
+ * @param {number} options.maxBytes - Maximum description size (default: 256 KB)
+ * @param {AbortSignal} options.signal - Optional signal to cancel the request
+ * @returns {Promise<Object>} see parseDescription(), rejects if the description can't be read
+ */
+function fetchDescription(location, { timeout = 3000, maxBytes = 256 * 1024, signal = null } = {}) {
+	return new Promise((resolve, reject) => {
+		let url;
+		try {
+			url = new URL(location);
+		} catch (error) {
+			return reject(new Error(`Invalid UPnP location: ${location}`));
+		}
+		if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+			return reject(new Error(`Invalid UPnP location: ${location}`));
+		}
+		const client = url.protocol === 'https:' ? Https : Http;
+		const options = { timeout, rejectUnauthorized: false }; // devices use self-signed certificates
+		if (signal) options.signal = signal;
+
+		const request = client.get(url, options, (response) => {
+			if (response.statusCode !== 200) {
+				response.resume();
+				return reject(new Error(`UPnP description request failed: HTTP ${response.statusCode}`));
+			}
+			const chunks = [];
+			let received = 0;
+			response.on('data', (chunk) => {
+				received += chunk.length;
+				if (received > maxBytes) {
+					request.destroy(new Error(`UPnP description too large (more than ${maxBytes} bytes)`));
+					return;
+				}
+				chunks.push(chunk);
+			});
+			response.on('end', () => resolve(parseDescription(Buffer.concat(chunks).toString('utf8'))));
+			response.on('error', reject);
+		});
+		request.on('timeout', () => request.destroy(new Error(`UPnP description request timeout (${timeout}ms)`)));
+		request.on('error', reject);
+	});
+}
+
+module.exports.buildSearch = buildSearch;
+module.exports.parseSsdpMessage = parseSsdpMessage;
+module.exports.parseDescription = parseDescription;
+module.exports.isDeviceLocation = isDeviceLocation;
+module.exports.fetchDescription = fetchDescription;
+module.exports.SSDP_ADDRESS = SSDP_ADDRESS;
+module.exports.SSDP_PORT = SSDP_PORT;